@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+import { runCli } from '../scripts/cli.js'
+
+runCli(process.argv.slice(2)).then(exitCode => {
+	process.exitCode = exitCode
+})
@@ -0,0 +1,64 @@
+import { crawlAllSources, flattenSources, loadSources } from './scripts/crawl.js'
+import { htmlToPdf } from './scripts/html-to-pdf.js'
+import { withLogger } from './scripts/logger.js'
+import { resolvePdfMethod } from './scripts/pdf-paths.js'
+import { uploadPdfs as uploadPdfsToStorage } from './scripts/upload-pdfs-to-supabase.js'
+import { urlsToPdf } from './scripts/url-to-pdf.js'
+
+/**
+ * Crawl the sources into dataDir
+ * @param {Object} options - { sources: sources.json content or an array of sources, sourcesPath, configPath, dataDir, group, source, since: Date, dryRun, logger }
+ * @returns {Promise<Object>} { groups: results per group, articles, newArticles, failedSources }
+ */
+async function crawl(options = {}) {
+	const { sources, logger, ...crawlOptions } = options
+	if (sources) {
+		// sources are tagged and resolved in place, so work on a copy
+		crawlOptions.sources = Array.isArray(sources)
+			? structuredClone(sources).map(source => ({ sourceIdentifier: 'default', groupConfig: {}, ...source }))
+			: flattenSources(structuredClone(sources))
+	}
+
+	const groups = await withLogger(logger, () => crawlAllSources(crawlOptions))
+	const results = Object.values(groups)
+	return {
+		groups,
+		articles: results.flatMap(result => result.articles),
+		newArticles: results.flatMap(result => result.newArticles),
+		failedSources: results.flatMap(result => result.failedSources)
+	}
+}
+
+/**
+ * Render articles to PDF under pdfDir/<domain>/<date>/
+ * @param {Array} articles - articles from crawl() or latest-raw.json
+ * @param {Object} options - { method: html-to-pdf | url-to-pdf (default: first enabled in config.json), configPath, dataDir: for the SQLite store, pdfDir, logger }
+ * @returns {Promise<Object>} { method, total, rendered, skipped, failed, failures, duration }
+ */
+async function renderPdfs(articles, options = {}) {
+	const method = resolvePdfMethod(options.method, options.configPath)
+	const render = method === 'html-to-pdf' ? htmlToPdf : urlsToPdf
+	const summary = await withLogger(options.logger, () => render({ articles, pdfDir: options.pdfDir, configPath: options.configPath, dataDir: options.dataDir }))
+
+	return {
+		method,
+		total: articles.length,
+		rendered: summary.successCount,
+		skipped: summary.skippedCount,
+		failed: summary.failureCount,
+		failures: (summary.failedArticles || summary.failedUrls).map(item => ({ title: item.title, url: item.url, error: item.error })),
+		duration: summary.duration
+	}
+}
+
+/**
+ * Upload rendered PDFs to Supabase Storage, skipping files already in the bucket
+ * @param {Object} options - { pdfDir, since: Date, files: relative paths, dryRun, configPath, dataDir: for the SQLite store, client: Supabase client (default: from SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY), bucket, logger }
+ * @returns {Promise<Object>} { total, uploaded, skipped, failed, failedFiles, files }
+ */
+async function uploadPdfs(options = {}) {
+	const { logger, ...uploadOptions } = options
+	return withLogger(logger, () => uploadPdfsToStorage(uploadOptions))
+}
+
+export { crawl, loadSources, renderPdfs, uploadPdfs }
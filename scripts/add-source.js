@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+import { parseHTML } from 'linkedom'
+import { createInterface } from 'readline/promises'
+import { canonicalizeUrl } from './article-id.js'
+import { USER_AGENT } from './extract-fulltext.js'
+import { detectFeedType, parseFeed } from './feed-formats.js'
+import { createRequestPool, hostKey, loadConcurrencyConfig } from './request-pool.js'
+import { addSources, findSourceGroup, groupSources, readSourcesJson, slugifyGroup, writeSourcesJson } from './sources-file.js'
+
+// <link rel="alternate"> types that point at a feed
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json', 'application/xml', 'text/xml']
+
+// paths tried below the page and at the site root when the page does not advertise a feed
+const COMMON_FEED_PATHS = ['feed', 'rss', 'rss.xml', 'feed.xml', 'atom.xml', 'index.xml', 'articles.atom', 'feed.json']
+
+async function fetchText(url, timeout) {
+	const response = await fetch(url, {
+		headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+		redirect: 'follow',
+		signal: AbortSignal.timeout(timeout)
+	})
+
+	if (!response.ok) {
+		const error = new Error(`Status code ${response.status}`)
+		error.status = response.status
+		throw error
+	}
+
+	return { body: await response.text(), url: response.url || url }
+}
+
+/**
+ * Find feed urls advertised by a page with <link rel="alternate">
+ * @param {string} html - page HTML
+ * @param {string} pageUrl - page url, used to resolve relative hrefs
+ * @returns {Array<string>} feed urls in page order
+ */
+function findFeedLinks(html, pageUrl) {
+	const { document } = parseHTML(html)
+	const links = []
+
+	for (const link of document.querySelectorAll('link[rel][href]')) {
+		const rel = link.getAttribute('rel').toLowerCase().split(/\s+/)
+		const type = (link.getAttribute('type') || '').toLowerCase().split(';')[0].trim()
+		if (!rel.includes('alternate') || !FEED_LINK_TYPES.includes(type)) continue
+
+		try {
+			links.push(new URL(link.getAttribute('href'), pageUrl).toString())
+		} catch {
+			// ignore malformed hrefs
+		}
+	}
+
+	return links
+}
+
+/**
+ * Common feed locations for a page: below the page path first, then at the site root
+ * @param {string} pageUrl - homepage or section url
+ * @returns {Array<string>} candidate feed urls
+ */
+function commonFeedUrls(pageUrl) {
+	const page = new URL(pageUrl)
+	const base = page.pathname.endsWith('/') ? page.pathname : `${page.pathname}/`
+	const bases = base === '/' ? ['/'] : [base, '/']
+	return bases.flatMap(prefix => COMMON_FEED_PATHS.map(feedPath => new URL(`${prefix}${feedPath}`, page.origin).toString()))
+}
+
+/**
+ * Discover and validate the feeds of a homepage or section page
+ * @param {string} pageUrl - homepage or section url (a feed url is accepted too)
+ * @param {Object} options - { timeout, pool }
+ * @returns {Promise<Array>} valid feeds: [{ url, type, title, itemCount, foundBy: "direct" | "link" | "common-path" }]
+ */
+async function discoverFeeds(pageUrl, options = {}) {
+	const timeout = options.timeout || 30000
+	const pool = options.pool || createRequestPool(await loadConcurrencyConfig())
+
+	const page = await pool.run(pageUrl, () => fetchText(pageUrl, timeout))
+
+	// the url may already be a feed
+	try {
+		const type = detectFeedType(page.body)
+		const feed = await parseFeed(page.body, type)
+		return [{ url: page.url, type, title: feed.title || '', itemCount: feed.items.length, foundBy: 'direct' }]
+	} catch {
+		// not a feed, look for links
+	}
+
+	const advertised = findFeedLinks(page.body, page.url)
+	const candidates = new Map()
+	for (const url of [...advertised, ...commonFeedUrls(page.url)]) {
+		const key = canonicalizeUrl(url)
+		if (!candidates.has(key)) candidates.set(key, url)
+	}
+
+	const results = await Promise.allSettled(
+		[...candidates.values()].map(url =>
+			pool.run(url, async () => {
+				const response = await fetchText(url, timeout)
+				const type = detectFeedType(response.body)
+				const feed = await parseFeed(response.body, type)
+				return { url, resolvedUrl: response.url, type, title: feed.title || '', itemCount: feed.items.length, foundBy: advertised.includes(url) ? 'link' : 'common-path' }
+			})
+		)
+	)
+
+	// redirects (e.g. /feed -> /feed/) can make several candidates the same feed
+	const feeds = []
+	const seen = new Set()
+	for (const result of results) {
+		if (result.status !== 'fulfilled') continue
+		const { resolvedUrl, ...feed } = result.value
+		const key = canonicalizeUrl(resolvedUrl)
+		if (seen.has(key)) continue
+		seen.add(key)
+		// keep the final url so the crawler does not follow the redirect every run
+		feeds.push({ ...feed, url: resolvedUrl })
+	}
+
+	return feeds
+}
+
+/**
+ * Group a new feed belongs to: the group already holding feeds of the same site, else one named after the site
+ * @param {Object} sourcesJson - sources.json content
+ * @param {string} url - feed url
+ * @returns {string} group name
+ */
+function suggestGroup(sourcesJson, url) {
+	const host = hostKey(url)
+	for (const [groupName, group] of Object.entries(sourcesJson)) {
+		if (groupSources(group).some(source => hostKey(source.url) === host)) {
+			return groupName
+		}
+	}
+	return slugifyGroup(host.split('.')[0])
+}
+
+// source names follow the "host/path" of the page, e.g. theconversation.com/us/business
+function suggestName(pageUrl) {
+	const page = new URL(pageUrl)
+	return `${page.hostname.replace(/^www\./, '')}${page.pathname.replace(/\/+$/, '')}`
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const args = process.argv.slice(2)
+	const valueFlags = ['--pick', '--group', '--name', '--category', '--language']
+	const option = name => (args.includes(`--${name}`) ? args[args.indexOf(`--${name}`) + 1] : undefined)
+	const pageUrl = args.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]))
+	const dryRun = args.includes('--dry-run')
+
+	const run = async () => {
+		if (!pageUrl) {
+			console.log('Usage: node scripts/add-source.js <page-url> [--pick <n>] [--group <name>] [--name <name>] [--category <category>] [--language <language>] [--dry-run]')
+			process.exitCode = 1
+			return
+		}
+
+		console.log(`🔍 Discovering feeds for ${pageUrl}...`)
+		const feeds = await discoverFeeds(pageUrl)
+		if (feeds.length === 0) {
+			console.log('❌ No valid feed found')
+			process.exitCode = 1
+			return
+		}
+
+		const sourcesJson = await readSourcesJson()
+		feeds.forEach((feed, i) => {
+			const existingGroup = findSourceGroup(sourcesJson, feed.url)
+			console.log(`   ${i + 1}. ${feed.title || '(untitled)'} - ${feed.itemCount} items (${feed.foundBy})${existingGroup ? ` [already in ${existingGroup}]` : ''}`)
+			console.log(`      ${feed.url}`)
+		})
+
+		let pick = Number(option('pick') || (feeds.length === 1 ? 1 : 0))
+		if (!pick && process.stdin.isTTY) {
+			const readline = createInterface({ input: process.stdin, output: process.stdout })
+			pick = Number(await readline.question(`Feed to add (1-${feeds.length}, empty to cancel): `))
+			readline.close()
+		}
+		if (!pick) {
+			console.log('ℹ️ Nothing added, choose a feed with --pick <n>')
+			return
+		}
+
+		const feed = feeds[pick - 1]
+		if (!feed) {
+			throw new Error(`--pick must be between 1 and ${feeds.length}`)
+		}
+
+		const source = { name: option('name') || suggestName(pageUrl), url: feed.url }
+		// rss-parser reads atom too, so only the other formats need a type
+		if (['jsonfeed', 'news-sitemap'].includes(feed.type)) source.type = feed.type
+		if (option('category')) source.category = option('category')
+		if (option('language')) source.language = option('language')
+
+		const group = option('group') || suggestGroup(sourcesJson, feed.url)
+		const { added, skipped } = addSources(sourcesJson, [{ group, source }])
+		if (skipped.length > 0) {
+			console.log(`⏭️ ${feed.url} is already in group ${skipped[0].existingGroup}`)
+			return
+		}
+
+		if (!dryRun) {
+			await writeSourcesJson(sourcesJson)
+		}
+		console.log(`✅ ${dryRun ? 'Would add' : 'Added'} ${added[0].source.name} to group ${group}`)
+	}
+
+	run().catch(error => {
+		console.error('❌ Add source failed:', error.message)
+		process.exit(1)
+	})
+}
+
+export { commonFeedUrls, discoverFeeds, findFeedLinks, suggestGroup }
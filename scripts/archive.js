@@ -0,0 +1,62 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultDataDir = path.join(__dirname, '../data')
+
+// data/<group>/YYYY-MM-DD-HH-latest-raw.json
+const SNAPSHOT_PATTERN = /^(\d{4}-\d{2}-\d{2})-(\d{2})-latest-raw\.json$/
+
+/**
+ * List group snapshots in the archive, oldest first
+ * @param {string} dataDir - data directory
+ * @returns {Promise<Array>} [{ group, file, filepath, time }]
+ */
+async function listSnapshots(dataDir = defaultDataDir) {
+	if (!existsSync(dataDir)) return []
+
+	const snapshots = []
+	for (const entry of await fs.readdir(dataDir, { withFileTypes: true })) {
+		if (!entry.isDirectory()) continue
+		for (const file of await fs.readdir(path.join(dataDir, entry.name))) {
+			const match = file.match(SNAPSHOT_PATTERN)
+			if (!match) continue
+			snapshots.push({
+				group: entry.name,
+				file,
+				filepath: path.join(dataDir, entry.name, file),
+				time: new Date(`${match[1]}T${match[2]}:00:00.000Z`)
+			})
+		}
+	}
+
+	return snapshots.sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Load the articles of every snapshot since a date, one entry per article ID (latest snapshot wins), newest first
+ * @param {Object} options - { dataDir, since: Date }
+ * @returns {Promise<Array>} articles
+ */
+async function loadArchiveArticles(options = {}) {
+	const { dataDir = defaultDataDir, since = null } = options
+	const articles = new Map()
+
+	for (const snapshot of await listSnapshots(dataDir)) {
+		if (since && snapshot.time < since) continue
+		try {
+			const data = JSON.parse(await fs.readFile(snapshot.filepath, 'utf-8'))
+			for (const article of data.articles || []) {
+				if (article.id) articles.set(article.id, article)
+			}
+		} catch (error) {
+			console.log(`⚠️ Skipping unreadable snapshot ${snapshot.group}/${snapshot.file}: ${error.message}`)
+		}
+	}
+
+	return [...articles.values()].sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+}
+
+export { SNAPSHOT_PATTERN, listSnapshots, loadArchiveArticles }
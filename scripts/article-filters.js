@@ -0,0 +1,201 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const RULE_TYPES = ['include', 'exclude']
+const RULE_FIELDS = ['title', 'metaDescription', 'content']
+const RULE_KEYS = ['name', 'keywords', 'regex', 'flags', 'authors', 'categories', 'fields']
+
+/**
+ * Load global include/exclude rules from the "filters" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} { include: [], exclude: [] }
+ */
+async function loadGlobalFilters(configPath = path.join(__dirname, '../config.json')) {
+	if (!existsSync(configPath)) {
+		return {}
+	}
+
+	const configData = await fs.readFile(configPath, 'utf-8')
+	const config = JSON.parse(configData)
+	return config.filters || {}
+}
+
+// normalize a string or array option into a lowercase string array
+function toList(value) {
+	if (value === undefined) return []
+	return (Array.isArray(value) ? value : [value]).map(entry => String(entry).toLowerCase())
+}
+
+/**
+ * Compile the rules of one scope (global, group or source)
+ * @param {Object} filters - { include: [rules], exclude: [rules] }
+ * @param {string} scope - scope name used for default rule names
+ * @param {string} label - where the rules came from, used in messages
+ * @returns {Object} { rules, errors }
+ */
+function compileFilters(filters, scope, label) {
+	const rules = []
+	const errors = []
+
+	if (filters === undefined) {
+		return { rules, errors }
+	}
+
+	if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+		return { rules, errors: [`${label}: "filters" must be an object with "include" and/or "exclude" arrays`] }
+	}
+
+	for (const key of Object.keys(filters)) {
+		if (!RULE_TYPES.includes(key)) {
+			errors.push(`${label}: unknown filters key "${key}" (allowed: ${RULE_TYPES.join(', ')})`)
+		}
+	}
+
+	for (const type of RULE_TYPES) {
+		const list = filters[type]
+		if (list === undefined) continue
+		if (!Array.isArray(list)) {
+			errors.push(`${label}: filters.${type} must be an array`)
+			continue
+		}
+
+		list.forEach((rule, index) => {
+			const name = rule?.name || `${scope}-${type}-${index + 1}`
+			const ruleLabel = `${label}: filters.${type}[${index}] (${name})`
+
+			if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+				errors.push(`${ruleLabel} must be an object`)
+				return
+			}
+
+			const unknownKeys = Object.keys(rule).filter(key => !RULE_KEYS.includes(key))
+			if (unknownKeys.length > 0) {
+				errors.push(`${ruleLabel} has unknown option(s) ${unknownKeys.join(', ')} (allowed: ${RULE_KEYS.join(', ')})`)
+				return
+			}
+
+			const fields = rule.fields === undefined ? RULE_FIELDS : [].concat(rule.fields)
+			const badFields = fields.filter(field => !RULE_FIELDS.includes(field))
+			if (badFields.length > 0) {
+				errors.push(`${ruleLabel} has unknown field(s) ${badFields.join(', ')} (allowed: ${RULE_FIELDS.join(', ')})`)
+				return
+			}
+
+			const regexes = []
+			for (const pattern of rule.regex === undefined ? [] : [].concat(rule.regex)) {
+				try {
+					regexes.push(new RegExp(pattern, rule.flags ?? 'i'))
+				} catch (error) {
+					errors.push(`${ruleLabel} has an invalid regex: ${error.message}`)
+					return
+				}
+			}
+
+			const compiled = {
+				name,
+				type,
+				fields,
+				keywords: toList(rule.keywords),
+				regexes,
+				authors: toList(rule.authors),
+				categories: toList(rule.categories)
+			}
+
+			if (!compiled.keywords.length && !compiled.regexes.length && !compiled.authors.length && !compiled.categories.length) {
+				errors.push(`${ruleLabel} needs at least one of keywords, regex, authors or categories`)
+				return
+			}
+
+			rules.push(compiled)
+		})
+	}
+
+	return { rules, errors }
+}
+
+/**
+ * Compile global, group and source rules and attach them as source.filterRules
+ * @param {Array} sources - sources from loadSources
+ * @param {Object} globalFilters - filters from config.json
+ * @returns {Array<string>} validation errors, empty when every rule is valid
+ */
+function resolveSourceFilters(sources, globalFilters) {
+	const global = compileFilters(globalFilters, 'global', 'config.json')
+	const errors = [...global.errors]
+	const groupRules = new Map()
+
+	for (const source of sources) {
+		const groupName = source.sourceIdentifier
+
+		if (!groupRules.has(groupName)) {
+			const group = compileFilters(source.groupConfig?.filters, 'group', `sources.json group "${groupName}"`)
+			errors.push(...group.errors)
+			groupRules.set(groupName, group.rules)
+		}
+
+		const own = compileFilters(source.filters, 'source', `sources.json source "${source.name}"`)
+		errors.push(...own.errors)
+
+		source.filterRules = [...global.rules, ...groupRules.get(groupName), ...own.rules]
+	}
+
+	return errors
+}
+
+// check whether every criterion given in a rule matches the article
+function ruleMatches(rule, article, itemCategories) {
+	if (rule.keywords.length || rule.regexes.length) {
+		const text = rule.fields
+			.map(field => (field === 'content' ? (article.content || '').replace(/<[^>]*>/g, ' ') : article[field] || ''))
+			.join('\n')
+		const lowerText = text.toLowerCase()
+
+		if (rule.keywords.length && !rule.keywords.some(keyword => lowerText.includes(keyword))) return false
+		if (rule.regexes.length && !rule.regexes.some(regex => regex.test(text))) return false
+	}
+
+	if (rule.authors.length) {
+		const author = (article.author || '').toLowerCase()
+		if (!rule.authors.some(name => author.includes(name))) return false
+	}
+
+	if (rule.categories.length) {
+		const categories = itemCategories.map(category => String(category?._ ?? category?.term ?? category).toLowerCase())
+		if (!rule.categories.some(category => categories.includes(category))) return false
+	}
+
+	return true
+}
+
+/**
+ * Decide whether an article is kept: any exclude rule drops it, and when include
+ * rules exist at least one of them has to match
+ * @param {Object} article - article object
+ * @param {Array} rules - compiled rules (source.filterRules)
+ * @param {Array} itemCategories - categories of the feed item
+ * @returns {Object} { kept, rule } where rule is the name of the deciding rule
+ */
+function applyFilters(article, rules = [], itemCategories = []) {
+	const excludeRule = rules.find(rule => rule.type === 'exclude' && ruleMatches(rule, article, itemCategories))
+	if (excludeRule) {
+		return { kept: false, rule: `exclude:${excludeRule.name}` }
+	}
+
+	const includeRules = rules.filter(rule => rule.type === 'include')
+	if (includeRules.length === 0) {
+		return { kept: true, rule: null }
+	}
+
+	const includeRule = includeRules.find(rule => ruleMatches(rule, article, itemCategories))
+	if (includeRule) {
+		return { kept: true, rule: `include:${includeRule.name}` }
+	}
+
+	return { kept: false, rule: 'include:no-match' }
+}
+
+export { applyFilters, compileFilters, loadGlobalFilters, resolveSourceFilters }
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto'
+
+// query parameters that only track the click and never change the article
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i, /^yclid$/i, /^mc_cid$/i, /^mc_eid$/i, /^igshid$/i, /^_ga$/i, /^_gl$/i, /^ref$/i, /^ref_src$/i, /^cmpid$/i, /^ncid$/i, /^sr_share$/i]
+
+/**
+ * Canonicalize an article URL so the same article always maps to the same string:
+ * https scheme, lowercase host without www. and default port, no fragment,
+ * no tracking parameters, sorted query and no trailing slash
+ * @param {string} url - article url
+ * @returns {string} canonical url, or the trimmed input when it is not a valid url
+ */
+function canonicalizeUrl(url) {
+	if (!url || typeof url !== 'string') {
+		return ''
+	}
+
+	let urlObj
+	try {
+		urlObj = new URL(url.trim())
+	} catch {
+		return url.trim()
+	}
+
+	if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+		return urlObj.toString()
+	}
+
+	urlObj.protocol = 'https:'
+	urlObj.hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '')
+	urlObj.port = ''
+	urlObj.hash = ''
+	urlObj.username = ''
+	urlObj.password = ''
+
+	// drop tracking params and sort the rest so parameter order doesn't matter
+	const params = [...urlObj.searchParams.entries()].filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key))).sort(([a], [b]) => a.localeCompare(b))
+	urlObj.search = ''
+	params.forEach(([key, value]) => urlObj.searchParams.append(key, value))
+
+	// collapse duplicate slashes and remove the trailing slash (except for the root path)
+	let pathname = urlObj.pathname.replace(/\/{2,}/g, '/')
+	if (pathname.length > 1) {
+		pathname = pathname.replace(/\/+$/, '')
+	}
+	urlObj.pathname = pathname
+
+	return urlObj.toString()
+}
+
+/**
+ * Decide whether a feed guid can identify an article across runs
+ * @param {string} guid - item guid (RSS) or id (Atom)
+ * @param {string} title - item title, some feeds reuse it as guid
+ * @returns {boolean} whether the guid is stable
+ */
+function isStableGuid(guid, title = '') {
+	if (!guid || typeof guid !== 'string') return false
+
+	const trimmed = guid.trim()
+	if (trimmed.length < 6) return false
+	if (title && trimmed.toLowerCase() === title.trim().toLowerCase()) return false
+
+	return true
+}
+
+/**
+ * Generate a stable article ID (sha256, 32 hex chars) from the feed guid when it is stable,
+ * otherwise from the canonical url. The title is never part of the ID so headline edits keep it.
+ * @param {Object} params - { guid, url, title, sourceDomain }
+ * @returns {string} article id
+ */
+function generateArticleId({ guid, url, title, sourceDomain }) {
+	let key
+	if (isStableGuid(guid, title)) {
+		const trimmed = guid.trim()
+		// guids that are urls go through the same canonicalization as links
+		key = /^https?:\/\//i.test(trimmed) ? `url:${canonicalizeUrl(trimmed)}` : `guid:${sourceDomain || ''}:${trimmed}`
+	} else {
+		key = `url:${canonicalizeUrl(url)}`
+	}
+
+	return createHash('sha256').update(key).digest('hex').slice(0, 32)
+}
+
+export { canonicalizeUrl, generateArticleId, isStableGuid }
@@ -0,0 +1,77 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultIndexPath = path.join(__dirname, '../data/article-index.json')
+
+/**
+ * Load the persistent seen-article index
+ * @param {string} indexPath - index file path
+ * @returns {Promise<Object>} { updatedAt, articles: { [id]: entry } }
+ */
+async function loadArticleIndex(indexPath = defaultIndexPath) {
+	try {
+		if (!existsSync(indexPath)) {
+			return { updatedAt: null, articles: {} }
+		}
+		const indexData = await fs.readFile(indexPath, 'utf-8')
+		const index = JSON.parse(indexData)
+		return { updatedAt: index.updatedAt || null, articles: index.articles || {} }
+	} catch (error) {
+		console.log(`⚠️ Failed to read article index, starting fresh: ${error.message}`)
+		return { updatedAt: null, articles: {} }
+	}
+}
+
+/**
+ * Save the seen-article index
+ * @param {Object} index - article index
+ * @param {string} indexPath - index file path
+ */
+async function saveArticleIndex(index, indexPath = defaultIndexPath) {
+	await fs.mkdir(path.dirname(indexPath), { recursive: true })
+	await fs.writeFile(indexPath, JSON.stringify(index, null, 2))
+}
+
+/**
+ * Record articles in the index and stamp them with firstSeenAt
+ * @param {Object} index - article index, updated in place
+ * @param {Array} articles - crawled articles
+ * @param {string} groupName - source group the articles came from
+ * @param {string} seenAt - ISO timestamp of this crawl
+ * @returns {Array} articles that were never seen in an earlier run
+ */
+function updateArticleIndex(index, articles, groupName, seenAt = new Date().toISOString()) {
+	const newArticles = []
+
+	for (const article of articles) {
+		const entry = index.articles[article.id]
+
+		if (entry) {
+			entry.lastSeen = seenAt
+			entry.title = article.title
+			entry.simhash = article.simhash || entry.simhash || null
+			article.firstSeenAt = entry.firstSeen
+			continue
+		}
+
+		index.articles[article.id] = {
+			firstSeen: seenAt,
+			lastSeen: seenAt,
+			title: article.title,
+			canonicalUrl: article.canonicalUrl || article.url,
+			source: article.source,
+			sourceGroup: groupName,
+			simhash: article.simhash || null
+		}
+		article.firstSeenAt = seenAt
+		newArticles.push(article)
+	}
+
+	index.updatedAt = seenAt
+	return newArticles
+}
+
+export { loadArticleIndex, saveArticleIndex, updateArticleIndex }
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs, readFileSync } from 'fs'
+import path from 'path'
+import { parseHTML } from 'linkedom'
+import { fileURLToPath } from 'url'
+import { loadArchiveArticles } from './archive.js'
+import { generateHtmlContent } from './html-to-pdf.js'
+import { findArticlePdf, indexPdfs } from './pdf-paths.js'
+import { slugifyGroup } from './sources-file.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_SITE_CONFIG = {
+	title: 'Daily News',
+	days: 15, // archive window shown on the site, aligned with the snapshot retention
+	copyPdfs: true // copy rendered PDFs into site/pdfs/ so the folder works on its own
+}
+
+/**
+ * Load site settings from the "site" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} site settings
+ */
+async function loadSiteConfig(configPath = path.join(__dirname, '../config.json')) {
+	let site = { ...DEFAULT_SITE_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		site = { ...site, ...(JSON.parse(configData).site || {}) }
+	}
+
+	if (!Number.isInteger(site.days) || site.days < 1) {
+		throw new Error(`site.days must be a positive integer, got ${JSON.stringify(site.days)}`)
+	}
+
+	return site
+}
+
+function escapeHtml(text) {
+	return String(text ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+}
+
+// elements whose content runs or loads in the page rather than being read
+const UNSAFE_ELEMENTS = 'script, style, iframe, frame, frameset, object, embed, applet, base, link, meta, form, noscript, template'
+const URL_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'xlink:href', 'action', 'formaction', 'poster', 'background', 'data'])
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto'])
+
+// relative, http(s) and mailto urls only: javascript:, data: and the like would run in the page
+function isSafeUrl(url) {
+	const scheme = String(url ?? '')
+		.replace(/[\x00-\x20]/g, '')
+		.match(/^([a-z][a-z0-9+.-]*):/i)
+	return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase())
+}
+
+/**
+ * Sanitize article HTML from a feed before it is hosted: drop scripts, embeds and forms,
+ * event handler attributes and links or sources with an unsafe url
+ * @param {string} html - article HTML
+ * @returns {string} sanitized HTML
+ */
+function sanitizeHtml(html) {
+	const { document } = parseHTML(`<!DOCTYPE html><html><body>${html ?? ''}</body></html>`)
+	document.body.querySelectorAll(UNSAFE_ELEMENTS).forEach(element => element.remove())
+	for (const element of document.body.querySelectorAll('*')) {
+		for (const { name, value } of [...element.attributes]) {
+			const unsafeUrl = name === 'srcset' ? value.split(',').some(candidate => !isSafeUrl(candidate.trim())) : URL_ATTRIBUTES.has(name) && !isSafeUrl(value)
+			if (name.startsWith('on') || unsafeUrl) {
+				element.removeAttribute(name)
+			}
+		}
+	}
+	return document.body.innerHTML
+}
+
+// replace every {{NAME}} placeholder (a function keeps "$" in values literal)
+function fillTemplate(template, values) {
+	return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+}
+
+// day an article belongs to on the site: its publication date (UTC)
+function articleDay(article) {
+	return new Date(article.pubDate).toISOString().slice(0, 10)
+}
+
+function articleCategories(article) {
+	return article.categories?.length ? article.categories : article.source_category ? [article.source_category] : []
+}
+
+/**
+ * Articles of the dated group snapshots since a date, plus those of data/latest-raw.json not in them
+ * @param {string} dataDir - data directory
+ * @param {Date} since - start of the archive window
+ * @returns {Promise<Array>} articles, newest first
+ */
+async function loadSiteArticles(dataDir, since) {
+	const articles = await loadArchiveArticles({ dataDir, since })
+	const latestPath = path.join(dataDir, 'latest-raw.json')
+	if (!existsSync(latestPath)) return articles
+
+	const known = new Set(articles.map(article => article.id))
+	const latest = JSON.parse(await fs.readFile(latestPath, 'utf-8')).articles || []
+	return [...articles, ...latest.filter(article => article.id && !known.has(article.id))].sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+}
+
+/**
+ * Render one article in a listing
+ * @param {Object} article - article
+ * @param {string} root - relative path to the site root
+ * @param {Map} pdfLinks - article ID -> PDF path relative to the site root
+ * @returns {string} HTML
+ */
+function renderListItem(article, root, pdfLinks) {
+	const meta = [escapeHtml(article.source), article.author ? escapeHtml(article.author) : '', escapeHtml(new Date(article.pubDate).toUTCString())].filter(Boolean).join(' · ')
+	const tags = articleCategories(article)
+		.map(category => `<a class="tag" href="${root}categories/${slugifyGroup(category)}.html">${escapeHtml(category)}</a>`)
+		.join('')
+	const links = isSafeUrl(article.url) ? [`<a href="${escapeHtml(article.url)}">Original</a>`] : []
+	if (pdfLinks.has(article.id)) {
+		links.push(`<a href="${root}${escapeHtml(pdfLinks.get(article.id))}">PDF</a>`)
+	}
+
+	return [
+		'<li class="article-item">',
+		`<h2><a href="${root}articles/${article.id}.html">${escapeHtml(article.title)}</a></h2>`,
+		`<div class="article-meta">${meta} ${tags}</div>`,
+		`<p>${escapeHtml(article.summary || article.metaDescription)}</p>`,
+		`<div class="article-links">${links.join('')}</div>`,
+		'</li>'
+	].join('\n')
+}
+
+function renderList(articles, root, pdfLinks) {
+	return `<ul class="article-list">\n${articles.map(article => renderListItem(article, root, pdfLinks)).join('\n')}\n</ul>`
+}
+
+// group articles by a key, keeping the newest-first order inside each group
+function groupBy(articles, keysOf) {
+	const groups = new Map()
+	for (const article of articles) {
+		for (const key of keysOf(article)) {
+			if (!groups.has(key)) groups.set(key, [])
+			groups.get(key).push(article)
+		}
+	}
+	return groups
+}
+
+/**
+ * Render an article page with the article template of its source (templates/), plus a navigation bar.
+ * The templates take HTML, so text fields are escaped and the content sanitized first
+ * @param {Object} article - article
+ * @param {string} pdfLink - PDF path relative to the site root, or null
+ * @param {string} siteTitle - title of the site, used for the back link
+ * @returns {string} HTML
+ */
+function renderArticlePage(article, pdfLink, siteTitle) {
+	const links = [`<a href="../index.html">← ${escapeHtml(siteTitle)}</a>`]
+	if (isSafeUrl(article.url)) {
+		links.push(`<a href="${escapeHtml(article.url)}">Original article</a>`)
+	}
+	if (pdfLink) {
+		links.push(`<a href="../${escapeHtml(pdfLink)}">PDF</a>`)
+	}
+	const nav = `<nav style="max-width:820px;margin:1rem auto;padding:0 1rem;font-family:sans-serif;font-size:14px;display:flex;gap:1.5rem">${links.join('')}</nav>`
+	const safeArticle = {
+		...article,
+		title: escapeHtml(article.title),
+		author: escapeHtml(article.author),
+		content: sanitizeHtml(article.content || article.metaDescription)
+	}
+	return generateHtmlContent(safeArticle).replace(/<body>/i, () => `<body>\n${nav}`)
+}
+
+/**
+ * Build the static digest site: day, group and category listings plus one page per article
+ * @param {Object} options - { dataDir, pdfDir, outputDir, site, articles, now }
+ * @returns {Promise<Object>} { articles, days, groups, categories, pdfs }
+ */
+async function buildSite(options = {}) {
+	const {
+		dataDir = path.join(__dirname, '../data'),
+		pdfDir = path.join(__dirname, '../pdfs'),
+		outputDir = path.join(__dirname, '../site'),
+		now = new Date()
+	} = options
+	const site = options.site || (await loadSiteConfig())
+	const layout = readFileSync(path.join(__dirname, '../templates/site-page.html'), 'utf8')
+
+	const since = new Date(now.getTime() - site.days * 24 * 60 * 60 * 1000)
+	const articles = options.articles || (await loadSiteArticles(dataDir, since))
+
+	// rebuild from scratch so removed days / groups do not linger
+	await fs.rm(outputDir, { recursive: true, force: true })
+	await fs.mkdir(path.join(outputDir, 'articles'), { recursive: true })
+
+	// PDFs keep their pdfs/<domain>/<date>/ layout inside the site
+	const pdfIndex = await indexPdfs(pdfDir)
+	const pdfLinks = new Map()
+	for (const article of articles) {
+		const relativePath = findArticlePdf(article, pdfIndex)
+		if (!relativePath) continue
+		if (site.copyPdfs) {
+			await fs.mkdir(path.join(outputDir, 'pdfs', path.dirname(relativePath)), { recursive: true })
+			await fs.copyFile(path.join(pdfDir, relativePath), path.join(outputDir, 'pdfs', relativePath))
+		}
+		pdfLinks.set(article.id, `pdfs/${relativePath}`)
+	}
+
+	const writePage = async (relativePath, heading, content) => {
+		const root = '../'.repeat(relativePath.split('/').length - 1)
+		const html = fillTemplate(layout, {
+			TITLE: escapeHtml(heading === site.title ? site.title : `${heading} - ${site.title}`),
+			SITE_TITLE: escapeHtml(site.title),
+			HEADING: escapeHtml(heading),
+			ROOT: root,
+			CONTENT: typeof content === 'function' ? content(root) : content,
+			GENERATED_AT: escapeHtml(now.toUTCString())
+		})
+		await fs.mkdir(path.dirname(path.join(outputDir, relativePath)), { recursive: true })
+		await fs.writeFile(path.join(outputDir, relativePath), html)
+	}
+
+	const days = groupBy(articles, article => [articleDay(article)])
+	const groupName = article => article.source_group || 'ungrouped'
+	const groups = groupBy(articles, article => [slugifyGroup(groupName(article))])
+	const groupLabels = new Map(articles.map(article => [slugifyGroup(groupName(article)), groupName(article)]))
+	const categories = groupBy(articles, article => articleCategories(article).map(category => slugifyGroup(category)))
+	const categoryLabels = new Map(articles.flatMap(article => articleCategories(article).map(category => [slugifyGroup(category), category])))
+
+	for (const [day, dayArticles] of days) {
+		await writePage(`days/${day}.html`, day, root => renderList(dayArticles, root, pdfLinks))
+	}
+	for (const [slug, groupArticles] of groups) {
+		await writePage(`groups/${slug}.html`, groupLabels.get(slug), root => renderList(groupArticles, root, pdfLinks))
+	}
+	for (const [slug, categoryArticles] of categories) {
+		await writePage(`categories/${slug}.html`, categoryLabels.get(slug), root => renderList(categoryArticles, root, pdfLinks))
+	}
+
+	for (const article of articles) {
+		await fs.writeFile(path.join(outputDir, 'articles', `${article.id}.html`), renderArticlePage(article, pdfLinks.get(article.id), site.title))
+	}
+
+	// index: days newest first, then the group and category pages
+	const section = (title, entries) =>
+		`<section class="index-section"><h2>${title}</h2><ul>${entries.map(([href, label, count]) => `<li><a href="${href}">${escapeHtml(label)}</a> (${count})</li>`).join('')}</ul></section>`
+	await writePage(
+		'index.html',
+		site.title,
+		[
+			section('Days', [...days.keys()].sort().reverse().map(day => [`days/${day}.html`, day, days.get(day).length])),
+			section('Groups', [...groups.keys()].sort().map(slug => [`groups/${slug}.html`, groupLabels.get(slug), groups.get(slug).length])),
+			section('Categories', [...categories.keys()].sort().map(slug => [`categories/${slug}.html`, categoryLabels.get(slug), categories.get(slug).length]))
+		].join('\n')
+	)
+
+	return { articles: articles.length, days: days.size, groups: groups.size, categories: categories.size, pdfs: pdfLinks.size }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	console.log('🌐 Building static digest site...')
+	buildSite()
+		.then(summary => {
+			console.log(`✅ site/ built: ${summary.articles} articles, ${summary.days} days, ${summary.groups} groups, ${summary.categories} categories, ${summary.pdfs} PDFs`)
+		})
+		.catch(error => {
+			console.error('❌ Site build failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { buildSite, loadSiteConfig, sanitizeHtml }
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { chatCompletion, loadLlmConfig, parseJsonReply } from './llm-client.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultCachePath = path.join(__dirname, '../data/category-cache.json')
+
+const DEFAULT_CATEGORIZE_CONFIG = {
+	enabled: true,
+	maxCategories: 2, // categories kept per article
+	// category name -> keywords for the deterministic fallback; the names are also the labels offered to the model
+	categories: {
+		economy: ['economy', 'economic', 'inflation', 'interest rate', 'recession', 'gdp', 'tariff', 'trade', 'jobs', 'wages'],
+		business: ['business', 'company', 'companies', 'market', 'investor', 'shares', 'profit', 'startup', 'retail', 'ceo'],
+		politics: ['election', 'government', 'minister', 'parliament', 'congress', 'policy', 'vote', 'president', 'senate'],
+		technology: ['technology', 'tech', 'ai', 'artificial intelligence', 'software', 'digital', 'internet', 'robot', 'cyber'],
+		science: ['science', 'research', 'scientists', 'study', 'physics', 'space', 'biology', 'chemistry'],
+		health: ['health', 'medical', 'disease', 'hospital', 'vaccine', 'cancer', 'mental health', 'patients'],
+		environment: ['climate', 'environment', 'emissions', 'energy', 'carbon', 'pollution', 'biodiversity', 'renewable'],
+		education: ['education', 'school', 'university', 'students', 'teachers', 'learning'],
+		culture: ['culture', 'art', 'music', 'film', 'books', 'history', 'religion', 'sport']
+	}
+}
+
+/**
+ * Load categorization settings from the "categorize" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} categorize settings
+ */
+async function loadCategorizeConfig(configPath = path.join(__dirname, '../config.json')) {
+	let categorize = { ...DEFAULT_CATEGORIZE_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		categorize = { ...categorize, ...(JSON.parse(configData).categorize || {}) }
+	}
+
+	if (!categorize.categories || typeof categorize.categories !== 'object' || Array.isArray(categorize.categories) || Object.keys(categorize.categories).length === 0) {
+		throw new Error('categorize.categories must be an object of { category: [keywords] }')
+	}
+	for (const [category, keywords] of Object.entries(categorize.categories)) {
+		if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string')) {
+			throw new Error(`categorize.categories.${category} must be an array of keywords`)
+		}
+	}
+	if (!Number.isInteger(categorize.maxCategories) || categorize.maxCategories < 1) {
+		throw new Error(`categorize.maxCategories must be a positive integer, got ${JSON.stringify(categorize.maxCategories)}`)
+	}
+
+	return categorize
+}
+
+/**
+ * Load cached model classifications
+ * @param {string} cachePath - cache file path
+ * @returns {Promise<Object>} cache keyed by article ID
+ */
+async function loadCategoryCache(cachePath = defaultCachePath) {
+	try {
+		if (!existsSync(cachePath)) {
+			return {}
+		}
+		const cacheData = await fs.readFile(cachePath, 'utf-8')
+		return JSON.parse(cacheData)
+	} catch (error) {
+		console.log(`⚠️ Failed to read category cache, starting fresh: ${error.message}`)
+		return {}
+	}
+}
+
+/**
+ * Save cached model classifications
+ * @param {Object} cache - cache keyed by article ID
+ * @param {string} cachePath - cache file path
+ */
+async function saveCategoryCache(cache, cachePath = defaultCachePath) {
+	await fs.mkdir(path.dirname(cachePath), { recursive: true })
+	await fs.writeFile(cachePath, JSON.stringify(cache, null, 2))
+}
+
+// count keyword occurrences; latin keywords match whole words, CJK keywords match anywhere
+function countKeyword(text, keyword) {
+	const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+	const pattern = /^[\x20-\x7e]+$/.test(keyword) ? `\\b${escaped}\\b` : escaped
+	return (text.match(new RegExp(pattern, 'g')) || []).length
+}
+
+/**
+ * Deterministic keyword classification, used when no model is reachable
+ * @param {Object} article - article with title / metaDescription / source_category
+ * @param {Object} categorize - categorize settings
+ * @returns {Object} { categories, confidence, method }
+ */
+function categorizeByKeywords(article, categorize = DEFAULT_CATEGORIZE_CONFIG) {
+	const text = `${article.title || ''} ${article.metaDescription || ''}`.toLowerCase()
+
+	const scores = Object.entries(categorize.categories)
+		.map(([category, keywords]) => ({ category, hits: keywords.reduce((sum, keyword) => sum + countKeyword(text, keyword), 0) }))
+		.filter(score => score.hits > 0)
+		// ties keep the order of the config
+		.sort((a, b) => b.hits - a.hits)
+
+	if (scores.length === 0) {
+		// nothing matched: trust the category of the source if it is a known one
+		const sourceCategory = article.source_category?.toLowerCase()
+		return sourceCategory && sourceCategory in categorize.categories
+			? { categories: [sourceCategory], confidence: 0.2, method: 'source' }
+			: { categories: [], confidence: 0, method: 'keywords' }
+	}
+
+	const totalHits = scores.reduce((sum, score) => sum + score.hits, 0)
+	return {
+		categories: scores.slice(0, categorize.maxCategories).map(score => score.category),
+		// share of the hits that went to the top category, damped so a single hit is never certain
+		confidence: Math.round((scores[0].hits / (totalHits + 1)) * 100) / 100,
+		method: 'keywords'
+	}
+}
+
+/**
+ * Ask the local model for categories
+ * @param {Object} article - article with title / metaDescription
+ * @param {Object} categorize - categorize settings
+ * @param {Object} llm - llm settings
+ * @returns {Promise<Object|null>} { categories, confidence, method } or null when the reply is unusable
+ */
+async function categorizeWithModel(article, categorize, llm) {
+	const labels = Object.keys(categorize.categories)
+	const reply = await chatCompletion(
+		[
+			{
+				role: 'system',
+				content: `You classify news articles. Choose 1 to ${categorize.maxCategories} categories from this list: ${labels.join(', ')}. Reply with JSON only: {"categories": ["..."], "confidence": <number between 0 and 1>}`
+			},
+			{ role: 'user', content: `Title: ${article.title || ''}\nDescription: ${article.metaDescription || ''}` }
+		],
+		llm
+	)
+
+	const parsed = parseJsonReply(reply)
+	if (!parsed || !Array.isArray(parsed.categories)) {
+		return null
+	}
+
+	// keep only labels we offered, in the model's order
+	const categories = [...new Set(parsed.categories.map(category => String(category).trim().toLowerCase()))]
+		.filter(category => labels.includes(category))
+		.slice(0, categorize.maxCategories)
+	if (categories.length === 0) {
+		return null
+	}
+
+	const confidence = Number(parsed.confidence)
+	return {
+		categories,
+		confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+		method: 'llm'
+	}
+}
+
+/**
+ * Categorize articles in place: cached model result, else the local model, else keywords.
+ * Sets article.categories, article.categoryConfidence and article.categorySource ("llm", "keywords" or "source").
+ * The model is skipped for the rest of the run after its first failure.
+ * @param {Array} articles - articles with an id
+ * @param {Object} options - { categorize, llm, cache, cacheOnly: never call the model (dry runs) }
+ * @returns {Promise<Object>} { cached, llm, fallback, modelError }
+ */
+async function categorizeArticles(articles, options = {}) {
+	const categorize = options.categorize || DEFAULT_CATEGORIZE_CONFIG
+	const llm = options.llm || (await loadLlmConfig())
+	const cache = options.cache || {}
+	const summary = { cached: 0, llm: 0, fallback: 0, modelError: null }
+
+	for (const article of articles) {
+		let result = cache[article.id]
+
+		if (result) {
+			summary.cached++
+		} else {
+			if (!options.cacheOnly && !summary.modelError) {
+				try {
+					result = await categorizeWithModel(article, categorize, llm)
+				} catch (error) {
+					summary.modelError = error.message
+					console.log(`⚠️ Local model unavailable (${error.message}), using keyword fallback`)
+				}
+			}
+
+			if (result) {
+				// only model answers are cached: keyword results are cheap and should be upgraded once a model is up
+				cache[article.id] = { ...result, model: llm.model, categorizedAt: new Date().toISOString() }
+				summary.llm++
+			} else {
+				result = categorizeByKeywords(article, categorize)
+				summary.fallback++
+			}
+		}
+
+		article.categories = result.categories
+		article.categoryConfidence = result.confidence
+		article.categorySource = result.method
+	}
+
+	return summary
+}
+
+// Run if called directly: re-categorize the latest outputs, e.g. after starting the local model
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const dataDir = path.join(__dirname, '../data')
+
+	;(async () => {
+		const categorize = await loadCategorizeConfig()
+		const llm = await loadLlmConfig()
+		const cache = await loadCategoryCache()
+		console.log(`🏷️ Categorizing with ${llm.provider} model ${llm.model} at ${llm.baseUrl}`)
+
+		for (const file of ['latest-raw.json', 'latest-new.json']) {
+			const filepath = path.join(dataDir, file)
+			if (!existsSync(filepath)) {
+				console.log(`⚠️ ${file} not found, skipping`)
+				continue
+			}
+
+			const data = JSON.parse(await fs.readFile(filepath, 'utf-8'))
+			const summary = await categorizeArticles(data.articles || [], { categorize, llm, cache })
+			await fs.writeFile(filepath, JSON.stringify(data, null, 2))
+			console.log(`✅ ${file}: ${summary.llm} by model, ${summary.cached} cached, ${summary.fallback} by keywords`)
+		}
+
+		await saveCategoryCache(cache)
+	})().catch(error => {
+		console.error('❌ Categorization failed:', error.message)
+		process.exit(1)
+	})
+}
+
+export { DEFAULT_CATEGORIZE_CONFIG, categorizeArticles, categorizeByKeywords, loadCategorizeConfig, loadCategoryCache, saveCategoryCache }
@@ -3,6 +3,24 @@
 import { readFileSync } from 'fs'
 import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
+import { loadGlobalFilters, resolveSourceFilters } from './article-filters.js'
+import { loadSiteConfig } from './build-site.js'
+import { loadCategorizeConfig } from './categorize.js'
+import { loadCrawlDefaults, resolveSourcePolicies } from './crawl-policy.js'
+import { loadSources } from './crawl.js'
+import { loadDedupeConfig } from './dedupe.js'
+import { validateSourceTypes } from './feed-formats.js'
+import { loadLlmConfig } from './llm-client.js'
+import { loadNewsletterConfig } from './newsletter.js'
+import { loadPipelineConfig } from './pipeline.js'
+import { loadRetentionConfig } from './prune.js'
+import { loadPublishConfig } from './publish-feeds.js'
+import { loadConcurrencyConfig } from './request-pool.js'
+import { loadSearchConfig } from './search-index.js'
+import { loadHealthConfig } from './source-health.js'
+import { loadStoreConfig } from './store.js'
+import { loadSummarizeConfig } from './summarize.js'
+import { loadWebhooksConfig } from './webhooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -77,7 +95,71 @@ function showAllMethods() {
 	}
 }
 
-function main() {
+/**
+ * validate crawl policy overrides and filter rules in config.json and sources.json
+ * @returns {Promise<Array>} error messages, empty when every source policy is valid
+ */
+async function checkCrawlPolicy() {
+	try {
+		const sources = await loadSources()
+		const defaults = await loadCrawlDefaults()
+		const errors = resolveSourcePolicies(sources, defaults)
+		errors.push(...resolveSourceFilters(sources, await loadGlobalFilters()))
+		errors.push(...validateSourceTypes(sources))
+
+		console.log('\n🕷️ crawl policy check:')
+		console.log(`   defaults: itemLimit=${defaults.itemLimit}, daysBack=${defaults.daysBack}, maxRetries=${defaults.maxRetries}, timeout=${defaults.timeout}ms`)
+
+		if (errors.length > 0) {
+			console.log(`   ❌ ${errors.length} invalid value(s):`)
+			errors.forEach(message => console.log(`      - ${message}`))
+			return errors
+		}
+
+		sources.forEach(source => {
+			const { itemLimit, daysBack, maxRetries, timeout } = source.policy
+			console.log(`   ✅ ${source.name}: itemLimit=${itemLimit}, daysBack=${daysBack}, maxRetries=${maxRetries}, timeout=${timeout}ms, ${source.filterRules.length} filter rules`)
+		})
+		return []
+	} catch (error) {
+		console.error('❌ crawl policy check failed:', error.message)
+		return [error.message]
+	}
+}
+
+/**
+ * validate every other config.json section with the loader of the script that uses it
+ * @returns {Promise<Array>} error messages, empty when every section is valid
+ */
+async function checkConfigSections() {
+	const loaders = [
+		loadConcurrencyConfig,
+		loadRetentionConfig,
+		loadDedupeConfig,
+		loadLlmConfig,
+		loadCategorizeConfig,
+		loadSummarizeConfig,
+		loadPublishConfig,
+		loadSiteConfig,
+		loadNewsletterConfig,
+		loadHealthConfig,
+		loadWebhooksConfig,
+		loadPipelineConfig,
+		loadSearchConfig,
+		loadStoreConfig
+	]
+	const errors = []
+	for (const load of loaders) {
+		try {
+			await load()
+		} catch (error) {
+			errors.push(error.message)
+		}
+	}
+	return errors
+}
+
+async function main() {
 	console.log('🔍 PDF config check tool')
 	console.log('='.repeat(50))
 
@@ -100,15 +182,26 @@ function main() {
 			console.log(`   npm run ${enabledKey}`)
 		}
 	}
+
+	const policyErrors = await checkCrawlPolicy()
+
+	const sectionErrors = await checkConfigSections()
+	console.log('\n⚙️ config sections check:')
+	if (sectionErrors.length > 0) {
+		sectionErrors.forEach(message => console.log(`   ❌ ${message}`))
+	} else {
+		console.log('   ✅ all sections valid')
+	}
+
+	if (policyErrors.length > 0 || sectionErrors.length > 0) {
+		process.exitCode = 1
+	}
 }
 
 // run main function
 if (import.meta.url === `file://${process.argv[1]}`) {
 	main()
-} else {
-	// if run script directly, also run main function
-	main()
 }
 
-export { readPdfConfig, showAllMethods }
+export { checkConfigSections, checkCrawlPolicy, readPdfConfig, showAllMethods }
 
@@ -0,0 +1,340 @@
+import { existsSync, readFileSync } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { loadArchiveArticles } from './archive.js'
+import { checkConfigSections, checkCrawlPolicy } from './check-config.js'
+import { crawlAllSources, loadSources, selectSources } from './crawl.js'
+import { renderPdfs } from '../index.js'
+import { findArticlePdf, indexPdfs, resolvePdfMethod } from './pdf-paths.js'
+import { runPipeline } from './pipeline.js'
+import { pruneArchive } from './prune.js'
+import { buildSearchIndex, loadSearchIndex, searchArticles } from './search-index.js'
+import { assessSource, loadHealthConfig, loadSourceHealth } from './source-health.js'
+import { uploadPdfs } from './upload-pdfs-to-supabase.js'
+import { notifyWebhooks } from './webhooks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// exit codes: everything worked, the command could not run, some sources / PDFs / uploads failed
+const EXIT_OK = 0
+const EXIT_FATAL = 1
+const EXIT_PARTIAL = 2
+
+const FLAGS = {
+	group: { type: 'string', help: 'only this source group' },
+	source: { type: 'string', help: 'only this source (name or feed url)' },
+	since: { type: 'string', help: 'only articles since an ISO date or a relative time like 12h, 3d' },
+	until: { type: 'string', help: 'only articles before an ISO date (a day counts in full) or a relative time' },
+	category: { type: 'string', help: 'only this category' },
+	limit: { type: 'string', help: 'at most this many results (default: 10)' },
+	rebuild: { type: 'boolean', help: 'rebuild the search index from the archive first' },
+	article: { type: 'string', multiple: true, help: 'only this article ID (repeatable)' },
+	new: { type: 'boolean', help: 'only the articles of latest-new.json' },
+	method: { type: 'string', help: 'html-to-pdf or url-to-pdf (default: first enabled in config.json)' },
+	'dry-run': { type: 'boolean', help: 'show what would happen, write and send nothing' },
+	'data-dir': { type: 'string', help: 'data directory (default: data/)' },
+	'pdf-dir': { type: 'string', help: 'PDF directory (default: pdfs/)' },
+	fresh: { type: 'boolean', help: 'start a new pipeline run instead of resuming a failed one' },
+	commit: { type: 'boolean', help: 'commit data, feeds and PDFs after the pipeline stages' },
+	push: { type: 'boolean', help: 'push the pipeline commit' },
+	json: { type: 'boolean', help: 'print the result as JSON on stdout, logs go to stderr' },
+	help: { type: 'boolean', short: 'h', help: 'show help' }
+}
+
+// a bad command line, exits with EXIT_FATAL
+class UsageError extends Error {}
+
+/**
+ * Parse --since: an ISO date or a duration before now (30m, 12h, 3d)
+ * @param {string} value - flag value
+ * @param {Date} now - reference time
+ * @returns {Date} cutoff
+ */
+function parseSince(value, now = new Date()) {
+	return parseTime('since', value, now)
+}
+
+/**
+ * Parse --until: like --since, but a bare day (2026-10-12) includes that whole day
+ * @param {string} value - flag value
+ * @param {Date} now - reference time
+ * @returns {Date} exclusive end
+ */
+function parseUntil(value, now = new Date()) {
+	const date = parseTime('until', value, now)
+	return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date
+}
+
+function parseTime(flag, value, now) {
+	const relative = /^(\d+)([mhd])$/.exec(value)
+	if (relative) {
+		const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2]]
+		return new Date(now.getTime() - Number(relative[1]) * unit)
+	}
+
+	const date = new Date(value)
+	if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+		throw new UsageError(`--${flag} must be an ISO date or a duration like 12h or 3d, got "${value}"`)
+	}
+	return date
+}
+
+function readArticles(dataDir, filename) {
+	const filepath = path.join(dataDir, filename)
+	return existsSync(filepath) ? JSON.parse(readFileSync(filepath, 'utf8')).articles || [] : []
+}
+
+/**
+ * Articles selected by --group, --source, --since, --article and --new
+ * --since and --article look through the whole archive, otherwise the last crawl is used
+ * @param {Object} flags - parsed flags
+ * @param {Object} context - { dataDir, since }
+ * @returns {Promise<Array>} articles
+ */
+async function selectArticles(flags, context) {
+	const { dataDir, since } = context
+	let articles
+	if (since || flags.article) {
+		const byId = new Map((await loadArchiveArticles({ dataDir })).map(article => [article.id, article]))
+		readArticles(dataDir, 'latest-raw.json').forEach(article => byId.set(article.id, article))
+		articles = [...byId.values()]
+	} else {
+		articles = readArticles(dataDir, flags.new ? 'latest-new.json' : 'latest-raw.json')
+	}
+
+	if (flags.group || flags.source) {
+		const names = new Set(selectSources(await loadSources(), flags).map(source => source.name))
+		if (names.size === 0) {
+			throw new UsageError(`No source matches ${JSON.stringify({ group: flags.group, source: flags.source })}`)
+		}
+		articles = articles.filter(article => names.has(article.source))
+	}
+	if (since) {
+		articles = articles.filter(article => new Date(article.pubDate) >= since)
+	}
+	if (flags.article) {
+		articles = articles.filter(article => flags.article.includes(article.id))
+		const missing = flags.article.filter(id => !articles.some(article => article.id === id))
+		if (missing.length > 0) {
+			throw new UsageError(`Article(s) not found: ${missing.join(', ')}`)
+		}
+	}
+
+	return articles
+}
+
+const COMMANDS = {
+	crawl: {
+		description: 'crawl the sources and save the snapshots, latest-raw.json and latest-new.json',
+		flags: ['group', 'source', 'since', 'dry-run', 'data-dir'],
+		async run(flags, context) {
+			const results = await crawlAllSources({ dataDir: context.dataDir, configPath: context.configPath, group: flags.group, source: flags.source, since: context.since, dryRun: flags['dry-run'] })
+			const groups = Object.entries(results).map(([group, result]) => ({
+				group,
+				articles: result.articles.length,
+				newArticles: result.newArticles.length,
+				failedSources: result.stats.failed,
+				snapshot: result.filepath ? path.relative(context.dataDir, result.filepath) : null
+			}))
+			groups.forEach(group => console.log(`   📊 ${group.group}: ${group.articles} articles, ${group.newArticles} new, ${group.failedSources} failed sources`))
+
+			const failedSources = groups.reduce((sum, group) => sum + group.failedSources, 0)
+			return { result: { dryRun: Boolean(flags['dry-run']), groups, failedSources }, exitCode: failedSources > 0 ? EXIT_PARTIAL : EXIT_OK }
+		}
+	},
+
+	pdf: {
+		description: 'render the articles of the last crawl to PDF',
+		flags: ['group', 'source', 'since', 'article', 'new', 'method', 'dry-run', 'data-dir', 'pdf-dir'],
+		// webhook event for a run that fails as a whole (browser launch, missing latest-raw.json)
+		failure: error => ['pdf-failed', { script: 'daily-news pdf', items: [{ title: 'daily-news pdf run', url: null, error: error.message }] }],
+		async run(flags, context) {
+			const method = resolvePdfMethod(flags.method)
+			const articles = await selectArticles(flags, context)
+			console.log(`📄 ${articles.length} articles selected (${method})`)
+
+			if (flags['dry-run']) {
+				const index = await indexPdfs(context.pdfDir)
+				const planned = articles.map(article => ({ id: article.id, title: article.title, url: article.url, pdf: findArticlePdf(article, index) }))
+				planned.forEach(item => console.log(`   ${item.pdf ? `⏭️ exists ${item.pdf}` : '🆕 render'}: ${item.title}`))
+				const toRender = planned.filter(item => !item.pdf).length
+				return { result: { dryRun: true, method, total: planned.length, toRender, existing: planned.length - toRender, articles: planned }, exitCode: EXIT_OK }
+			}
+
+			const summary = await renderPdfs(articles, { method, configPath: context.configPath, dataDir: context.dataDir, pdfDir: context.pdfDir })
+			return { result: { dryRun: false, ...summary }, exitCode: summary.failed > 0 ? EXIT_PARTIAL : EXIT_OK }
+		}
+	},
+
+	upload: {
+		description: 'upload PDFs to Supabase Storage (--since: PDFs rendered since that day)',
+		flags: ['group', 'source', 'since', 'article', 'dry-run', 'data-dir', 'pdf-dir'],
+		failure: (error, context) => ['upload-failed', { items: [{ file: context.pdfDir, error: error.message }] }],
+		async run(flags, context) {
+			let files
+			if (flags.group || flags.source || flags.article) {
+				const index = await indexPdfs(context.pdfDir)
+				files = (await selectArticles(flags, { dataDir: context.dataDir })).map(article => findArticlePdf(article, index)).filter(Boolean)
+				console.log(`📄 ${files.length} PDFs of the selected articles`)
+			}
+
+			const summary = await uploadPdfs({ pdfDir: context.pdfDir, configPath: context.configPath, dataDir: context.dataDir, since: context.since, files, dryRun: flags['dry-run'] })
+			return { result: { dryRun: Boolean(flags['dry-run']), ...summary }, exitCode: summary.failed > 0 ? EXIT_PARTIAL : EXIT_OK }
+		}
+	},
+
+	prune: {
+		description: 'remove snapshots, PDFs and index entries outside the retention window',
+		flags: ['dry-run', 'data-dir', 'pdf-dir'],
+		async run(flags, context) {
+			const summary = await pruneArchive({ dataDir: context.dataDir, pdfDir: context.pdfDir, dryRun: flags['dry-run'] })
+			const verb = summary.dryRun ? 'would remove' : 'removed'
+			console.log(`🧹 ${verb} ${summary.snapshots.length} snapshots, ${summary.pdfDirs.length} PDF folders (${summary.pdfFiles} PDFs), ${summary.indexEntries} index entries, ${summary.searchDocuments} search documents`)
+			return { result: summary, exitCode: EXIT_OK }
+		}
+	},
+
+	pipeline: {
+		description: 'run the stages of config.json "pipeline", resuming the last run if it failed',
+		flags: ['fresh', 'commit', 'push', 'data-dir', 'pdf-dir'],
+		async run(flags, context) {
+			const run = await runPipeline({ dataDir: context.dataDir, pdfDir: context.pdfDir, fresh: flags.fresh, commit: flags.commit, push: flags.push })
+			return { result: run, exitCode: { failed: EXIT_FATAL, partial: EXIT_PARTIAL }[run.status] || EXIT_OK }
+		}
+	},
+
+	search: {
+		description: 'full-text search of the crawled articles, best matches first',
+		args: '<query>',
+		flags: ['group', 'source', 'category', 'since', 'until', 'limit', 'rebuild', 'data-dir', 'pdf-dir'],
+		async run(flags, context) {
+			const query = context.args.join(' ').trim()
+			if (!query) throw new UsageError('search needs a query, e.g. daily-news search government shutdown')
+			const limit = flags.limit === undefined ? 10 : Number(flags.limit)
+			if (!Number.isInteger(limit) || limit < 1) throw new UsageError(`--limit must be a positive integer, got "${flags.limit}"`)
+
+			const indexPath = path.join(context.dataDir, 'search-index.json')
+			if (flags.rebuild || !existsSync(indexPath)) {
+				const built = await buildSearchIndex({ dataDir: context.dataDir, indexPath })
+				console.log(`🔎 Built the search index from the archive (${built.documents} articles)`)
+			}
+
+			const filters = { since: context.since, until: flags.until ? parseUntil(flags.until) : null, group: flags.group, source: flags.source, category: flags.category, limit }
+			const pdfIndex = await indexPdfs(context.pdfDir)
+			const results = searchArticles(await loadSearchIndex(indexPath), query, filters).map(result => ({ ...result, pdf: findArticlePdf(result, pdfIndex) }))
+
+			console.log(`🔎 ${results.length} result(s) for "${query}"`)
+			results.forEach((result, index) => {
+				const categories = result.categories.length > 0 ? ` · ${result.categories.join(', ')}` : ''
+				console.log(`\n${index + 1}. ${result.title} (score ${result.score})`)
+				console.log(`   ${(result.pubDate || '').slice(0, 10)} · ${[result.source_group, result.source].filter(Boolean).join('/')}${categories}`)
+				console.log(`   ${result.snippet}`)
+				console.log(`   🔗 ${result.url}`)
+				if (result.pdf) console.log(`   📄 ${path.relative(process.cwd(), path.join(context.pdfDir, result.pdf))}`)
+			})
+			return { result: { query, total: results.length, results }, exitCode: EXIT_OK }
+		}
+	},
+
+	check: {
+		description: 'validate config.json and sources.json',
+		flags: [],
+		async run() {
+			const errors = [...(await checkCrawlPolicy()), ...(await checkConfigSections())]
+			errors.forEach(message => console.log(`❌ ${message}`))
+			console.log(errors.length > 0 ? `\n❌ ${errors.length} invalid value(s)` : '\n✅ configuration valid')
+			return { result: { valid: errors.length === 0, errors }, exitCode: errors.length > 0 ? EXIT_FATAL : EXIT_OK }
+		}
+	},
+
+	sources: {
+		description: 'list the configured sources with their health',
+		flags: ['group', 'source', 'data-dir'],
+		async run(flags, context) {
+			const sources = selectSources(await loadSources(), flags)
+			const health = await loadSourceHealth(path.join(context.dataDir, 'source-health.json'))
+			const healthConfig = await loadHealthConfig()
+			const list = sources.map(source => ({
+				group: source.sourceIdentifier,
+				name: source.name,
+				url: source.url,
+				type: source.type || 'rss',
+				category: source.category || null,
+				health: assessSource(health[source.url], healthConfig).state
+			}))
+
+			const icons = { failing: '❌', stale: '💤', unknown: '❔', ok: '✅' }
+			list.forEach(source => console.log(`${icons[source.health]} ${source.group}/${source.name} (${source.type}) ${source.url}`))
+			return { result: list, exitCode: EXIT_OK }
+		}
+	}
+}
+
+function usage() {
+	const commands = Object.entries(COMMANDS).map(
+		([name, command]) => `  ${name.padEnd(8)} ${command.description}\n${' '.repeat(11)}${command.args ? `${command.args} ` : ''}flags: ${[...command.flags, 'json'].map(flag => `--${flag}`).join(' ')}`
+	)
+	const flags = Object.entries(FLAGS).map(([name, flag]) => `  --${`${name}${flag.type === 'string' ? ' <value>' : ''}`.padEnd(18)} ${flag.help}`)
+	return ['Usage: daily-news <command> [arguments] [flags]', '', 'Commands:', ...commands, '', 'Flags:', ...flags, '', 'Exit codes: 0 ok, 1 error, 2 some sources / PDFs / uploads failed'].join('\n')
+}
+
+/**
+ * Run a daily-news command line
+ * @param {Array<string>} argv - arguments after the binary name
+ * @returns {Promise<number>} exit code
+ */
+async function runCli(argv) {
+	let flags
+	let command
+	let args
+	try {
+		const parsed = parseArgs({ args: argv, options: Object.fromEntries(Object.entries(FLAGS).map(([name, { help: _, ...flag }]) => [name, flag])), allowPositionals: true })
+		flags = parsed.values
+		const [name, ...extra] = parsed.positionals
+		args = extra
+		if (flags.help || !name) {
+			console.log(usage())
+			return name || flags.help ? EXIT_OK : EXIT_FATAL
+		}
+
+		command = COMMANDS[name]
+		if (!command) throw new UsageError(`Unknown command "${name}"`)
+		if (extra.length > 0 && !command.args) throw new UsageError(`Unexpected argument "${extra[0]}"`)
+		const unsupported = Object.keys(flags).filter(flag => flag !== 'json' && !command.flags.includes(flag))
+		if (unsupported.length > 0) throw new UsageError(`--${unsupported[0]} is not supported by "${name}"`)
+	} catch (error) {
+		console.error(`❌ ${error.message}\n💡 run "daily-news --help" for the commands and flags`)
+		return EXIT_FATAL
+	}
+
+	// with --json stdout only carries the result, so progress logs move to stderr
+	const log = console.log
+	if (flags.json) console.log = console.error
+
+	let context
+	try {
+		context = {
+			configPath: path.join(__dirname, '../config.json'),
+			dataDir: path.resolve(flags['data-dir'] || path.join(__dirname, '../data')),
+			pdfDir: path.resolve(flags['pdf-dir'] || path.join(__dirname, '../pdfs')),
+			since: flags.since ? parseSince(flags.since) : null,
+			args
+		}
+		const { result, exitCode } = await command.run(flags, context)
+		if (flags.json) process.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+		return exitCode
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		if (command.failure && context && !flags['dry-run'] && !(error instanceof UsageError)) {
+			await notifyWebhooks(...command.failure(error, context), context.configPath)
+		}
+		if (flags.json) process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`)
+		return EXIT_FATAL
+	} finally {
+		console.log = log
+	}
+}
+
+export { COMMANDS, EXIT_FATAL, EXIT_OK, EXIT_PARTIAL, parseSince, parseUntil, runCli, selectArticles }
@@ -0,0 +1,103 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// built-in defaults, used when config.json has no "crawl" section
+const DEFAULT_CRAWL_POLICY = {
+	itemLimit: 2, // articles taken from the top of each feed
+	daysBack: 15, // 15 days to align with cleanup
+	maxRetries: 2, // retries after the first attempt
+	timeout: 30000, // request timeout in milliseconds
+	fullText: false, // download the article page when the feed only has a teaser
+	fullTextMinWords: 150 // feed content with fewer words counts as a teaser
+}
+
+// validators for each policy key: return an error message or null
+const POLICY_RULES = {
+	itemLimit: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'),
+	daysBack: value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : 'must be a positive number of days'),
+	maxRetries: value => (Number.isInteger(value) && value >= 0 ? null : 'must be an integer >= 0'),
+	timeout: value => (Number.isInteger(value) && value >= 1000 ? null : 'must be an integer >= 1000 (milliseconds)'),
+	fullText: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+	fullTextMinWords: value => (Number.isInteger(value) && value >= 0 ? null : 'must be an integer >= 0')
+}
+
+/**
+ * Load global crawl defaults from the "crawl" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} global crawl policy
+ */
+async function loadCrawlDefaults(configPath = path.join(__dirname, '../config.json')) {
+	if (!existsSync(configPath)) {
+		return { ...DEFAULT_CRAWL_POLICY }
+	}
+
+	const configData = await fs.readFile(configPath, 'utf-8')
+	const config = JSON.parse(configData)
+	return { ...DEFAULT_CRAWL_POLICY, ...(config.crawl || {}) }
+}
+
+/**
+ * Validate a partial crawl policy object
+ * @param {Object} policy - policy overrides
+ * @param {string} label - where the policy came from, used in messages
+ * @returns {Array<string>} error messages
+ */
+function validatePolicy(policy, label) {
+	const errors = []
+
+	if (policy === undefined) {
+		return errors
+	}
+
+	if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+		return [`${label}: "crawl" must be an object`]
+	}
+
+	for (const [key, value] of Object.entries(policy)) {
+		const rule = POLICY_RULES[key]
+		if (!rule) {
+			errors.push(`${label}: unknown crawl option "${key}" (allowed: ${Object.keys(POLICY_RULES).join(', ')})`)
+			continue
+		}
+
+		const message = rule(value)
+		if (message) {
+			errors.push(`${label}: crawl.${key} ${message}, got ${JSON.stringify(value)}`)
+		}
+	}
+
+	return errors
+}
+
+/**
+ * Resolve the effective crawl policy for every source (defaults < group < source)
+ * and attach it as source.policy
+ * @param {Array} sources - sources from loadSources
+ * @param {Object} defaults - global crawl policy
+ * @returns {Array<string>} validation errors, empty when every policy is valid
+ */
+function resolveSourcePolicies(sources, defaults) {
+	const errors = validatePolicy(defaults, 'config.json')
+	const checkedGroups = new Set()
+
+	for (const source of sources) {
+		const groupName = source.sourceIdentifier
+		const groupPolicy = source.groupConfig?.crawl
+
+		if (!checkedGroups.has(groupName)) {
+			checkedGroups.add(groupName)
+			errors.push(...validatePolicy(groupPolicy, `sources.json group "${groupName}"`))
+		}
+		errors.push(...validatePolicy(source.crawl, `sources.json source "${source.name}"`))
+
+		source.policy = { ...defaults, ...(groupPolicy || {}), ...(source.crawl || {}) }
+	}
+
+	return errors
+}
+
+export { DEFAULT_CRAWL_POLICY, loadCrawlDefaults, resolveSourcePolicies, validatePolicy }
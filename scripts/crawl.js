@@ -1,29 +1,50 @@
-import { promises as fs } from 'fs'
+import { existsSync, promises as fs } from 'fs'
 import path from 'path'
-import Parser from 'rss-parser'
 import { fileURLToPath } from 'url'
+import { applyFilters, loadGlobalFilters, resolveSourceFilters } from './article-filters.js'
+import { canonicalizeUrl, generateArticleId } from './article-id.js'
+import { loadArticleIndex, saveArticleIndex, updateArticleIndex } from './article-index.js'
+import { categorizeArticles, loadCategorizeConfig, loadCategoryCache, saveCategoryCache } from './categorize.js'
+import { DEFAULT_CRAWL_POLICY, loadCrawlDefaults, resolveSourcePolicies } from './crawl-policy.js'
+import { findDuplicates, loadDedupeConfig } from './dedupe.js'
+import { countWords, fetchFullText } from './extract-fulltext.js'
+import { conditionalFetch, loadFeedCache, saveFeedCache } from './feed-cache.js'
+import { parseFeed, validateSourceTypes } from './feed-formats.js'
+import { loadLlmConfig } from './llm-client.js'
+import { DEFAULT_CONCURRENCY, backoffDelay, createRequestPool, loadConcurrencyConfig } from './request-pool.js'
+import { scrapeArticles, scrapeListPage } from './scrape-source.js'
+import { indexArticles, loadSearchConfig } from './search-index.js'
+import { loadSourceHealth, pruneSourceHealth, recordSourceRun, saveSourceHealth } from './source-health.js'
+import { recordToStore } from './store.js'
+import { loadSummarizeConfig, loadSummaryCache, saveSummaryCache, summarizeArticles } from './summarize.js'
+import { createNotifier, loadWebhooksConfig } from './webhooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-const parser = new Parser({
-	timeout: 30000, // add timeout to 30 seconds
-	maxRedirects: 5 // add max redirects to 5
-})
-
 // Load sources
-async function loadSources() {
-	const sourcesPath = path.join(__dirname, '../sources.json')
+async function loadSources(sourcesPath = path.join(__dirname, '../sources.json')) {
 	const sourcesData = await fs.readFile(sourcesPath, 'utf-8')
-	const sourcesJson = JSON.parse(sourcesData)
+	return flattenSources(JSON.parse(sourcesData))
+}
 
-	// Extract all sources from the JSON structure
+/**
+ * Extract all sources from sources.json content, each tagged with its group
+ * @param {Object} sourcesJson - sources.json content
+ * @returns {Array} sources
+ */
+function flattenSources(sourcesJson) {
+	// a group is either an array of sources or { crawl: {...}, sources: [...] } with group-level overrides
 	const allSources = []
-	for (const [sourceName, sourceArray] of Object.entries(sourcesJson)) {
+	for (const [sourceName, group] of Object.entries(sourcesJson)) {
+		const sourceArray = Array.isArray(group) ? group : group?.sources
 		if (Array.isArray(sourceArray)) {
-			// Add source identifier to each source
+			const { sources: _, ...groupConfig } = Array.isArray(group) ? {} : group
+
+			// Add source identifier and group settings to each source
 			sourceArray.forEach(source => {
 				source.sourceIdentifier = sourceName
+				source.groupConfig = groupConfig
 			})
 			allSources.push(...sourceArray)
 		}
@@ -50,13 +71,94 @@ function cleanTitle(title) {
 		.trim()
 }
 
-// Main crawl function
-async function crawlAllSources() {
-	console.log('🤖 Starting crawl...')
+/**
+ * Select sources by group name and source name or URL (both optional)
+ * @param {Array} sources - sources from loadSources
+ * @param {Object} selection - { group, source }
+ * @returns {Array} matching sources
+ */
+function selectSources(sources, selection = {}) {
+	return sources.filter(
+		source => (!selection.group || source.sourceIdentifier === selection.group) && (!selection.source || source.name === selection.source || source.url === selection.source)
+	)
+}
+
+/**
+ * Articles of a combined file (latest-raw.json / latest-new.json) with those of the crawled sources replaced
+ * @param {string} filePath - combined file from the previous run
+ * @param {Array} articles - articles of this run
+ * @param {Array} crawledSources - sources crawled in this run
+ * @returns {Promise<Array>} articles of the other sources followed by this run's
+ */
+async function mergeScopedArticles(filePath, articles, crawledSources) {
+	if (!existsSync(filePath)) return [...articles]
+
+	let previous = []
+	try {
+		previous = JSON.parse(await fs.readFile(filePath, 'utf-8')).articles || []
+	} catch (error) {
+		console.log(`⚠️ Failed to read ${path.basename(filePath)}, keeping only this run's articles: ${error.message}`)
+	}
+
+	const crawled = new Set(crawledSources.map(source => `${source.sourceIdentifier}/${source.name}`))
+	return [...previous.filter(article => !crawled.has(`${article.source_group}/${article.source}`)), ...articles]
+}
+
+/**
+ * Crawl every source (or a selection) and save group snapshots, latest-raw.json and latest-new.json
+ * @param {Object} options - { dataDir, configPath, sourcesPath, sources: from loadSources instead of sourcesPath, group, source, since: Date overriding daysBack, dryRun: write nothing and notify no one }
+ * @returns {Promise<Object>} results per group
+ */
+async function crawlAllSources(options = {}) {
+	const { dataDir = path.join(__dirname, '../data'), configPath, since = null, dryRun = false } = options
+	console.log(`🤖 Starting crawl...${dryRun ? ' (dry run, nothing is written)' : ''}`)
+
+	const allSources = options.sources || (await loadSources(options.sourcesPath))
+
+	// Feed formats: rss (default), atom, jsonfeed, news-sitemap, scrape (CSS selectors)
+	const typeErrors = validateSourceTypes(allSources)
+	if (typeErrors.length > 0) {
+		console.error('❌ Invalid source type:')
+		typeErrors.forEach(message => console.error(`   - ${message}`))
+		throw new Error(`Invalid source type (${typeErrors.length} errors)`)
+	}
 
-	const sources = await loadSources()
+	// Resolve per-source crawl policy and stop before crawling if any value is invalid
+	const crawlDefaults = await loadCrawlDefaults(configPath)
+	const policyErrors = resolveSourcePolicies(allSources, crawlDefaults)
+	if (policyErrors.length > 0) {
+		console.error('❌ Invalid crawl policy:')
+		policyErrors.forEach(message => console.error(`   - ${message}`))
+		throw new Error(`Invalid crawl policy (${policyErrors.length} errors)`)
+	}
+
+	// Compile include/exclude rules (global < group < source)
+	const globalFilters = await loadGlobalFilters(configPath)
+	const filterErrors = resolveSourceFilters(allSources, globalFilters)
+	if (filterErrors.length > 0) {
+		console.error('❌ Invalid filter rules:')
+		filterErrors.forEach(message => console.error(`   - ${message}`))
+		throw new Error(`Invalid filter rules (${filterErrors.length} errors)`)
+	}
+
+	// every source is validated above, only the selected ones are crawled
+	const sources = selectSources(allSources, options)
+	if (sources.length === 0) {
+		throw new Error(`No source matches ${JSON.stringify({ group: options.group, source: options.source })}`)
+	}
 	console.log(`Found ${sources.length} sources to crawl`)
 
+	// Webhook notifications share one rate limit for the whole run
+	const webhooks = await loadWebhooksConfig(configPath)
+	const notifier = createNotifier(dryRun ? { ...webhooks, endpoints: [] } : webhooks)
+
+	// Load ETag / Last-Modified validators and the seen-article index from previous runs
+	const feedCache = await loadFeedCache(path.join(dataDir, 'feed-cache.json'))
+	const sourceHealth = await loadSourceHealth(path.join(dataDir, 'source-health.json'))
+	const articleIndex = await loadArticleIndex(path.join(dataDir, 'article-index.json'))
+	const previousIndexUpdate = articleIndex.updatedAt
+	const runStartedAt = new Date().toISOString()
+
 	// Group sources by sourceIdentifier
 	const sourcesByGroup = {}
 	sources.forEach(source => {
@@ -69,55 +171,98 @@ async function crawlAllSources() {
 
 	console.log(`📊 Source groups: ${Object.keys(sourcesByGroup).join(', ')}`)
 
-	// Process each source group separately
-	const allGroupResults = {}
+	// One shared work queue for every group: global concurrency + per-host limits
+	const concurrency = await loadConcurrencyConfig(configPath)
+	const pool = createRequestPool(concurrency)
 
+	const crawledGroups = {}
 	for (const [groupName, groupSources] of Object.entries(sourcesByGroup)) {
-		console.log(`\n🔄 Processing source group: ${groupName}`)
-
-		// Crawl all sources in this group
-		const allArticles = []
-		const crawlStats = { totalProcessed: 0, filtered: 0, failed: 0 }
-		const batchSize = 3
-
-		for (let i = 0; i < groupSources.length; i += batchSize) {
-			const batch = groupSources.slice(i, i + batchSize)
-			console.log(`\n📦 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(groupSources.length / batchSize)}`)
-
-			const promises = batch.map(source => crawlFeed(source, crawlStats))
-			const results = await Promise.allSettled(promises)
-
-			for (let j = 0; j < results.length; j++) {
-				const result = results[j]
-				const source = batch[j]
-
-				if (result.status === 'fulfilled' && result.value.articles) {
-					allArticles.push(...result.value.articles)
-					console.log(`✅ ${source.name}: ${result.value.articles.length} articles`)
-				} else {
-					crawlStats.failed++
-					console.error(`❌ ${source.name}: Failed to crawl`)
-					if (result.status === 'rejected') {
-						console.error(`   Error: ${result.reason.message}`)
-					}
-				}
-			}
+		const crawlStats = { totalProcessed: 0, filtered: 0, failed: 0, unchanged: 0, duplicates: 0, filteredByRule: {}, dropped: [] }
+		crawledGroups[groupName] = { groupSources, allArticles: [], crawlStats }
+	}
 
-			// add delay between batches
-			if (i + batchSize < groupSources.length) {
-				console.log('⏳ Waiting 2 seconds before next batch...')
-				await new Promise(resolve => setTimeout(resolve, 2000))
-			}
+	console.log(`\n🚦 Crawling ${sources.length} sources (global concurrency ${concurrency.global}, ${concurrency.maxParallelPerHost} per host, ${concurrency.minIntervalMs}ms between requests per host)`)
+
+	const promises = sources.map(source => crawlFeed(source, crawledGroups[source.sourceIdentifier].crawlStats, { feedCache, pool, concurrency, since }))
+	const results = await Promise.allSettled(promises)
+
+	const failedSources = []
+	for (let i = 0; i < results.length; i++) {
+		const result = results[i]
+		const source = sources[i]
+		const { allArticles, crawlStats } = crawledGroups[source.sourceIdentifier]
+
+		if (result.status === 'fulfilled' && result.value.articles && !result.value.error) {
+			recordSourceRun(sourceHealth, source, { ok: true, status: result.value.status, articles: result.value.articles.length, newestItemAt: result.value.newestItemAt })
+			allArticles.push(...result.value.articles)
+			const unchangedNote = result.value.unchanged ? ' (unchanged)' : ''
+			console.log(`✅ ${source.sourceIdentifier}/${source.name}: ${result.value.articles.length} articles${unchangedNote}`)
+		} else {
+			crawlStats.failed++
+			const error = result.status === 'rejected' ? result.reason.message : result.value.error
+			console.error(`❌ ${source.sourceIdentifier}/${source.name}: Failed to crawl`)
+			console.error(`   Error: ${error}`)
+			recordSourceRun(sourceHealth, source, { ok: false, status: result.status === 'rejected' ? null : result.value.status, error })
+			failedSources.push({ group: source.sourceIdentifier, source: source.name, url: source.url, error })
 		}
+	}
+
+	if (failedSources.length > 0) {
+		await notifier.notify('source-failed', { items: failedSources })
+	}
+
+	// Remove near-duplicates across all groups and against the recent archive
+	const dedupeConfig = await loadDedupeConfig(configPath)
+	const crawledArticles = Object.values(crawledGroups).flatMap(group => group.allArticles)
+	const { unique, duplicates } = findDuplicates(crawledArticles, articleIndex, dedupeConfig)
+	const uniqueSet = new Set(unique)
+	console.log(`\n🧬 Dedupe: ${crawledArticles.length} articles → ${unique.length} unique (${duplicates.length} linked as duplicates)`)
+
+	// Post-crawl categorization (local model, keyword fallback); dry runs only use the cache
+	const categorizeConfig = await loadCategorizeConfig(configPath)
+	if (categorizeConfig.enabled) {
+		const categoryCachePath = path.join(dataDir, 'category-cache.json')
+		const categoryCache = await loadCategoryCache(categoryCachePath)
+		const categorySummary = await categorizeArticles(unique, { categorize: categorizeConfig, llm: await loadLlmConfig(configPath), cache: categoryCache, cacheOnly: dryRun })
+		if (!dryRun) await saveCategoryCache(categoryCache, categoryCachePath)
+		console.log(`🏷️ Categorized: ${categorySummary.llm} by model, ${categorySummary.cached} cached, ${categorySummary.fallback} by keywords`)
+	}
+
+	// Post-crawl summaries (local model, cached per article ID + content hash); dry runs only use the cache
+	const summarizeConfig = await loadSummarizeConfig(configPath)
+	if (summarizeConfig.enabled) {
+		const summaryCachePath = path.join(dataDir, 'summary-cache.json')
+		const summaryCache = await loadSummaryCache(summaryCachePath)
+		const summaryStats = await summarizeArticles(unique, { summarize: summarizeConfig, llm: await loadLlmConfig(configPath), cache: summaryCache, cacheOnly: dryRun })
+		if (!dryRun) await saveSummaryCache(summaryCache, summaryCachePath)
+		console.log(`📝 Summarized: ${summaryStats.llm} by model, ${summaryStats.cached} cached, ${summaryStats.skipped} skipped`)
+	}
 
-		// Remove duplicates for this group
-		const uniqueArticles = removeDuplicates(allArticles)
+	// Process each source group separately
+	const allGroupResults = {}
+
+	for (const [groupName, { groupSources, allArticles, crawlStats }] of Object.entries(crawledGroups)) {
+		const uniqueArticles = allArticles.filter(article => uniqueSet.has(article))
+		const groupDuplicates = duplicates.filter(duplicate => duplicate.sourceGroup === groupName)
+		crawlStats.duplicates = groupDuplicates.length
 
 		// Sort by publication date (newest first)
 		uniqueArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
 
 		console.log(`\n📰 Group ${groupName}: Found ${uniqueArticles.length} unique articles`)
-		console.log(`📊 Group stats: ${crawlStats.totalProcessed} processed → ${uniqueArticles.length} kept (${crawlStats.filtered} filtered, ${crawlStats.failed} failed)`)
+		console.log(
+			`📊 Group stats: ${crawlStats.totalProcessed} processed → ${uniqueArticles.length} kept (${crawlStats.filtered} filtered, ${crawlStats.duplicates} duplicates, ${crawlStats.failed} failed, ${crawlStats.unchanged} unchanged)`
+		)
+		Object.entries(crawlStats.filteredByRule).forEach(([rule, count]) => {
+			console.log(`   🚫 ${rule}: ${count} dropped`)
+		})
+		groupDuplicates.forEach(duplicate => {
+			console.log(`   🔗 "${duplicate.title.substring(0, 50)}..." → duplicate of ${duplicate.duplicateOf}${duplicate.archived ? ' (archive)' : ''}`)
+		})
+
+		// Record first-seen / last-seen and collect articles never seen before
+		const newArticles = updateArticleIndex(articleIndex, uniqueArticles, groupName, runStartedAt)
+		console.log(`🆕 Group ${groupName}: ${newArticles.length} new since last run`)
 
 		// Save data for this group
 		const groupOutput = {
@@ -125,6 +270,10 @@ async function crawlAllSources() {
 			sourceGroup: groupName,
 			totalSources: groupSources.length,
 			totalArticles: uniqueArticles.length,
+			totalNew: newArticles.length,
+			filteredByRule: crawlStats.filteredByRule,
+			dropped: crawlStats.dropped,
+			duplicates: groupDuplicates,
 			articles: uniqueArticles
 		}
 
@@ -132,23 +281,35 @@ async function crawlAllSources() {
 		const now = new Date()
 		const timestamp = now.toISOString().slice(0, 13).replace('T', '-')
 
-		// Ensure data directory exists for this group
-		const groupDataDir = path.join(__dirname, '../data', groupName)
-		await fs.mkdir(groupDataDir, { recursive: true })
-
 		// Save with timestamp
 		const filename = `${timestamp}-latest-raw.json`
-		const filepath = path.join(groupDataDir, filename)
-		await fs.writeFile(filepath, JSON.stringify(groupOutput, null, 2))
-		console.log(`💾 Saved group data to: ${groupName}/${filename}`)
+		const filepath = dryRun ? null : path.join(dataDir, groupName, filename)
+		if (filepath) {
+			await fs.mkdir(path.dirname(filepath), { recursive: true })
+			await fs.writeFile(filepath, JSON.stringify(groupOutput, null, 2))
+			console.log(`💾 Saved group data to: ${groupName}/${filename}`)
+		}
 
 		allGroupResults[groupName] = {
 			articles: uniqueArticles,
+			newArticles: newArticles,
+			duplicates: groupDuplicates,
 			stats: crawlStats,
+			failedSources: failedSources.filter(failure => failure.group === groupName),
 			filepath: filepath
 		}
 	}
 
+	if (!dryRun) {
+		await saveFeedCache(feedCache, path.join(dataDir, 'feed-cache.json'))
+		console.log(`💾 Saved feed cache (${Object.keys(feedCache).length} feeds)`)
+		pruneSourceHealth(sourceHealth, allSources)
+		await saveSourceHealth(sourceHealth, path.join(dataDir, 'source-health.json'))
+		console.log(`💾 Saved source health (${Object.keys(sourceHealth).length} sources)`)
+		await saveArticleIndex(articleIndex, path.join(dataDir, 'article-index.json'))
+		console.log(`💾 Saved article index (${Object.keys(articleIndex.articles).length} articles)`)
+	}
+
 	// Create a combined summary
 	const totalArticles = Object.values(allGroupResults).reduce((sum, result) => sum + result.articles.length, 0)
 	console.log(`\n🎉 All groups processed! Total articles: ${totalArticles}`)
@@ -159,29 +320,89 @@ async function crawlAllSources() {
 		allCombinedArticles.push(...result.articles)
 	})
 
+	// a --group / --source run only replaces the crawled sources' articles in the combined files
+	const scoped = sources.length < allSources.length
+	const coveredSources = scoped ? allSources : sources
+	const combinedArticles = scoped ? await mergeScopedArticles(path.join(dataDir, 'latest-raw.json'), allCombinedArticles, sources) : allCombinedArticles
+
 	// Sort combined articles by publication date (newest first)
-	allCombinedArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+	combinedArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
 
 	// Save combined data to data/latest-raw.json
 	const combinedOutput = {
 		crawledAt: new Date().toISOString(),
-		totalSourceGroups: Object.keys(allGroupResults).length,
-		totalSources: sources.length,
-		totalArticles: allCombinedArticles.length,
-		articles: allCombinedArticles
+		totalSourceGroups: new Set(coveredSources.map(source => source.sourceIdentifier)).size,
+		totalSources: coveredSources.length,
+		totalArticles: combinedArticles.length,
+		articles: combinedArticles
+	}
+
+	if (!dryRun) {
+		await fs.writeFile(path.join(dataDir, 'latest-raw.json'), JSON.stringify(combinedOutput, null, 2))
+		console.log(`💾 Saved combined data to: latest-raw.json (${combinedArticles.length} articles${scoped ? `, ${allCombinedArticles.length} from this run` : ''})`)
+
+		// full-text search index, only new or changed articles are re-indexed
+		const searchConfig = await loadSearchConfig(configPath)
+		if (searchConfig.enabled) {
+			try {
+				const indexed = await indexArticles(combinedArticles, path.join(dataDir, 'search-index.json'))
+				console.log(`🔎 Search index: ${indexed.added} added, ${indexed.updated} updated (${indexed.documents} articles)`)
+			} catch (error) {
+				console.log(`⚠️ Search index not updated: ${error.message}`)
+			}
+		}
+	}
+
+	// Save the delta of never-seen-before articles to data/latest-new.json
+	const allNewArticles = []
+	Object.values(allGroupResults).forEach(result => {
+		allNewArticles.push(...result.newArticles)
+	})
+	allNewArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+
+	const newCombinedArticles = scoped ? await mergeScopedArticles(path.join(dataDir, 'latest-new.json'), allNewArticles, sources) : allNewArticles
+	newCombinedArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+
+	const newOutput = {
+		crawledAt: combinedOutput.crawledAt,
+		previousCrawlAt: previousIndexUpdate,
+		totalSourceGroups: combinedOutput.totalSourceGroups,
+		totalSources: coveredSources.length,
+		totalArticles: newCombinedArticles.length,
+		articles: newCombinedArticles
 	}
 
-	const combinedFilepath = path.join(__dirname, '../data/latest-raw.json')
-	await fs.writeFile(combinedFilepath, JSON.stringify(combinedOutput, null, 2))
-	console.log(`💾 Saved combined data to: latest-raw.json (${allCombinedArticles.length} articles)`)
+	if (!dryRun) {
+		await fs.writeFile(path.join(dataDir, 'latest-new.json'), JSON.stringify(newOutput, null, 2))
+		console.log(`💾 Saved new articles to: latest-new.json (${newCombinedArticles.length} articles${scoped ? `, ${allNewArticles.length} from this run` : ''})`)
+
+		// optional SQLite copy of the run, see config.json "store"; a scoped run is not a full crawl run, so only its articles are kept
+		await recordToStore(store => {
+			if (scoped) {
+				store.upsertSources(sources)
+				const { inserted, updated } = store.upsertArticles(allCombinedArticles)
+				console.log(`🗄️ Stored the articles of this scoped crawl in the SQLite store (${inserted} new, ${updated} updated articles)`)
+				return
+			}
+			const run = store.recordCrawl({ ...combinedOutput, startedAt: runStartedAt, sources, newArticles: allNewArticles.length, failedSources })
+			console.log(`🗄️ Recorded crawl run #${run.runId} in the SQLite store (${run.inserted} new, ${run.updated} updated articles)`)
+		}, configPath, dataDir)
+	}
+
+	if (allNewArticles.length > 0) {
+		await notifier.notify('new-articles', { items: allNewArticles })
+	}
 
 	return allGroupResults
 }
 
 // Crawl a single RSS feed with keyword-based filtering
-async function crawlFeed(source, stats = null) {
+// context: { feedCache, pool, concurrency, since } shared by every source of the run
+async function crawlFeed(source, stats = null, context = {}) {
+	const { feedCache = null, pool = createRequestPool(), concurrency = DEFAULT_CONCURRENCY, since = null } = context
+	const policy = source.policy || DEFAULT_CRAWL_POLICY
+	const { itemLimit, daysBack, maxRetries, timeout } = policy
 	let retryCount = 0
-	const maxRetries = 2
 
 	while (retryCount <= maxRetries) {
 		try {
@@ -189,14 +410,46 @@ async function crawlFeed(source, stats = null) {
 
 			const articles = []
 
-			// parse the feed url with retry mechanism
-			const feed = await parser.parseURL(source.url)
-			console.log(`📄 Feed articles length: ${feed.items.length}`)
+			// conditional GET: only send validators when we still have the items they refer to
+			const cacheEntry = feedCache?.[source.url]
+			const response = await pool.run(source.url, () => conditionalFetch(source.url, cacheEntry?.items ? cacheEntry : undefined, { timeout }))
+
+			let items
+			let unchanged = false
+			if (response.notModified) {
+				// 304: skip parsing and reuse the items stored on the last successful fetch
+				unchanged = true
+				items = cacheEntry.items.slice(0, itemLimit)
+				if (stats) stats.unchanged++
+				console.log(`♻️ ${source.name}: not modified since ${cacheEntry.fetchedAt}, reusing ${items.length} cached items`)
+			} else {
+				// scrape sources read the page with CSS selectors, everything else is a feed document
+				const feed = source.type === 'scrape' ? await scrapeListPage(response.body, source, { pool, timeout }) : await parseFeed(response.body, source.type || 'rss')
+				console.log(`📄 Feed articles length: ${feed.items.length}`)
+
+				items = feed.items.slice(0, itemLimit)
+				console.log(`itemLimit: ${itemLimit} items length: ${items.length}`)
+
+				if (source.type === 'scrape') {
+					await scrapeArticles(items, source, { pool, timeout, previousItems: cacheEntry?.items })
+				}
+
+				if (feedCache) {
+					feedCache[source.url] = {
+						etag: response.etag || null,
+						lastModified: response.lastModified || null,
+						fetchedAt: new Date().toISOString(),
+						items,
+						extracted: cacheEntry?.extracted || {}
+					}
+				}
+			}
+
+			// newest publication date in the feed, tracked by the source health record
+			const newestItemAt = newestItemDate(items)
 
-			// articles length limit
-			const itemLimit = 2
-			const items = feed.items.slice(0, itemLimit)
-			console.log(`itemLimit: ${itemLimit} items length: ${items.length}`)
+			// full-text extractions of this feed's articles, reused across runs
+			const extractedCache = feedCache?.[source.url] ? (feedCache[source.url].extracted ||= {}) : {}
 
 			for (const item of items) {
 				const title = cleanTitle(item.title || '')
@@ -216,8 +469,6 @@ async function crawlFeed(source, stats = null) {
 					description = item.summary.replace(/<[^>]*>/g, '').substring(0, 200)
 				}
 
-				// 15 days to align with cleanup
-				const daysBack = 15
 				const pubDate = new Date(item.pubDate || item.isoDate || item.published || Date.now())
 
 				// Validate date - skip articles with invalid or future dates
@@ -233,18 +484,20 @@ async function crawlFeed(source, stats = null) {
 					pubDate.setTime(now.getTime())
 				}
 
-				const cutoffDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
+				const cutoffDate = since || new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
 				if (pubDate < cutoffDate) {
-					if (stats) stats.filtered++
+					recordDrop(stats, 'date-cutoff', title, url)
 					continue
 				}
 
-				articles.push({
-					id: generateId(title, url),
+				const canonicalUrl = canonicalizeUrl(url)
+				const article = {
+					id: generateArticleId({ guid: item.guid || item.id, url, title, sourceDomain: extractDomain(source.url) }),
 
 					// article
 					title: title,
 					url: url,
+					canonicalUrl: canonicalUrl,
 					author: item.author || '',
 					content: item.content || '',
 					pubDate: pubDate.toISOString(),
@@ -254,63 +507,98 @@ async function crawlFeed(source, stats = null) {
 					// source
 					source: source.name,
 					source_domain: extractDomain(url),
+					source_group: source.sourceIdentifier,
 					source_category: source.category,
-					source_priority: source.priority
-				})
+					source_priority: source.priority,
+					// feed the article came from; scraped pages have none
+					source_feed_url: source.type === 'scrape' ? undefined : source.url
+				}
+
+				// keyword / regex / author / category rules
+				const decision = applyFilters(article, source.filterRules, item.categories || [])
+				if (!decision.kept) {
+					console.log(`🚫 Filtered by ${decision.rule}: "${title.substring(0, 50)}..."`)
+					recordDrop(stats, decision.rule, title, url)
+					continue
+				}
+
+				article.filterRule = decision.rule
+				await applyFullText(article, policy, pool, extractedCache)
+				articles.push(article)
 			}
 
+			// forget extractions of articles that left the feed
+			const articleIds = new Set(articles.map(article => article.id))
+			Object.keys(extractedCache).forEach(id => {
+				if (!articleIds.has(id)) delete extractedCache[id]
+			})
+
 			console.log(`✅ ${source.name}: ${articles.length} articles found`)
-			return { articles, stats }
+			return { articles, stats, unchanged, status: response.status, newestItemAt }
 		} catch (error) {
 			retryCount++
 			if (retryCount <= maxRetries) {
-				console.log(`⚠️ Failed to crawl ${source.name}, retrying... (${retryCount}/${maxRetries})`)
+				// honour Retry-After (429 / 503) for the whole host, otherwise back off with jitter
+				const delay = error.retryAfter != null ? Math.min(error.retryAfter, concurrency.backoffMaxMs) : backoffDelay(retryCount, concurrency)
+				if (error.retryAfter != null) {
+					pool.pauseHost(source.url, delay)
+				}
+				console.log(`⚠️ Failed to crawl ${source.name}, retrying in ${(delay / 1000).toFixed(1)}s... (${retryCount}/${maxRetries})`)
 				console.log(`   Error: ${error.message}`)
-				// wait for a while before retrying
-				await new Promise(resolve => setTimeout(resolve, 2000 * retryCount))
+				await new Promise(resolve => setTimeout(resolve, delay))
 			} else {
 				console.error(`❌ Failed to crawl ${source.name} after ${maxRetries + 1} attempts:`, error.message)
-				return { articles: [], stats }
+				return { articles: [], stats, error: error.message, status: error.status ?? null }
 			}
 		}
 	}
 }
 
-// Generate unique ID for article
-function generateId(title, url) {
-	const content = title + url
-	let hash = 0
-	for (let i = 0; i < content.length; i++) {
-		const char = content.charCodeAt(i)
-		hash = (hash << 5) - hash + char
-		hash = hash & hash // Convert to 32-bit integer
-	}
-	return Math.abs(hash).toString(36)
+// Newest publication date of feed items (future dates count as now), null when no item has a date
+function newestItemDate(items) {
+	const times = items.map(item => new Date(item.pubDate || item.isoDate || item.published).getTime()).filter(time => !isNaN(time))
+	return times.length > 0 ? new Date(Math.min(Math.max(...times), Date.now())).toISOString() : null
 }
 
-// Remove duplicates based on similarity
-function removeDuplicates(articles) {
-	const unique = []
-	const seen = new Set()
-
-	for (const article of articles) {
-		// Create a normalized key for duplicate detection
-		const key = article.title
-			.toLowerCase()
-			.replace(/[^a-z0-9\s]/g, '')
-			.replace(/\s+/g, ' ')
-			.trim()
-			.split(' ')
-			.slice(0, 8) // First 8 words
-			.join(' ')
-
-		if (!seen.has(key)) {
-			seen.add(key)
-			unique.push(article)
+// Replace teaser content with the extracted article body when the source asks for it
+async function applyFullText(article, policy, pool, extractedCache) {
+	const feedWordCount = countWords(article.content)
+	article.contentSource = 'feed'
+	article.contentWordCount = feedWordCount
+
+	if (!policy.fullText || feedWordCount >= policy.fullTextMinWords) return
+
+	let extracted = extractedCache[article.id]
+	if (!extracted) {
+		try {
+			const result = await pool.run(article.url, () => fetchFullText(article.url, { timeout: policy.timeout }))
+			if (!result) {
+				console.log(`⚠️ No readable content found for: "${article.title.substring(0, 50)}..."`)
+				return
+			}
+			extracted = { content: result.content, wordCount: result.wordCount, extractedAt: new Date().toISOString() }
+			extractedCache[article.id] = extracted
+		} catch (error) {
+			console.log(`⚠️ Full-text extraction failed for "${article.title.substring(0, 50)}...": ${error.message}`)
+			return
 		}
 	}
 
-	return unique
+	// keep the feed content when the page had nothing more to offer
+	if (extracted.wordCount <= feedWordCount) return
+
+	console.log(`📖 Extracted full text (${feedWordCount} → ${extracted.wordCount} words): "${article.title.substring(0, 50)}..."`)
+	article.content = extracted.content
+	article.contentSource = 'extracted'
+	article.contentWordCount = extracted.wordCount
+}
+
+// Count a dropped article under the rule that dropped it
+function recordDrop(stats, rule, title, url) {
+	if (!stats) return
+	stats.filtered++
+	stats.filteredByRule[rule] = (stats.filteredByRule[rule] || 0) + 1
+	stats.dropped.push({ title, url, rule })
 }
 
 // Run if called directly
@@ -331,5 +619,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 		})
 }
 
-export { crawlAllSources }
+export { crawlAllSources, crawlFeed, flattenSources, loadSources, selectSources }
 
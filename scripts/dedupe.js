@@ -0,0 +1,166 @@
+import { createHash } from 'crypto'
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_DEDUPE_CONFIG = {
+	maxDistance: 10, // max SimHash hamming distance (out of 64 bits) for a near-duplicate
+	minTokens: 4, // texts with fewer tokens only dedupe on exact canonical url
+	archiveDays: 15 // compare against index entries seen in the last N days
+}
+
+// scripts written without spaces between words are split into characters
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u
+
+/**
+ * Load dedupe settings from the "dedupe" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} dedupe settings
+ */
+async function loadDedupeConfig(configPath = path.join(__dirname, '../config.json')) {
+	if (!existsSync(configPath)) {
+		return { ...DEFAULT_DEDUPE_CONFIG }
+	}
+
+	const configData = await fs.readFile(configPath, 'utf-8')
+	const config = JSON.parse(configData)
+	return { ...DEFAULT_DEDUPE_CONFIG, ...(config.dedupe || {}) }
+}
+
+/**
+ * Split text into unicode-aware tokens (works for non-Latin titles too)
+ * @param {string} text - plain text
+ * @returns {Array<string>} tokens
+ */
+function tokenize(text) {
+	const words = (text || '')
+		.normalize('NFKC')
+		.toLowerCase()
+		.replace(/<[^>]*>/g, ' ')
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter(Boolean)
+
+	const tokens = []
+	for (const word of words) {
+		if (UNSPACED_SCRIPT.test(word)) {
+			// character bigrams for CJK / Thai runs
+			const chars = [...word]
+			if (chars.length === 1) tokens.push(word)
+			for (let i = 0; i < chars.length - 1; i++) {
+				tokens.push(chars[i] + chars[i + 1])
+			}
+		} else {
+			tokens.push(word)
+		}
+	}
+	return tokens
+}
+
+/**
+ * 64-bit SimHash over unigram and bigram shingles
+ * @param {Array<string>} tokens - tokens from tokenize
+ * @returns {string} 16 hex chars
+ */
+function simhash(tokens) {
+	const weights = new Array(64).fill(0)
+	const shingles = [...tokens]
+	for (let i = 0; i < tokens.length - 1; i++) {
+		shingles.push(`${tokens[i]} ${tokens[i + 1]}`)
+	}
+
+	for (const shingle of shingles) {
+		const value = createHash('md5').update(shingle).digest().readBigUInt64BE(0)
+		for (let bit = 0; bit < 64; bit++) {
+			weights[bit] += (value >> BigInt(bit)) & 1n ? 1 : -1
+		}
+	}
+
+	let hash = 0n
+	for (let bit = 0; bit < 64; bit++) {
+		if (weights[bit] > 0) hash |= 1n << BigInt(bit)
+	}
+	return hash.toString(16).padStart(16, '0')
+}
+
+/**
+ * Number of differing bits between two SimHash hex strings
+ * @param {string} a - simhash
+ * @param {string} b - simhash
+ * @returns {number} hamming distance
+ */
+function hammingDistance(a, b) {
+	let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`)
+	let count = 0
+	while (diff) {
+		count += Number(diff & 1n)
+		diff >>= 1n
+	}
+	return count
+}
+
+/**
+ * Compute the fingerprint of an article (title + lead text)
+ * @param {Object} article - article object
+ * @param {Object} config - dedupe settings
+ * @returns {string|null} simhash, or null when the text is too short to compare
+ */
+function articleFingerprint(article, config = DEFAULT_DEDUPE_CONFIG) {
+	const tokens = tokenize(`${article.title || ''} ${article.metaDescription || ''}`)
+	return tokens.length >= config.minTokens ? simhash(tokens) : null
+}
+
+/**
+ * Find near-duplicates across all groups of this run and against the recent archive.
+ * Earlier-published articles (and archived ones) are kept as primary; each duplicate is
+ * removed from the results and linked to its primary instead of being dropped silently.
+ * @param {Array} articles - articles from every group
+ * @param {Object} articleIndex - seen-article index ({ articles: { [id]: entry } })
+ * @param {Object} config - dedupe settings
+ * @returns {Object} { unique, duplicates } where duplicates carry duplicateOf
+ */
+function findDuplicates(articles, articleIndex = { articles: {} }, config = DEFAULT_DEDUPE_CONFIG) {
+	const currentIds = new Set(articles.map(article => article.id))
+	const archiveCutoff = Date.now() - config.archiveDays * 24 * 60 * 60 * 1000
+
+	// archived primaries: recently seen articles that are not part of this run
+	const primaries = []
+	for (const [id, entry] of Object.entries(articleIndex.articles || {})) {
+		if (currentIds.has(id) || new Date(entry.lastSeen).getTime() < archiveCutoff) continue
+		primaries.push({ id, canonicalUrl: entry.canonicalUrl, simhash: entry.simhash || null, title: entry.title, source: entry.source, archived: true })
+	}
+
+	const unique = []
+	const duplicates = []
+	const ordered = [...articles].sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate))
+
+	for (const article of ordered) {
+		article.simhash = articleFingerprint(article, config)
+
+		const primary = primaries.find(candidate => {
+			if (candidate.id === article.id) return true
+			if (candidate.canonicalUrl && candidate.canonicalUrl === article.canonicalUrl) return true
+			return article.simhash && candidate.simhash && hammingDistance(article.simhash, candidate.simhash) <= config.maxDistance
+		})
+
+		if (!primary) {
+			primaries.push({ id: article.id, canonicalUrl: article.canonicalUrl, simhash: article.simhash, title: article.title, source: article.source, article })
+			unique.push(article)
+			continue
+		}
+
+		const link = { id: article.id, title: article.title, url: article.url, source: article.source, sourceGroup: article.source_group }
+		if (primary.article) {
+			primary.article.duplicates = [...(primary.article.duplicates || []), link]
+		}
+		duplicates.push({ ...link, duplicateOf: primary.id, duplicateOfTitle: primary.title, archived: Boolean(primary.archived) })
+	}
+
+	// keep the original order of the input
+	const uniqueSet = new Set(unique)
+	return { unique: articles.filter(article => uniqueSet.has(article)), duplicates }
+}
+
+export { DEFAULT_DEDUPE_CONFIG, articleFingerprint, findDuplicates, hammingDistance, loadDedupeConfig, simhash, tokenize }
@@ -0,0 +1,84 @@
+import { Readability } from '@mozilla/readability'
+import { parseHTML } from 'linkedom'
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
+
+/**
+ * Count words in plain text or HTML (CJK characters count as one word each)
+ * @param {string} text - plain text or HTML
+ * @returns {number} word count
+ */
+function countWords(text) {
+	const plain = (text || '').replace(/<[^>]*>/g, ' ')
+	const cjk = plain.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []
+	const words = plain.replace(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu, ' ').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []
+	return cjk.length + words.length
+}
+
+/**
+ * Extract the main article content from a full HTML page with Readability
+ * @param {string} html - page HTML
+ * @param {string} url - page url, used to resolve relative links and images
+ * @returns {Object|null} { title, byline, content, textContent, wordCount } or null when nothing readable was found
+ */
+function extractMainContent(html, url) {
+	if (!html || typeof html !== 'string') {
+		return null
+	}
+
+	const { document } = parseHTML(html)
+
+	// resolve relative links / images against the article url before Readability moves nodes around
+	if (url) {
+		for (const [selector, attribute] of [
+			['a[href]', 'href'],
+			['img[src]', 'src']
+		]) {
+			document.querySelectorAll(selector).forEach(element => {
+				try {
+					element.setAttribute(attribute, new URL(element.getAttribute(attribute), url).toString())
+				} catch {
+					// leave malformed urls untouched
+				}
+			})
+		}
+	}
+
+	const result = new Readability(document).parse()
+	if (!result || !result.content) {
+		return null
+	}
+
+	return {
+		title: result.title || '',
+		byline: result.byline || '',
+		// linkedom keeps the upper-case DIV wrappers Readability creates
+		content: result.content.replace(/<(\/?)DIV\b/g, '<$1div').trim(),
+		textContent: (result.textContent || '').replace(/\s+/g, ' ').trim(),
+		wordCount: countWords(result.textContent)
+	}
+}
+
+/**
+ * Download an article page and extract its main content
+ * @param {string} url - article url
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object|null>} extraction result (see extractMainContent)
+ */
+async function fetchFullText(url, options = {}) {
+	const response = await fetch(url, {
+		headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+		redirect: 'follow',
+		signal: AbortSignal.timeout(options.timeout || 30000)
+	})
+
+	if (!response.ok) {
+		const error = new Error(`Status code ${response.status}`)
+		error.status = response.status
+		throw error
+	}
+
+	return extractMainContent(await response.text(), response.url || url)
+}
+
+export { USER_AGENT, countWords, extractMainContent, fetchFullText }
@@ -0,0 +1,81 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseRetryAfter } from './request-pool.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultCachePath = path.join(__dirname, '../data/feed-cache.json')
+
+/**
+ * Load the per-feed HTTP cache (ETag / Last-Modified + last items) from disk
+ * @param {string} cachePath - cache file path
+ * @returns {Promise<Object>} cache keyed by feed url
+ */
+async function loadFeedCache(cachePath = defaultCachePath) {
+	try {
+		if (!existsSync(cachePath)) {
+			return {}
+		}
+		const cacheData = await fs.readFile(cachePath, 'utf-8')
+		return JSON.parse(cacheData)
+	} catch (error) {
+		console.log(`⚠️ Failed to read feed cache, starting fresh: ${error.message}`)
+		return {}
+	}
+}
+
+/**
+ * Save the per-feed HTTP cache to disk
+ * @param {Object} cache - cache keyed by feed url
+ * @param {string} cachePath - cache file path
+ */
+async function saveFeedCache(cache, cachePath = defaultCachePath) {
+	await fs.mkdir(path.dirname(cachePath), { recursive: true })
+	await fs.writeFile(cachePath, JSON.stringify(cache, null, 2))
+}
+
+/**
+ * Fetch a feed with a conditional GET based on the cached validators
+ * @param {string} url - feed url
+ * @param {Object|undefined} cacheEntry - cached entry for this url
+ * @param {Object} options - { timeout, headers }
+ * @returns {Promise<Object>} { notModified, body, etag, lastModified, status }
+ */
+async function conditionalFetch(url, cacheEntry, options = {}) {
+	const headers = { ...(options.headers || {}) }
+	if (cacheEntry?.etag) {
+		headers['If-None-Match'] = cacheEntry.etag
+	}
+	if (cacheEntry?.lastModified) {
+		headers['If-Modified-Since'] = cacheEntry.lastModified
+	}
+
+	const response = await fetch(url, {
+		headers,
+		redirect: 'follow',
+		signal: AbortSignal.timeout(options.timeout || 30000)
+	})
+
+	if (response.status === 304) {
+		return { notModified: true, status: 304 }
+	}
+
+	if (!response.ok) {
+		const error = new Error(`Status code ${response.status}`)
+		error.status = response.status
+		// 429 / 503 may tell us how long to stay away
+		error.retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+		throw error
+	}
+
+	return {
+		notModified: false,
+		status: response.status,
+		body: await response.text(),
+		etag: response.headers.get('etag'),
+		lastModified: response.headers.get('last-modified')
+	}
+}
+
+export { conditionalFetch, loadFeedCache, saveFeedCache }
@@ -0,0 +1,144 @@
+import { DOMParser } from 'linkedom'
+import Parser from 'rss-parser'
+import { validateScrapeConfig } from './scrape-source.js'
+
+// feeds are fetched by conditionalFetch (per-source timeout), the parser only parses the body
+const parser = new Parser()
+
+// values allowed for "type" in sources.json
+const FEED_TYPES = ['rss', 'atom', 'jsonfeed', 'news-sitemap', 'scrape']
+
+function stripTags(html) {
+	return (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Guess the type of a feed document from its content
+ * @param {string} body - feed document
+ * @returns {string} one of FEED_TYPES
+ */
+function detectFeedType(body) {
+	const head = (body || '').trimStart().slice(0, 1000)
+	if (head.startsWith('{')) return 'jsonfeed'
+	if (/<urlset\b/.test(head)) return 'news-sitemap'
+	if (/<feed\b/.test(head)) return 'atom'
+	return 'rss'
+}
+
+/**
+ * Parse a JSON Feed (1.0 / 1.1) into rss-parser's feed shape
+ * @param {string} body - JSON Feed document
+ * @returns {Object} { title, items }
+ */
+function parseJsonFeed(body) {
+	const feed = JSON.parse(body)
+	if (!feed || typeof feed.version !== 'string' || !feed.version.includes('jsonfeed.org') || !Array.isArray(feed.items)) {
+		throw new Error('Not a JSON Feed (missing jsonfeed.org version or items)')
+	}
+
+	const feedAuthors = feed.authors || (feed.author ? [feed.author] : [])
+	const items = feed.items.map(item => {
+		const authors = item.authors || (item.author ? [item.author] : feedAuthors)
+		const date = item.date_published || item.date_modified
+		return {
+			title: item.title || '',
+			link: item.url || item.external_url || '',
+			guid: item.id !== undefined ? String(item.id) : undefined,
+			pubDate: date,
+			isoDate: date,
+			author: authors
+				.map(author => author?.name)
+				.filter(Boolean)
+				.join(', '),
+			content: item.content_html || item.content_text || '',
+			contentSnippet: item.summary || stripTags(item.content_html || item.content_text),
+			categories: item.tags || []
+		}
+	})
+
+	return { title: feed.title || '', link: feed.home_page_url || '', items }
+}
+
+/**
+ * Parse a Google News sitemap (<urlset> with news:news entries) into rss-parser's feed shape
+ * @param {string} body - sitemap XML
+ * @returns {Object} { title, items }
+ */
+function parseNewsSitemap(body) {
+	const document = new DOMParser().parseFromString(body, 'text/xml')
+	if (document.getElementsByTagName('sitemapindex').length > 0) {
+		throw new Error('Sitemap index found, point the source at one of its news sitemaps')
+	}
+	if (document.getElementsByTagName('urlset').length === 0) {
+		throw new Error('Not a sitemap (missing <urlset>)')
+	}
+
+	const text = (element, tagName) => element.getElementsByTagName(tagName)[0]?.textContent.trim() || ''
+
+	let title = ''
+	const items = []
+	for (const entry of document.getElementsByTagName('url')) {
+		const news = entry.getElementsByTagName('news:news')[0]
+		if (!news) continue
+
+		title ||= text(news, 'news:name')
+		const date = text(news, 'news:publication_date')
+		items.push({
+			title: text(news, 'news:title'),
+			link: text(entry, 'loc'),
+			guid: text(entry, 'loc'),
+			pubDate: date,
+			isoDate: date,
+			author: '',
+			content: '',
+			contentSnippet: '',
+			categories: text(news, 'news:keywords')
+				.split(',')
+				.map(keyword => keyword.trim())
+				.filter(Boolean)
+		})
+	}
+
+	// sitemaps are not ordered, feeds are newest first
+	items.sort((a, b) => new Date(b.isoDate || 0) - new Date(a.isoDate || 0))
+	return { title, items }
+}
+
+/**
+ * Parse a feed document with the crawler's parser setup
+ * @param {string} body - feed document
+ * @param {string} type - source type, detected from the content when missing
+ * @returns {Promise<Object>} parsed feed { title, items, ... }
+ */
+async function parseFeed(body, type = detectFeedType(body)) {
+	switch (type) {
+		case 'jsonfeed':
+			return parseJsonFeed(body)
+		case 'news-sitemap':
+			return parseNewsSitemap(body)
+		case 'scrape':
+			throw new Error('scrape sources are read with scrapeListPage (scrape-source.js)')
+		default:
+			// rss-parser reads RSS 2.0 / RDF and Atom
+			return parser.parseString(body)
+	}
+}
+
+/**
+ * Check the "type" of every source, and the selectors of scrape sources
+ * @param {Array} sources - sources from loadSources
+ * @returns {Array<string>} validation errors
+ */
+function validateSourceTypes(sources) {
+	const errors = []
+	for (const source of sources) {
+		if (source.type !== undefined && !FEED_TYPES.includes(source.type)) {
+			errors.push(`sources.json source "${source.name}": unknown type ${JSON.stringify(source.type)} (allowed: ${FEED_TYPES.join(', ')})`)
+		} else if (source.type === 'scrape') {
+			errors.push(...validateScrapeConfig(source))
+		}
+	}
+	return errors
+}
+
+export { FEED_TYPES, detectFeedType, parseFeed, parseJsonFeed, parseNewsSitemap, validateSourceTypes }
@@ -1,19 +1,25 @@
+import { execSync } from 'child_process'
 import { existsSync, promises as fs, readFileSync } from 'fs'
-import { dirname, join } from 'path'
+import { dirname, join, relative } from 'path'
 import { chromium } from 'playwright'
 import { fileURLToPath } from 'url'
+import { pdfFilename } from './pdf-paths.js'
+import { recordToStore } from './store.js'
+import { notifyWebhooks } from './webhooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 const outputDir = join(__dirname, '../pdfs')
 
 /**
- * read article data from latest-raw.json file
+ * read article data from latest-raw.json (or the latest-new.json delta)
+ * @param {string} filename - data file under the data directory
+ * @param {string} dataDir - data directory
  * @returns {Array} article array with full data
  */
-function getArticlesFromJson() {
+function getArticlesFromJson(filename = 'latest-raw.json', dataDir = join(__dirname, '../data')) {
 	try {
-		const jsonPath = join(__dirname, '../data/latest-raw.json')
+		const jsonPath = join(dataDir, filename)
 		const jsonData = readFileSync(jsonPath, 'utf8')
 		const data = JSON.parse(jsonData)
 
@@ -21,10 +27,10 @@ function getArticlesFromJson() {
 			throw new Error('JSON file does not contain articles array')
 		}
 
-		console.log(`📖 Read ${data.articles.length} articles from latest-raw.json`)
+		console.log(`📖 Read ${data.articles.length} articles from ${filename}`)
 		return data.articles
 	} catch (error) {
-		console.error('❌ Failed to read latest-raw.json:', error.message)
+		console.error(`❌ Failed to read ${filename}:`, error.message)
 		throw error
 	}
 }
@@ -217,6 +223,27 @@ function loadHtmlTemplate(sourceDomain) {
 	}
 }
 
+// escape text for use inside HTML
+function escapeHtml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Build the summary placeholders from the article's local-model summary (empty when there is none)
+ * @param {Object} article - article object
+ * @returns {Object} { summary, keyPoints, section } HTML strings
+ */
+function generateSummaryHtml(article) {
+	const summary = article.summary ? escapeHtml(article.summary) : ''
+	const keyPoints = (article.keyPoints || []).map(point => `<li>${escapeHtml(point)}</li>`).join('')
+	if (!summary && !keyPoints) {
+		return { summary: '', keyPoints: '', section: '' }
+	}
+
+	const section = `<section class="article-summary">${summary ? `<p>${summary}</p>` : ''}${keyPoints ? `<ul>${keyPoints}</ul>` : ''}</section>`
+	return { summary, keyPoints, section }
+}
+
 /**
  * Generate HTML content from article data using external template based on source domain
  * @param {Object} article - article object
@@ -232,21 +259,38 @@ function generateHtmlContent(article) {
 	const articleContent = cleanHtmlContent(rawContent)
 
 	const byline = article.author || 'Unknown Author'
+	const summaryHtml = generateSummaryHtml(article)
 
-	// Replace template placeholders with actual data
+	// Replace template placeholders with actual data (functions keep "$" sequences in the values literal)
 	return template
-		.replace('{{TITLE}}', article.title || 'Untitled Article')
-		.replace('{{ARTICLE_TITLE}}', article.title || 'Untitled Article')
-		.replace('{{BYLINE}}', byline)
-		.replace('{{ARTICLE_CONTENT}}', articleContent)
+		.replace('{{TITLE}}', () => article.title || 'Untitled Article')
+		.replace('{{ARTICLE_TITLE}}', () => article.title || 'Untitled Article')
+		.replace('{{BYLINE}}', () => byline)
+		.replace('{{SUMMARY_SECTION}}', () => summaryHtml.section)
+		.replace('{{SUMMARY}}', () => summaryHtml.summary)
+		.replace('{{KEY_POINTS}}', () => summaryHtml.keyPoints)
+		.replace('{{ARTICLE_CONTENT}}', () => articleContent)
 }
 
-async function htmlToPdf() {
+/**
+ * Render articles to PDF
+ * @param {Object} options - { newOnly: only render the latest-new.json delta, articles: render these instead, dataDir, pdfDir, configPath }
+ * @returns {Promise<Object>} processing summary
+ */
+async function htmlToPdf(options = {}) {
 	console.log('🚀 Starting HTML-to-PDF process...')
 
-	const articles = getArticlesFromJson()
+	const pdfDir = options.pdfDir || outputDir
+	const articles = options.articles || getArticlesFromJson(options.newOnly ? 'latest-new.json' : 'latest-raw.json', options.dataDir)
 	console.log(`📖 Retrieved ${articles.length} articles`)
 
+	// an empty delta (or selection) just means there is nothing to render
+	if ((options.newOnly || options.articles) && Array.isArray(articles) && articles.length === 0) {
+		console.log('ℹ️ No new articles since the last crawl, nothing to render')
+		const now = new Date()
+		return { successCount: 0, skippedCount: 0, failureCount: 0, failedArticles: [], totalArticles: 0, startTime: now, endTime: now, duration: '0s' }
+	}
+
 	if (!Array.isArray(articles) || articles.length === 0) {
 		throw new Error('Articles must be a non-empty array')
 	}
@@ -283,7 +327,6 @@ async function htmlToPdf() {
 			if (error.message.includes("Executable doesn't exist")) {
 				console.log('📦 Playwright browsers not found, installing...')
 				console.log('⏳ This may take a few minutes...')
-				const { execSync } = require('child_process')
 				execSync('npx playwright install --with-deps chromium', {
 					stdio: 'inherit',
 					timeout: 300000 // 5 minutes timeout
@@ -301,6 +344,7 @@ async function htmlToPdf() {
 		let failureCount = 0
 		let skippedCount = 0
 		const failedArticles = []
+		const renders = [] // per-article outcome for the SQLite store
 
 		// Process each source group
 		for (const [sourceDomain, sourceArticles] of Object.entries(articlesBySource)) {
@@ -309,7 +353,7 @@ async function htmlToPdf() {
 			// Create date-based directory structure: pdfs/[source]/YYYY-MM-DD/
 			const now = new Date()
 			const dateStr = now.toISOString().slice(0, 10) // 2025-01-03 format
-			const sourcePdfDir = join(outputDir, sourceDomain, dateStr)
+			const sourcePdfDir = join(pdfDir, sourceDomain, dateStr)
 			await fs.mkdir(sourcePdfDir, { recursive: true })
 
 			console.log(`📁 PDF directory: ${sourceDomain}/${dateStr}/`)
@@ -394,19 +438,18 @@ async function htmlToPdf() {
 						console.log(`[5/5] Error: ${error.message}`)
 					}
 
-					// Generate file name from URL path (same as url-to-pdf.js)
-					const urlObj = new URL(article.url)
-					const filename = urlObj.pathname.split('/').pop() || 'page'
-					const cleanFilename = filename.replace(/[^a-zA-Z0-9\-_]/g, '_')
+					// Generate file name from the canonical URL path (same as url-to-pdf.js)
+					const cleanFilename = pdfFilename(article).replace(/\.pdf$/, '')
 					const pdfPath = join(sourcePdfDir, `${cleanFilename}.pdf`)
 
 					// Check if PDF already exists in sourceDomain directory
-					const sourceDomainDir = join(outputDir, sourceDomain)
+					const sourceDomainDir = join(pdfDir, sourceDomain)
 					const existingPdfPath = await findExistingPdfInDirectory(sourceDomainDir, `${cleanFilename}.pdf`)
 					if (existingPdfPath) {
-						console.log(`⏭️ PDF already exists, skipping: ${sourceDomain}/${path.relative(sourceDomainDir, existingPdfPath)}`)
+						console.log(`⏭️ PDF already exists, skipping: ${sourceDomain}/${relative(sourceDomainDir, existingPdfPath)}`)
 						await page.close()
 						skippedCount++
+						renders.push({ articleId: article.id, url: article.url, status: 'skipped', path: relative(pdfDir, existingPdfPath) })
 						console.log(`✅ Skipped existing PDF ${i + 1}/${sourceArticles.length} from ${sourceDomain}`)
 						continue
 					}
@@ -425,9 +468,11 @@ async function htmlToPdf() {
 					await page.close()
 
 					successCount++
+					renders.push({ articleId: article.id, url: article.url, status: 'rendered', path: relative(pdfDir, pdfPath) })
 					console.log(`✅ Successfully processed article ${i + 1}/${sourceArticles.length} from ${sourceDomain}`)
 				} catch (articleError) {
 					failureCount++
+					renders.push({ articleId: article.id, url: article.url, status: 'failed', error: articleError.message })
 					failedArticles.push({
 						title: article.title || 'Untitled',
 						url: article.url,
@@ -470,17 +515,23 @@ async function htmlToPdf() {
 			})
 		}
 
+		await recordToStore(store => store.recordPdfRenders('html-to-pdf', renders), options.configPath, options.dataDir)
+
+		if (failedArticles.length > 0) {
+			await notifyWebhooks('pdf-failed', { script: 'html-to-pdf', items: failedArticles.map(item => ({ title: item.title, url: item.url, error: item.error })) }, options.configPath)
+		}
+
 		console.log(`\n🎉 HTML-to-PDF processing completed!`)
 		return { successCount, skippedCount, failureCount, failedArticles, totalArticles: articles.length, startTime, endTime, duration: totalDuration }
 	} catch (error) {
 		console.error('❌ html-to-pdf processing error:', error)
-		process.exit(1)
+		throw error
 	}
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-	htmlToPdf()
+	htmlToPdf({ newOnly: process.argv.includes('--new') })
 		.then(result => {
 			console.log(`\n🏁 html-to-pdf complete!`)
 			console.log(`📊 Final Results:`)
@@ -488,14 +539,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 			console.log(`   ✅ Success: ${result.successCount}`)
 			console.log(`   ⏭️ Skipped: ${result.skippedCount}`)
 			console.log(`   ❌ Failed: ${result.failureCount}`)
-			console.log(`   📈 Success Rate: ${(((result.successCount + result.skippedCount) / result.totalArticles) * 100).toFixed(1)}%`)
+			if (result.totalArticles > 0) {
+				console.log(`   📈 Success Rate: ${(((result.successCount + result.skippedCount) / result.totalArticles) * 100).toFixed(1)}%`)
+			}
 			console.log(`   ⏱️  Total Duration: ${result.duration}`)
 		})
-		.catch(error => {
+		.catch(async error => {
 			console.error('❌ html-to-pdf failed:', error)
+			// the run itself failed (browser launch, missing latest-raw.json), so no article failures were reported
+			await notifyWebhooks('pdf-failed', { script: 'html-to-pdf', items: [{ title: 'html-to-pdf run', url: null, error: error.message }] })
 			process.exit(1)
 		})
 }
 
-export { htmlToPdf }
+export { generateHtmlContent, htmlToPdf }
 
@@ -0,0 +1,98 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_LLM_CONFIG = {
+	provider: 'ollama', // "ollama" (/api/chat) or "openai" (OpenAI-compatible /v1/chat/completions)
+	baseUrl: 'http://localhost:11434',
+	model: 'llama3.1',
+	timeout: 60000,
+	temperature: 0,
+	apiKeyEnv: 'LLM_API_KEY' // environment variable holding the bearer token, if the endpoint needs one
+}
+
+/**
+ * Load the local model endpoint settings from the "llm" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} llm settings
+ */
+async function loadLlmConfig(configPath = path.join(__dirname, '../config.json')) {
+	if (!existsSync(configPath)) {
+		return { ...DEFAULT_LLM_CONFIG }
+	}
+
+	const configData = await fs.readFile(configPath, 'utf-8')
+	const llm = { ...DEFAULT_LLM_CONFIG, ...(JSON.parse(configData).llm || {}) }
+
+	if (!['ollama', 'openai'].includes(llm.provider)) {
+		throw new Error(`llm.provider must be "ollama" or "openai", got ${JSON.stringify(llm.provider)}`)
+	}
+
+	return llm
+}
+
+/**
+ * Send a chat request to an Ollama or OpenAI-compatible endpoint
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} llm - llm settings (may override model per call)
+ * @returns {Promise<string>} assistant message content
+ */
+async function chatCompletion(messages, llm = DEFAULT_LLM_CONFIG) {
+	const baseUrl = llm.baseUrl.replace(/\/+$/, '')
+	const headers = { 'Content-Type': 'application/json' }
+	const apiKey = llm.apiKeyEnv && process.env[llm.apiKeyEnv]
+	if (apiKey) {
+		headers.Authorization = `Bearer ${apiKey}`
+	}
+
+	const isOllama = llm.provider === 'ollama'
+	const url = isOllama ? `${baseUrl}/api/chat` : `${baseUrl}/v1/chat/completions`
+	const body = isOllama
+		? { model: llm.model, messages, stream: false, options: { temperature: llm.temperature } }
+		: { model: llm.model, messages, temperature: llm.temperature }
+
+	const response = await fetch(url, {
+		method: 'POST',
+		headers,
+		body: JSON.stringify(body),
+		signal: AbortSignal.timeout(llm.timeout)
+	})
+
+	if (!response.ok) {
+		const error = new Error(`LLM endpoint returned status code ${response.status}`)
+		error.status = response.status
+		throw error
+	}
+
+	const data = await response.json()
+	const content = isOllama ? data.message?.content : data.choices?.[0]?.message?.content
+	if (typeof content !== 'string') {
+		throw new Error('LLM response has no message content')
+	}
+
+	return content
+}
+
+/**
+ * Pull the first JSON object out of a model reply (models like to wrap it in prose or code fences)
+ * @param {string} text - model reply
+ * @returns {Object|null} parsed object or null
+ */
+function parseJsonReply(text) {
+	const start = text.indexOf('{')
+	const end = text.lastIndexOf('}')
+	if (start === -1 || end <= start) {
+		return null
+	}
+
+	try {
+		return JSON.parse(text.slice(start, end + 1))
+	} catch {
+		return null
+	}
+}
+
+export { DEFAULT_LLM_CONFIG, chatCompletion, loadLlmConfig, parseJsonReply }
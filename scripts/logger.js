@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from 'async_hooks'
+
+// logger of the current withLogger call, followed through every await of that call
+const storage = new AsyncLocalStorage()
+const original = { log: console.log, info: console.info, warn: console.warn, error: console.error }
+
+// console method -> logger methods tried in order
+const ROUTES = { log: ['info', 'log'], info: ['info', 'log'], warn: ['warn', 'log'], error: ['error', 'log'] }
+
+let installed = false
+
+// replace the console methods once; outside withLogger they keep writing to the console
+function install() {
+	if (installed) return
+	installed = true
+	for (const [method, targets] of Object.entries(ROUTES)) {
+		console[method] = (...args) => {
+			const logger = storage.getStore()
+			if (logger === undefined) return original[method](...args)
+			const target = targets.find(name => typeof logger?.[name] === 'function')
+			// a logger that writes to the console itself must reach the real one
+			if (target) storage.exit(() => logger[target](...args))
+		}
+	}
+}
+
+/**
+ * Run a function with its console output sent to a logger; concurrent calls keep their own logger
+ * @param {Object|false|undefined} logger - console-like { info, warn, error } (or log), false to drop the output, undefined for the console
+ * @param {Function} fn - function to run
+ * @returns {Promise<*>} result of fn
+ */
+async function withLogger(logger, fn) {
+	if (logger === undefined || logger === console) return fn()
+	install()
+	return storage.run(logger, fn)
+}
+
+export { withLogger }
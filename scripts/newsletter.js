@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import nodemailer from 'nodemailer'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_NEWSLETTER_CONFIG = {
+	enabled: false, // send after each crawl (dry runs work either way)
+	title: 'Daily News',
+	from: '',
+	to: [], // recipients, e.g. the address of the mailing list
+	smtp: {
+		host: 'localhost',
+		port: 587,
+		secure: false, // true for SMTPS (port 465); otherwise STARTTLS is used when offered
+		userEnv: 'SMTP_USER', // environment variables holding the credentials, if the server needs them
+		passEnv: 'SMTP_PASS'
+	}
+}
+
+/**
+ * Load newsletter settings from the "newsletter" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} newsletter settings
+ */
+async function loadNewsletterConfig(configPath = path.join(__dirname, '../config.json')) {
+	let newsletter = { ...DEFAULT_NEWSLETTER_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		const overrides = JSON.parse(configData).newsletter || {}
+		newsletter = { ...newsletter, ...overrides, smtp: { ...DEFAULT_NEWSLETTER_CONFIG.smtp, ...(overrides.smtp || {}) } }
+	}
+
+	if (!Array.isArray(newsletter.to) || newsletter.to.some(address => typeof address !== 'string')) {
+		throw new Error(`newsletter.to must be an array of email addresses, got ${JSON.stringify(newsletter.to)}`)
+	}
+	if (!Number.isInteger(newsletter.smtp.port) || newsletter.smtp.port < 1) {
+		throw new Error(`newsletter.smtp.port must be a positive integer, got ${JSON.stringify(newsletter.smtp.port)}`)
+	}
+
+	return newsletter
+}
+
+function escapeHtml(text) {
+	return String(text ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+}
+
+/**
+ * Group articles by source category, categories in alphabetical order
+ * @param {Array} articles - articles, newest first
+ * @returns {Array} [{ category, articles }]
+ */
+function groupByCategory(articles) {
+	const categories = new Map()
+	for (const article of articles) {
+		const category = article.source_category || 'uncategorized'
+		if (!categories.has(category)) categories.set(category, [])
+		categories.get(category).push(article)
+	}
+	return [...categories.keys()].sort().map(category => ({ category, articles: categories.get(category) }))
+}
+
+// email clients ignore <style> blocks and most layout CSS: tables and inline styles only
+function renderHtml(title, date, sections, total) {
+	const rows = sections.map(({ category, articles }) => {
+		const items = articles.map(article => {
+			const byline = [article.author, article.source].filter(Boolean).map(escapeHtml).join(' · ')
+			return [
+				'<tr><td style="padding:12px 0;border-bottom:1px solid #e9ecef;">',
+				`<a href="${escapeHtml(article.url)}" style="font-size:17px;font-weight:bold;color:#0056b3;text-decoration:none;">${escapeHtml(article.title)}</a>`,
+				byline ? `<div style="font-size:13px;color:#6c757d;padding-top:4px;">${byline}</div>` : '',
+				article.metaDescription ? `<div style="font-size:15px;color:#1a1a1a;padding-top:6px;">${escapeHtml(article.metaDescription)}</div>` : '',
+				'</td></tr>'
+			].join('')
+		})
+		return [
+			`<tr><td style="padding:24px 0 4px;font-size:13px;font-weight:bold;letter-spacing:1px;text-transform:uppercase;color:#6c757d;">${escapeHtml(category)} (${articles.length})</td></tr>`,
+			...items
+		].join('\n')
+	})
+
+	return [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		'<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">',
+		`<title>${escapeHtml(title)}</title></head>`,
+		'<body style="margin:0;padding:0;background-color:#f1f3f5;">',
+		'<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f1f3f5;"><tr><td align="center" style="padding:24px 12px;">',
+		'<table role="presentation" width="640" cellpadding="0" cellspacing="0" border="0" style="max-width:640px;width:100%;background-color:#ffffff;font-family:Georgia,\'Times New Roman\',serif;">',
+		'<tr><td style="padding:24px 32px;">',
+		'<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">',
+		`<tr><td style="font-size:26px;font-weight:bold;color:#1a1a1a;">${escapeHtml(title)}</td></tr>`,
+		`<tr><td style="font-size:14px;color:#6c757d;padding-top:4px;">${escapeHtml(date)} · ${total} new articles</td></tr>`,
+		...rows,
+		'</table>',
+		'</td></tr></table>',
+		'</td></tr></table>',
+		'</body>',
+		'</html>',
+		''
+	].join('\n')
+}
+
+function renderText(title, date, sections, total) {
+	const lines = [title, `${date} · ${total} new articles`, '']
+	for (const { category, articles } of sections) {
+		lines.push(`== ${category} (${articles.length}) ==`, '')
+		for (const article of articles) {
+			lines.push(article.title)
+			if (article.author) lines.push(`by ${article.author}`)
+			if (article.metaDescription) lines.push(article.metaDescription)
+			lines.push(article.url, '')
+		}
+	}
+	return lines.join('\n')
+}
+
+/**
+ * Build the newsletter for a list of articles, grouped by source category
+ * @param {Array} articles - articles, newest first
+ * @param {Object} options - { title, now }
+ * @returns {Object} { subject, html, text, categories }
+ */
+function buildNewsletter(articles, options = {}) {
+	const { title = DEFAULT_NEWSLETTER_CONFIG.title, now = new Date() } = options
+	const date = now.toISOString().slice(0, 10)
+	const sections = groupByCategory(articles)
+
+	return {
+		subject: `${title} - ${date} (${articles.length} new articles)`,
+		html: renderHtml(title, date, sections, articles.length),
+		text: renderText(title, date, sections, articles.length),
+		categories: sections.length
+	}
+}
+
+/**
+ * Create the nodemailer transport for the SMTP settings (credentials come from the environment)
+ * @param {Object} smtp - newsletter.smtp settings
+ * @returns {Object} nodemailer transport
+ */
+function createSmtpTransport(smtp) {
+	const user = smtp.userEnv && process.env[smtp.userEnv]
+	const pass = smtp.passEnv && process.env[smtp.passEnv]
+	return nodemailer.createTransport({
+		host: smtp.host,
+		port: smtp.port,
+		secure: smtp.secure,
+		...(user ? { auth: { user, pass } } : {})
+	})
+}
+
+/**
+ * Send the digest of the new articles of the last crawl, or write it to an .eml file on dry runs
+ * @param {Object} options - { dataDir, newsletter, articles, dryRun, emlPath, now }
+ * @returns {Promise<Object>} { articles, categories, sent, emlPath, messageId }
+ */
+async function sendNewsletter(options = {}) {
+	const { dataDir = path.join(__dirname, '../data'), dryRun = false, now = new Date() } = options
+	const newsletter = options.newsletter || (await loadNewsletterConfig())
+
+	let articles = options.articles
+	if (!articles) {
+		const newPath = path.join(dataDir, 'latest-new.json')
+		if (!existsSync(newPath)) {
+			throw new Error('latest-new.json not found, run npm run crawl first')
+		}
+		articles = JSON.parse(await fs.readFile(newPath, 'utf-8')).articles || []
+	}
+
+	const summary = { articles: articles.length, categories: 0, sent: false, emlPath: null, messageId: null }
+	if (articles.length === 0) {
+		return summary
+	}
+
+	const { subject, html, text, categories } = buildNewsletter(articles, { title: newsletter.title, now })
+	summary.categories = categories
+	const message = {
+		from: newsletter.from || undefined,
+		to: newsletter.to.length > 0 ? newsletter.to : undefined,
+		subject,
+		html,
+		text
+	}
+
+	if (dryRun) {
+		const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' })
+		const info = await transport.sendMail(message)
+		summary.emlPath = options.emlPath || path.join(__dirname, `../output/newsletter-${now.toISOString().slice(0, 10)}.eml`)
+		await fs.mkdir(path.dirname(summary.emlPath), { recursive: true })
+		await fs.writeFile(summary.emlPath, info.message)
+		summary.messageId = info.messageId
+		return summary
+	}
+
+	if (!newsletter.from || newsletter.to.length === 0) {
+		throw new Error('newsletter.from and newsletter.to must be set to send the newsletter')
+	}
+
+	const info = await createSmtpTransport(newsletter.smtp).sendMail(message)
+	summary.sent = true
+	summary.messageId = info.messageId
+	return summary
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const args = process.argv.slice(2)
+	const dryRun = args.includes('--dry-run')
+	const outIndex = args.indexOf('--out')
+	const emlPath = outIndex !== -1 ? path.resolve(args[outIndex + 1]) : undefined
+
+	loadNewsletterConfig()
+		.then(async newsletter => {
+			if (!newsletter.enabled && !dryRun) {
+				console.log('ℹ️ Newsletter disabled (newsletter.enabled is false), use --dry-run to preview it')
+				return
+			}
+
+			console.log(`📧 ${dryRun ? 'Writing' : 'Sending'} newsletter...`)
+			const summary = await sendNewsletter({ newsletter, dryRun, emlPath })
+			if (summary.articles === 0) {
+				console.log('ℹ️ No new articles, nothing to send')
+			} else if (dryRun) {
+				console.log(`✅ ${summary.articles} articles in ${summary.categories} categories written to ${path.relative(process.cwd(), summary.emlPath)}`)
+			} else {
+				console.log(`✅ ${summary.articles} articles in ${summary.categories} categories sent to ${newsletter.to.join(', ')} (${summary.messageId})`)
+			}
+		})
+		.catch(error => {
+			console.error('❌ Newsletter failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { buildNewsletter, loadNewsletterConfig, sendNewsletter }
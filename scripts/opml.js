@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+import { promises as fs } from 'fs'
+import { DOMParser } from 'linkedom'
+import { FEED_TYPES } from './feed-formats.js'
+import { addSources, groupSources, readSourcesJson, slugifyGroup, writeSourcesJson } from './sources-file.js'
+
+// outline attributes carried over from / to sources.json ("category" and "language" are standard OPML 2.0)
+const SOURCE_ATTRIBUTES = ['category', 'language', 'priority']
+
+// every other source field (scrape selectors, crawl options, ...) round-trips as JSON in a namespaced attribute
+const SOURCE_NAMESPACE = 'https://github.com/loveSummerDay/daily-news-rss/opml'
+const EXTRA_ATTRIBUTE = 'dailyNews:source'
+// group settings ({ crawl, filters } of the { crawl, filters, sources } shape) on the folder outline
+const GROUP_ATTRIBUTE = 'dailyNews:group'
+const OUTLINE_KEYS = ['name', 'url', 'type', ...SOURCE_ATTRIBUTES]
+
+// linkedom's XML mode keeps attribute entities encoded
+function decodeEntities(value) {
+	return value
+		.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+		.replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+		.replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name])
+}
+
+function escapeXml(value) {
+	return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Parse an OPML document into sources; feeds take the group of their nearest folder outline
+ * @param {string} xml - OPML document
+ * @param {string} defaultGroup - group for feeds outside any folder
+ * @returns {Array} [{ group, source: { name, url, type?, category?, language?, priority?, ...fields of dailyNews:source }, groupSettings?: dailyNews:group of the folder }]
+ */
+function parseOpml(xml, defaultGroup = 'imported') {
+	const document = new DOMParser().parseFromString(xml, 'text/xml')
+	const attribute = (element, name) => {
+		const value = element.getAttribute(name)
+		return value ? decodeEntities(value).trim() : ''
+	}
+
+	const jsonObject = (element, name, label) => {
+		const value = attribute(element, name)
+		if (!value) return null
+		let fields
+		try {
+			fields = JSON.parse(value)
+		} catch {
+			fields = null
+		}
+		if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+			throw new Error(`${label}: ${name} must be a JSON object`)
+		}
+		return fields
+	}
+
+	if (!document.querySelector('opml')) {
+		throw new Error('Not an OPML document (missing <opml> root)')
+	}
+
+	const entries = []
+	for (const outline of document.querySelectorAll('outline')) {
+		const url = attribute(outline, 'xmlUrl')
+		if (!url) continue
+
+		let folder = outline.parentNode
+		while (folder && folder.tagName === 'outline' && attribute(folder, 'xmlUrl')) {
+			folder = folder.parentNode
+		}
+		const folderName = folder?.tagName === 'outline' ? attribute(folder, 'text') || attribute(folder, 'title') : ''
+
+		const source = { name: attribute(outline, 'title') || attribute(outline, 'text') || url, url }
+		for (const key of SOURCE_ATTRIBUTES) {
+			const value = attribute(outline, key)
+			if (!value) continue
+			source[key] = key === 'priority' && Number.isFinite(Number(value)) ? Number(value) : value
+		}
+
+		// type="rss" is what other readers write for any feed, so only the other known types are kept
+		const type = attribute(outline, 'type')
+		if (type !== 'rss' && FEED_TYPES.includes(type)) {
+			source.type = type
+		}
+
+		const fields = jsonObject(outline, EXTRA_ATTRIBUTE, `Outline "${source.name}"`)
+		for (const [key, value] of Object.entries(fields || {})) {
+			if (!(key in source)) source[key] = value
+		}
+
+		const entry = { group: slugifyGroup(folderName || defaultGroup), source }
+		const groupSettings = folder?.tagName === 'outline' ? jsonObject(folder, GROUP_ATTRIBUTE, `Folder "${folderName}"`) : null
+		if (groupSettings) {
+			const { sources, ...settings } = groupSettings
+			entry.groupSettings = settings
+		}
+		entries.push(entry)
+	}
+
+	return entries
+}
+
+/**
+ * Export sources.json content as OPML 2.0, one folder outline per group. Outlines carry the source type
+ * (rss when unset); fields OPML has no attribute for are kept in dailyNews:source, and group settings
+ * (crawl, filters) in dailyNews:group on the folder, for a lossless import
+ * @param {Object} sourcesJson - sources.json content
+ * @param {Date} now - dateCreated of the document
+ * @returns {string} OPML document
+ */
+function exportOpml(sourcesJson, now = new Date()) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<opml version="2.0" xmlns:dailyNews="${SOURCE_NAMESPACE}">`,
+		'\t<head>',
+		'\t\t<title>daily-news-rss sources</title>',
+		`\t\t<dateCreated>${now.toUTCString()}</dateCreated>`,
+		'\t</head>',
+		'\t<body>'
+	]
+
+	for (const [groupName, group] of Object.entries(sourcesJson)) {
+		const { sources, ...settings } = Array.isArray(group) ? {} : group || {}
+		const groupAttribute = Object.keys(settings).length > 0 ? ` ${GROUP_ATTRIBUTE}="${escapeXml(JSON.stringify(settings))}"` : ''
+		lines.push(`\t\t<outline text="${escapeXml(groupName)}" title="${escapeXml(groupName)}"${groupAttribute}>`)
+		for (const source of groupSources(group)) {
+			const attributes = [`type="${escapeXml(source.type || 'rss')}"`, `text="${escapeXml(source.name || source.url)}"`, `title="${escapeXml(source.name || source.url)}"`, `xmlUrl="${escapeXml(source.url)}"`]
+			for (const key of SOURCE_ATTRIBUTES) {
+				if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+					attributes.push(`${key}="${escapeXml(source[key])}"`)
+				}
+			}
+			const extra = Object.fromEntries(Object.entries(source).filter(([key]) => !OUTLINE_KEYS.includes(key)))
+			if (Object.keys(extra).length > 0) {
+				attributes.push(`${EXTRA_ATTRIBUTE}="${escapeXml(JSON.stringify(extra))}"`)
+			}
+			lines.push(`\t\t\t<outline ${attributes.join(' ')} />`)
+		}
+		lines.push('\t\t</outline>')
+	}
+
+	lines.push('\t</body>', '</opml>', '')
+	return lines.join('\n')
+}
+
+/**
+ * Import an OPML file into sources.json
+ * @param {string} opmlPath - OPML file
+ * @param {Object} options - { sourcesPath, defaultGroup, dryRun }
+ * @returns {Promise<Object>} { added, skipped }
+ */
+async function importOpml(opmlPath, options = {}) {
+	const sourcesJson = await readSourcesJson(options.sourcesPath)
+	const entries = parseOpml(await fs.readFile(opmlPath, 'utf-8'), options.defaultGroup)
+	const result = addSources(sourcesJson, entries)
+
+	if (!options.dryRun && result.added.length > 0) {
+		await writeSourcesJson(sourcesJson, options.sourcesPath)
+	}
+
+	return result
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const [command, file] = process.argv.slice(2).filter(arg => !arg.startsWith('--'))
+	const groupIndex = process.argv.indexOf('--group')
+	const dryRun = process.argv.includes('--dry-run')
+
+	const run = async () => {
+		if (command === 'import' && file) {
+			const { added, skipped } = await importOpml(file, { defaultGroup: groupIndex > -1 ? process.argv[groupIndex + 1] : undefined, dryRun })
+			console.log(`📥 ${dryRun ? 'Would add' : 'Added'} ${added.length} sources${dryRun ? ' (dry run, sources.json unchanged)' : ''}`)
+			added.forEach(({ group, source }) => console.log(`   + [${group}] ${source.name} (${source.url})`))
+			console.log(`⏭️ Skipped ${skipped.length} sources already in sources.json`)
+			skipped.forEach(({ source, existingGroup }) => console.log(`   = [${existingGroup}] ${source.name} (${source.url})`))
+		} else if (command === 'export') {
+			const opml = exportOpml(await readSourcesJson())
+			if (file) {
+				await fs.writeFile(file, opml)
+				console.log(`📤 Exported sources to ${file}`)
+			} else {
+				process.stdout.write(opml)
+			}
+		} else {
+			console.log('Usage: node scripts/opml.js import <file.opml> [--group <name>] [--dry-run]')
+			console.log('       node scripts/opml.js export [file.opml]')
+			process.exitCode = 1
+		}
+	}
+
+	run().catch(error => {
+		console.error('❌ OPML failed:', error.message)
+		process.exit(1)
+	})
+}
+
+export { exportOpml, importOpml, parseOpml }
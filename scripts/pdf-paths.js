@@ -0,0 +1,86 @@
+import { existsSync, promises as fs, readFileSync } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultPdfDir = path.join(__dirname, '../pdfs')
+
+/**
+ * PDF file name of an article, from the last segment of its canonical url path
+ * @param {Object} article - article object
+ * @returns {string} file name without directory, e.g. "shipping-costs-rising.pdf"
+ */
+function pdfFilename(article) {
+	const urlObj = new URL(article.canonicalUrl || article.url)
+	const filename = urlObj.pathname.split('/').pop() || 'page'
+	return `${filename.replace(/[^a-zA-Z0-9\-_]/g, '_')}.pdf`
+}
+
+/**
+ * List rendered PDFs as pdfs/<domain>/<date>/<file>.pdf
+ * @param {string} pdfDir - pdf root directory
+ * @returns {Promise<Map>} "<domain>/<file>.pdf" -> "<domain>/<date>/<file>.pdf" (latest date wins)
+ */
+async function indexPdfs(pdfDir = defaultPdfDir) {
+	const index = new Map()
+	if (!existsSync(pdfDir)) return index
+
+	for (const domain of await fs.readdir(pdfDir)) {
+		const domainDir = path.join(pdfDir, domain)
+		if (!(await fs.stat(domainDir)).isDirectory()) continue
+
+		// date folders sort chronologically, so later renders overwrite earlier ones
+		for (const date of (await fs.readdir(domainDir)).sort()) {
+			const dateDir = path.join(domainDir, date)
+			if (!(await fs.stat(dateDir)).isDirectory()) continue
+			for (const file of await fs.readdir(dateDir)) {
+				if (file.endsWith('.pdf')) {
+					index.set(`${domain}/${file}`, `${domain}/${date}/${file}`)
+				}
+			}
+		}
+	}
+
+	return index
+}
+
+/**
+ * Find the rendered PDF of an article in an index from indexPdfs
+ * @param {Object} article - article object
+ * @param {Map} pdfIndex - index from indexPdfs
+ * @returns {string|null} path relative to the pdf root, e.g. "theconversation.com/2025-10-04/shipping.pdf"
+ */
+function findArticlePdf(article, pdfIndex) {
+	try {
+		return pdfIndex.get(`${article.source_domain || 'unknown'}/${pdfFilename(article)}`) || null
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Resolve a PDF generation method, by default the first enabled option of config.json "pdfGeneration" (like the workflow)
+ * @param {string} method - html-to-pdf, url-to-pdf, the shorthands html / url, or undefined
+ * @param {string} configPath - config file path
+ * @returns {string} html-to-pdf or url-to-pdf
+ */
+function resolvePdfMethod(method, configPath = path.join(__dirname, '../config.json')) {
+	if (method) {
+		const resolved = { html: 'html-to-pdf', url: 'url-to-pdf' }[method] || method
+		if (!['html-to-pdf', 'url-to-pdf'].includes(resolved)) {
+			throw new Error(`PDF method must be html-to-pdf or url-to-pdf, got "${method}"`)
+		}
+		return resolved
+	}
+
+	try {
+		const config = JSON.parse(readFileSync(configPath, 'utf8'))
+		const enabled = Object.entries(config.pdfGeneration.options).find(([, option]) => option.open === true)
+		return enabled ? enabled[0] : 'url-to-pdf'
+	} catch {
+		return 'url-to-pdf'
+	}
+}
+
+export { findArticlePdf, indexPdfs, pdfFilename, resolvePdfMethod }
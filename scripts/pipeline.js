@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+import { execFile } from 'child_process'
+import { existsSync, promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { promisify } from 'util'
+import { renderPdfs } from '../index.js'
+import { crawlAllSources } from './crawl.js'
+import { loadNewsletterConfig, sendNewsletter } from './newsletter.js'
+import { pruneArchive } from './prune.js'
+import { loadPublishConfig, publishFeeds } from './publish-feeds.js'
+import { uploadPdfs } from './upload-pdfs-to-supabase.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const execFileAsync = promisify(execFile)
+
+const DEFAULT_PIPELINE = {
+	stages: ['crawl', 'pdf', 'upload', 'prune', 'publish-feeds', 'newsletter'],
+	commit: false, // append the commit stage (also --commit)
+	push: false, // push the commit (also --push)
+	resumeMaxAgeHours: 24 // older failed or interrupted runs are not resumed
+}
+
+// stage statuses that count as done when a run is resumed
+const DONE = ['completed', 'partial', 'skipped']
+
+/**
+ * Load the stage list from the "pipeline" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} pipeline settings
+ */
+async function loadPipelineConfig(configPath = path.join(__dirname, '../config.json')) {
+	let pipeline = { ...DEFAULT_PIPELINE }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		pipeline = { ...pipeline, ...(JSON.parse(configData).pipeline || {}) }
+	}
+
+	if (!Array.isArray(pipeline.stages) || pipeline.stages.length === 0) {
+		throw new Error('pipeline.stages must be a non-empty array')
+	}
+	const unknown = pipeline.stages.filter(stage => !(stage in STAGES))
+	if (unknown.length > 0) {
+		throw new Error(`pipeline.stages has unknown stage(s) ${unknown.join(', ')} (allowed: ${Object.keys(STAGES).join(', ')})`)
+	}
+	if (new Set(pipeline.stages).size !== pipeline.stages.length) {
+		throw new Error('pipeline.stages must not repeat a stage')
+	}
+	for (const key of ['commit', 'push']) {
+		if (typeof pipeline[key] !== 'boolean') {
+			throw new Error(`pipeline.${key} must be a boolean, got ${JSON.stringify(pipeline[key])}`)
+		}
+	}
+	if (typeof pipeline.resumeMaxAgeHours !== 'number' || !(pipeline.resumeMaxAgeHours > 0)) {
+		throw new Error(`pipeline.resumeMaxAgeHours must be a positive number, got ${JSON.stringify(pipeline.resumeMaxAgeHours)}`)
+	}
+
+	return pipeline
+}
+
+// Each stage returns { counts, failures, skipped: reason } and throws when it cannot finish
+const STAGES = {
+	async crawl(context) {
+		const results = Object.values(await crawlAllSources({ dataDir: context.dataDir, configPath: context.configPath, sourcesPath: context.sourcesPath }))
+		const failedSources = results.flatMap(result => result.failedSources)
+		return {
+			counts: {
+				groups: results.length,
+				articles: results.reduce((sum, result) => sum + result.articles.length, 0),
+				newArticles: results.reduce((sum, result) => sum + result.newArticles.length, 0),
+				failedSources: failedSources.length
+			},
+			failures: failedSources.map(failure => ({ item: `${failure.group}/${failure.source}`, error: failure.error }))
+		}
+	},
+
+	async pdf(context) {
+		const rawPath = path.join(context.dataDir, 'latest-raw.json')
+		if (!existsSync(rawPath)) {
+			throw new Error('latest-raw.json not found, run the crawl stage first')
+		}
+		const { articles = [] } = JSON.parse(await fs.readFile(rawPath, 'utf-8'))
+		const summary = await renderPdfs(articles, { configPath: context.configPath, dataDir: context.dataDir, pdfDir: context.pdfDir })
+		return {
+			counts: { method: summary.method, articles: summary.total, rendered: summary.rendered, skipped: summary.skipped, failed: summary.failed },
+			failures: summary.failures.map(failure => ({ item: failure.url, error: failure.error }))
+		}
+	},
+
+	async upload(context) {
+		const summary = await uploadPdfs({ pdfDir: context.pdfDir, configPath: context.configPath, dataDir: context.dataDir })
+		return {
+			counts: { pdfs: summary.total, uploaded: summary.uploaded, skipped: summary.skipped, failed: summary.failed },
+			failures: summary.failedFiles.map(failure => ({ item: failure.file, error: failure.error }))
+		}
+	},
+
+	async prune(context) {
+		const summary = await pruneArchive({ dataDir: context.dataDir, pdfDir: context.pdfDir, configPath: context.configPath })
+		return { counts: { snapshots: summary.snapshots.length, pdfFiles: summary.pdfFiles, emptyDirs: summary.emptyDirs.length, indexEntries: summary.indexEntries, searchDocuments: summary.searchDocuments, freedBytes: summary.freedBytes } }
+	},
+
+	async 'publish-feeds'(context) {
+		const publish = await loadPublishConfig(context.configPath)
+		const summary = await publishFeeds({ dataDir: context.dataDir, pdfDir: context.pdfDir, outputDir: context.feedsDir, publish })
+		return { counts: { articles: summary.articles, pdfs: summary.pdfs, files: summary.files.length } }
+	},
+
+	async newsletter(context) {
+		const newsletter = await loadNewsletterConfig(context.configPath)
+		if (!newsletter.enabled) {
+			return { skipped: 'newsletter.enabled is false' }
+		}
+		const summary = await sendNewsletter({ dataDir: context.dataDir, newsletter })
+		return { counts: { articles: summary.articles, sent: summary.sent } }
+	},
+
+	// git add / commit (and push) the data, feeds and PDFs like the workflow did
+	async commit(context, run) {
+		const git = async (...args) => (await execFileAsync('git', args, { cwd: context.repoDir })).stdout.trim()
+		const branch = await git('rev-parse', '--abbrev-ref', 'HEAD')
+		if (branch === 'HEAD') {
+			throw new Error('Detached HEAD, check out a branch before committing')
+		}
+
+		if (context.push) {
+			await git('pull', 'origin', branch, '--no-rebase').catch(error => console.log(`⚠️ Pull failed, continuing with the current state: ${error.message}`))
+		}
+
+		const relative = dir => path.relative(context.repoDir, dir) || '.'
+		const tracked = [context.dataDir, context.feedsDir].filter(dir => existsSync(dir)).map(relative)
+		if (tracked.length > 0) await git('add', ...tracked)
+		if (existsSync(context.pdfDir)) await git('add', '-f', relative(context.pdfDir)) // ignored locally but committed by the pipeline
+		await git('add', '-u')
+
+		const hasChanges = await git('diff', '--staged', '--quiet').then(
+			() => false,
+			error => (error.code === 1 ? true : Promise.reject(error))
+		)
+		if (!hasChanges) {
+			console.log('ℹ️ No changes to commit - this is normal if no new articles were found')
+			return { counts: { committed: false, pushed: false } }
+		}
+
+		const stageCounts = name => run.stages.find(stage => stage.name === name)?.counts || {}
+		const timestamp = new Date().toISOString().slice(0, 16).replace('T', ' ')
+		const { method = 'none', rendered = 0 } = stageCounts('pdf')
+		await git('commit', '-m', `📰 Crawl sources & generate PDFs (${method}) - ${stageCounts('crawl').articles ?? 0} articles, ${rendered} new PDFs - ${timestamp} UTC`)
+		const commit = await git('rev-parse', '--short', 'HEAD')
+
+		if (context.push) {
+			await git('push', 'origin', branch).catch(async error => {
+				console.log(`⚠️ Push failed, trying with force-with-lease: ${error.message}`)
+				await git('push', 'origin', branch, '--force-with-lease')
+			})
+		}
+		return { counts: { committed: true, commit, pushed: Boolean(context.push) } }
+	}
+}
+
+function newRun(stages, now) {
+	return {
+		runId: now.toISOString(),
+		status: 'running',
+		startedAt: now.toISOString(),
+		finishedAt: null,
+		pid: process.pid,
+		host: os.hostname(),
+		resumes: 0,
+		durationMs: 0,
+		stages: stages.map(name => ({ name, status: 'pending', attempts: 0, startedAt: null, finishedAt: null, durationMs: null, counts: {}, failures: [], skipReason: null, error: null }))
+	}
+}
+
+async function loadRun(runPath) {
+	try {
+		return existsSync(runPath) ? JSON.parse(await fs.readFile(runPath, 'utf-8')) : null
+	} catch (error) {
+		console.log(`⚠️ Failed to read the last pipeline run, starting fresh: ${error.message}`)
+		return null
+	}
+}
+
+// a "running" run whose process is gone was interrupted; only processes on this host can be checked
+function isRunAlive(run) {
+	if (run.status !== 'running' || run.host !== os.hostname() || !run.pid || run.pid === process.pid) return false
+	try {
+		process.kill(run.pid, 0)
+		return true
+	} catch (error) {
+		return error.code === 'EPERM'
+	}
+}
+
+/**
+ * Pick the last run to resume: failed or interrupted, same stages and started within resumeMaxAgeHours
+ * @param {Object} previous - last run from pipeline-run.json, or null
+ * @param {Array} stages - stage names of this run
+ * @param {Object} pipeline - pipeline settings
+ * @param {Date} now - current time
+ * @returns {Object|null} the run to resume, or null to start fresh
+ */
+function resumableRun(previous, stages, pipeline, now) {
+	if (!previous || !['failed', 'running'].includes(previous.status) || previous.stages.map(stage => stage.name).join() !== stages.join()) {
+		return null
+	}
+	if (isRunAlive(previous)) {
+		throw new Error(`Run ${previous.runId} is still running (pid ${previous.pid}), use --fresh to start another one`)
+	}
+	const ageHours = (now - new Date(previous.startedAt)) / 3600000
+	if (!(ageHours <= pipeline.resumeMaxAgeHours)) {
+		console.log(`ℹ️ Run ${previous.runId} started more than ${pipeline.resumeMaxAgeHours}h ago, starting fresh`)
+		return null
+	}
+	return previous
+}
+
+async function saveRun(run, runPath) {
+	await fs.mkdir(path.dirname(runPath), { recursive: true })
+	await fs.writeFile(runPath, JSON.stringify(run, null, 2))
+}
+
+/**
+ * Run the pipeline stages in order, checkpointing to data/pipeline-run.json after each one.
+ * A failed (or interrupted) run with the same stages is resumed at its first stage that is not done,
+ * unless it started more than pipeline.resumeMaxAgeHours ago; a run whose process is still alive is not touched.
+ * @param {Object} options - { dataDir, pdfDir, feedsDir, configPath, sourcesPath, repoDir, fresh: ignore the last run, commit, push }
+ * @returns {Promise<Object>} run report: status (completed, partial or failed) and counts, durations and failures per stage
+ */
+async function runPipeline(options = {}) {
+	const repoDir = options.repoDir || path.join(__dirname, '..')
+	const context = {
+		dataDir: options.dataDir || path.join(repoDir, 'data'),
+		pdfDir: options.pdfDir || path.join(repoDir, 'pdfs'),
+		feedsDir: options.feedsDir || path.join(repoDir, 'feeds'),
+		configPath: options.configPath,
+		sourcesPath: options.sourcesPath,
+		repoDir
+	}
+	const pipeline = await loadPipelineConfig(context.configPath)
+	context.push = options.push ?? pipeline.push
+	const stages = pipeline.stages.filter(name => name !== 'commit')
+	if (options.commit ?? (pipeline.commit || pipeline.stages.includes('commit'))) stages.push('commit')
+
+	const runPath = path.join(context.dataDir, 'pipeline-run.json')
+	const now = new Date()
+	const previous = options.fresh ? null : resumableRun(await loadRun(runPath), stages, pipeline, now)
+	let run
+	if (previous) {
+		run = previous
+		run.status = 'running'
+		run.pid = process.pid
+		run.host = os.hostname()
+		run.resumes++
+		console.log(`🔁 Resuming run ${run.runId} at stage ${run.stages.find(stage => !DONE.includes(stage.status)).name}`)
+	} else {
+		run = newRun(stages, now)
+		console.log(`🚀 Starting pipeline: ${stages.join(' → ')}`)
+	}
+	await saveRun(run, runPath)
+
+	for (const stage of run.stages) {
+		if (DONE.includes(stage.status)) {
+			console.log(`⏭️ ${stage.name}: already ${stage.status}`)
+			continue
+		}
+
+		console.log(`\n▶️ Stage ${stage.name}`)
+		stage.status = 'running'
+		stage.attempts++
+		stage.startedAt = new Date().toISOString()
+		await saveRun(run, runPath)
+
+		const started = Date.now()
+		try {
+			const result = await STAGES[stage.name](context, run)
+			stage.counts = result.counts || {}
+			stage.failures = result.failures || []
+			stage.skipReason = result.skipped || null
+			stage.error = null
+			stage.status = result.skipped ? 'skipped' : stage.failures.length > 0 ? 'partial' : 'completed'
+		} catch (error) {
+			console.error(`❌ Stage ${stage.name} failed: ${error.message}`)
+			stage.status = 'failed'
+			stage.error = error.message
+		}
+		stage.finishedAt = new Date().toISOString()
+		stage.durationMs = Date.now() - started
+		console.log(`${stage.status === 'failed' ? '❌' : '✅'} ${stage.name}: ${stage.status} in ${(stage.durationMs / 1000).toFixed(1)}s`)
+
+		if (stage.status === 'failed') break
+		await saveRun(run, runPath)
+	}
+
+	run.status = run.stages.some(stage => stage.status === 'failed') ? 'failed' : run.stages.some(stage => stage.status === 'partial') ? 'partial' : 'completed'
+	run.finishedAt = new Date().toISOString()
+	run.durationMs = run.stages.reduce((sum, stage) => sum + (stage.durationMs || 0), 0)
+	await saveRun(run, runPath)
+	return run
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const args = process.argv.slice(2)
+	runPipeline({ fresh: args.includes('--fresh'), commit: args.includes('--commit') || undefined, push: args.includes('--push') || undefined })
+		.then(run => {
+			console.log(`\n📋 Pipeline ${run.status} (${(run.durationMs / 1000).toFixed(1)}s, report in data/pipeline-run.json)`)
+			run.stages.forEach(stage => {
+				const counts = Object.entries(stage.counts)
+					.map(([key, value]) => `${key}=${value}`)
+					.join(', ')
+				console.log(`   ${stage.name}: ${stage.status}${stage.skipReason ? ` (${stage.skipReason})` : ''}${counts ? ` - ${counts}` : ''}${stage.error ? ` - ${stage.error}` : ''}`)
+			})
+			// same exit codes as daily-news: 1 a stage failed (rerun to resume), 2 a stage had failures
+			process.exitCode = { failed: 1, partial: 2 }[run.status] || 0
+		})
+		.catch(error => {
+			console.error('❌ Pipeline failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { STAGES, loadPipelineConfig, runPipeline }
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { SNAPSHOT_PATTERN } from './archive.js'
+import { loadArticleIndex, saveArticleIndex } from './article-index.js'
+import { loadSearchIndex, pruneSearchIndex, saveSearchIndex } from './search-index.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// days to keep each data type: 15-day rolling archive by default
+const DEFAULT_RETENTION = {
+	snapshots: 15, // data/<group>/YYYY-MM-DD-HH-latest-raw.json
+	pdfs: 15, // pdfs/<domain>/YYYY-MM-DD/
+	index: 30 // data/article-index.json entries by lastSeen (kept longer so old articles are not reported as new)
+}
+
+const DATE_DIR_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Load retention settings from the "retention" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} days to keep per data type
+ */
+async function loadRetentionConfig(configPath = path.join(__dirname, '../config.json')) {
+	if (!existsSync(configPath)) {
+		return { ...DEFAULT_RETENTION }
+	}
+
+	const configData = await fs.readFile(configPath, 'utf-8')
+	const config = JSON.parse(configData)
+	const retention = { ...DEFAULT_RETENTION, ...(config.retention || {}) }
+
+	for (const [type, days] of Object.entries(retention)) {
+		if (!(type in DEFAULT_RETENTION)) {
+			throw new Error(`Unknown retention type "${type}" (allowed: ${Object.keys(DEFAULT_RETENTION).join(', ')})`)
+		}
+		if (!Number.isInteger(days) || days < 1) {
+			throw new Error(`retention.${type} must be a positive integer of days, got ${JSON.stringify(days)}`)
+		}
+	}
+
+	return retention
+}
+
+// list sub directories of a directory, empty when it does not exist
+async function listDirectories(directory) {
+	if (!existsSync(directory)) return []
+	const entries = await fs.readdir(directory, { withFileTypes: true })
+	return entries.filter(entry => entry.isDirectory()).map(entry => entry.name)
+}
+
+/**
+ * Find group snapshots older than the retention window
+ * @param {string} dataDir - data directory
+ * @param {Date} cutoff - files before this time expire
+ * @returns {Promise<Array<string>>} expired snapshot paths
+ */
+async function findExpiredSnapshots(dataDir, cutoff) {
+	const expired = []
+
+	for (const group of await listDirectories(dataDir)) {
+		const groupDir = path.join(dataDir, group)
+		for (const file of await fs.readdir(groupDir)) {
+			const match = file.match(SNAPSHOT_PATTERN)
+			if (!match) continue
+
+			const snapshotTime = new Date(`${match[1]}T${match[2]}:00:00.000Z`)
+			if (snapshotTime < cutoff) {
+				expired.push(path.join(groupDir, file))
+			}
+		}
+	}
+
+	return expired
+}
+
+/**
+ * Find PDF date folders older than the retention window
+ * @param {string} pdfDir - pdf directory
+ * @param {Date} cutoff - folders dated before this day expire
+ * @returns {Promise<Array<string>>} expired date folder paths
+ */
+async function findExpiredPdfDirs(pdfDir, cutoff) {
+	const expired = []
+	const cutoffDay = cutoff.toISOString().slice(0, 10)
+
+	for (const domain of await listDirectories(pdfDir)) {
+		for (const dateDir of await listDirectories(path.join(pdfDir, domain))) {
+			if (DATE_DIR_PATTERN.test(dateDir) && dateDir < cutoffDay) {
+				expired.push(path.join(pdfDir, domain, dateDir))
+			}
+		}
+	}
+
+	return expired
+}
+
+/**
+ * Find empty date folders (and domain folders left empty) under the pdf directory
+ * @param {string} pdfDir - pdf directory
+ * @param {Set<string>} removedDirs - folders that are being removed in this run
+ * @returns {Promise<Array<string>>} empty folder paths, deepest first
+ */
+async function findEmptyPdfDirs(pdfDir, removedDirs) {
+	const empty = []
+
+	for (const domain of await listDirectories(pdfDir)) {
+		const domainDir = path.join(pdfDir, domain)
+		let remaining = 0
+
+		for (const dateDir of await listDirectories(domainDir)) {
+			const datePath = path.join(domainDir, dateDir)
+			if (removedDirs.has(datePath)) continue
+
+			if ((await fs.readdir(datePath)).length === 0) {
+				empty.push(datePath)
+			} else {
+				remaining++
+			}
+		}
+
+		const files = (await fs.readdir(domainDir, { withFileTypes: true })).filter(entry => !entry.isDirectory())
+		if (remaining === 0 && files.length === 0) {
+			empty.push(domainDir)
+		}
+	}
+
+	return empty
+}
+
+/**
+ * Remove expired snapshots, PDFs, empty date folders, old index entries and search documents
+ * @param {Object} options - { dataDir, pdfDir, retention (default: from configPath), configPath, dryRun, now }
+ * @returns {Promise<Object>} summary of what was (or would be) removed
+ */
+async function pruneArchive(options = {}) {
+	const dataDir = options.dataDir || path.join(__dirname, '../data')
+	const pdfDir = options.pdfDir || path.join(__dirname, '../pdfs')
+	const retention = options.retention || (await loadRetentionConfig(options.configPath))
+	const dryRun = Boolean(options.dryRun)
+	const now = options.now || new Date()
+	const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+
+	const summary = {
+		prunedAt: now.toISOString(),
+		dryRun,
+		retention,
+		snapshots: [],
+		pdfDirs: [],
+		pdfFiles: 0,
+		emptyDirs: [],
+		indexEntries: 0,
+		searchDocuments: 0,
+		freedBytes: 0
+	}
+
+	// 1. group snapshots
+	for (const file of await findExpiredSnapshots(dataDir, daysAgo(retention.snapshots))) {
+		summary.freedBytes += (await fs.stat(file)).size
+		summary.snapshots.push(path.relative(dataDir, file))
+		if (!dryRun) await fs.rm(file)
+	}
+
+	// 2. PDF date folders
+	const expiredPdfDirs = await findExpiredPdfDirs(pdfDir, daysAgo(retention.pdfs))
+	for (const dir of expiredPdfDirs) {
+		const files = await fs.readdir(dir)
+		for (const file of files) {
+			summary.freedBytes += (await fs.stat(path.join(dir, file))).size
+		}
+		summary.pdfFiles += files.filter(file => file.toLowerCase().endsWith('.pdf')).length
+		summary.pdfDirs.push(path.relative(pdfDir, dir))
+		if (!dryRun) await fs.rm(dir, { recursive: true })
+	}
+
+	// 3. empty date folders left behind
+	for (const dir of await findEmptyPdfDirs(pdfDir, new Set(expiredPdfDirs))) {
+		summary.emptyDirs.push(path.relative(pdfDir, dir))
+		if (!dryRun) await fs.rm(dir, { recursive: true })
+	}
+
+	// 4. seen-article index entries
+	const indexPath = path.join(dataDir, 'article-index.json')
+	if (existsSync(indexPath)) {
+		const index = await loadArticleIndex(indexPath)
+		const indexCutoff = daysAgo(retention.index)
+		for (const [id, entry] of Object.entries(index.articles)) {
+			if (new Date(entry.lastSeen) < indexCutoff) {
+				summary.indexEntries++
+				delete index.articles[id]
+			}
+		}
+		if (!dryRun && summary.indexEntries > 0) {
+			await saveArticleIndex(index, indexPath)
+		}
+	}
+
+	// 5. search documents, kept as long as the snapshots they were crawled into
+	const searchIndexPath = path.join(dataDir, 'search-index.json')
+	if (existsSync(searchIndexPath)) {
+		const searchIndex = await loadSearchIndex(searchIndexPath)
+		summary.searchDocuments = pruneSearchIndex(searchIndex, daysAgo(retention.snapshots))
+		if (!dryRun && summary.searchDocuments > 0) {
+			await saveSearchIndex(searchIndex, searchIndexPath)
+		}
+	}
+
+	if (!dryRun) {
+		await fs.mkdir(dataDir, { recursive: true })
+		await fs.writeFile(path.join(dataDir, 'prune-summary.json'), JSON.stringify(summary, null, 2))
+	}
+
+	return summary
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const dryRun = process.argv.includes('--dry-run')
+
+	console.log(`🧹 Pruning archive${dryRun ? ' (dry run, nothing is deleted)' : ''}...`)
+	pruneArchive({ dryRun })
+		.then(summary => {
+			const verb = dryRun ? 'would remove' : 'removed'
+			console.log(`📅 Retention: snapshots ${summary.retention.snapshots}d, pdfs ${summary.retention.pdfs}d, index ${summary.retention.index}d`)
+
+			console.log(`\n🗂️ Snapshots ${verb}: ${summary.snapshots.length}`)
+			summary.snapshots.forEach(file => console.log(`   - data/${file}`))
+
+			console.log(`\n📄 PDF folders ${verb}: ${summary.pdfDirs.length} (${summary.pdfFiles} PDFs)`)
+			summary.pdfDirs.forEach(dir => console.log(`   - pdfs/${dir}/`))
+
+			console.log(`\n📁 Empty folders ${verb}: ${summary.emptyDirs.length}`)
+			summary.emptyDirs.forEach(dir => console.log(`   - pdfs/${dir}/`))
+
+			console.log(`\n🔖 Index entries ${verb}: ${summary.indexEntries}`)
+			console.log(`🔎 Search documents ${verb}: ${summary.searchDocuments}`)
+			console.log(`💾 Space ${dryRun ? 'to free' : 'freed'}: ${(summary.freedBytes / 1024).toFixed(1)} KB`)
+			if (!dryRun) {
+				console.log('📝 Summary written to data/prune-summary.json')
+			}
+		})
+		.catch(error => {
+			console.error('❌ Prune failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { DEFAULT_RETENTION, loadRetentionConfig, pruneArchive }
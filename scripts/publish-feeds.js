@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadArchiveArticles } from './archive.js'
+import { findArticlePdf, indexPdfs } from './pdf-paths.js'
+import { slugifyGroup } from './sources-file.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_PUBLISH_CONFIG = {
+	title: 'Daily News',
+	siteUrl: 'https://github.com/loveSummerDay/daily-news-rss', // channel link of every feed
+	feedBaseUrl: '', // public url of the feeds/ folder, used for self links when set
+	pdfBaseUrl: '', // public url of the pdfs/ folder; rendered PDFs are attached when set
+	days: 3, // archive window the feeds are built from
+	maxItems: 50 // items per feed
+}
+
+// feed flavours written for every feed: file suffix and builder
+const FORMATS = {
+	rss: { suffix: '.rss.xml', build: buildRss },
+	atom: { suffix: '.atom.xml', build: buildAtom },
+	json: { suffix: '.json', build: buildJsonFeed }
+}
+
+/**
+ * Load publishing settings from the "publish" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} publish settings
+ */
+async function loadPublishConfig(configPath = path.join(__dirname, '../config.json')) {
+	let publish = { ...DEFAULT_PUBLISH_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		publish = { ...publish, ...(JSON.parse(configData).publish || {}) }
+	}
+
+	for (const key of ['days', 'maxItems']) {
+		if (!Number.isInteger(publish[key]) || publish[key] < 1) {
+			throw new Error(`publish.${key} must be a positive integer, got ${JSON.stringify(publish[key])}`)
+		}
+	}
+
+	return publish
+}
+
+function escapeXml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		// characters not allowed in XML 1.0
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+function cdata(value) {
+	const text = String(value ?? '')
+		// characters not allowed in XML 1.0, not even in CDATA
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+		.replace(/]]>/g, ']]]]><![CDATA[>')
+	return `<![CDATA[${text}]]>`
+}
+
+// stable across runs and formats: article IDs never change (see article-id.js)
+function itemId(article) {
+	return `urn:daily-news-rss:article:${article.id}`
+}
+
+// categories of an article: local-model / keyword categories, else the source category
+function articleCategories(article) {
+	return article.categories?.length ? article.categories : article.source_category ? [article.source_category] : []
+}
+
+function joinUrl(base, relative) {
+	return `${base.replace(/\/+$/, '')}/${relative.split('/').map(encodeURIComponent).join('/')}`
+}
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - { name, title, link, selfUrl, updated, items: [{ article, pdf }] }
+ * @returns {string} XML
+ */
+function buildRss(feed) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+		'<channel>',
+		`<title>${escapeXml(feed.title)}</title>`,
+		`<link>${escapeXml(feed.link)}</link>`,
+		`<description>${escapeXml(feed.title)}</description>`,
+		`<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`
+	]
+	if (feed.selfUrl) {
+		lines.push(`<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />`)
+	}
+
+	for (const { article, pdf } of feed.items) {
+		lines.push('<item>')
+		lines.push(`<title>${escapeXml(article.title)}</title>`)
+		lines.push(`<link>${escapeXml(article.url)}</link>`)
+		lines.push(`<guid isPermaLink="false">${escapeXml(itemId(article))}</guid>`)
+		lines.push(`<pubDate>${new Date(article.pubDate).toUTCString()}</pubDate>`)
+		if (article.author) lines.push(`<dc:creator>${escapeXml(article.author)}</dc:creator>`)
+		articleCategories(article).forEach(category => lines.push(`<category>${escapeXml(category)}</category>`))
+		lines.push(`<description>${escapeXml(article.summary || article.metaDescription)}</description>`)
+		if (article.content) lines.push(`<content:encoded>${cdata(article.content)}</content:encoded>`)
+		if (pdf) lines.push(`<enclosure url="${escapeXml(pdf.url)}" length="${pdf.size}" type="application/pdf" />`)
+		// <source> names the feed the item was taken from, so it is left out when that is unknown
+		if (article.source_feed_url) lines.push(`<source url="${escapeXml(article.source_feed_url)}">${escapeXml(article.source)}</source>`)
+		lines.push('</item>')
+	}
+
+	lines.push('</channel>', '</rss>', '')
+	return lines.join('\n')
+}
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - see buildRss
+ * @returns {string} XML
+ */
+function buildAtom(feed) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<feed xmlns="http://www.w3.org/2005/Atom">',
+		`<id>urn:daily-news-rss:feed:${escapeXml(feed.name)}</id>`,
+		`<title>${escapeXml(feed.title)}</title>`,
+		`<updated>${feed.updated.toISOString()}</updated>`,
+		`<link rel="alternate" href="${escapeXml(feed.link)}" />`
+	]
+	if (feed.selfUrl) {
+		lines.push(`<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}" />`)
+	}
+	// atom requires an author on the feed when an entry has none
+	lines.push(`<author><name>${escapeXml(feed.title)}</name></author>`)
+
+	for (const { article, pdf } of feed.items) {
+		const published = new Date(article.pubDate).toISOString()
+		lines.push('<entry>')
+		lines.push(`<id>${escapeXml(itemId(article))}</id>`)
+		lines.push(`<title>${escapeXml(article.title)}</title>`)
+		lines.push(`<link rel="alternate" type="text/html" href="${escapeXml(article.url)}" />`)
+		lines.push(`<published>${published}</published>`)
+		lines.push(`<updated>${published}</updated>`)
+		if (article.author) lines.push(`<author><name>${escapeXml(article.author)}</name></author>`)
+		articleCategories(article).forEach(category => lines.push(`<category term="${escapeXml(category)}" />`))
+		if (article.summary || article.metaDescription) lines.push(`<summary>${escapeXml(article.summary || article.metaDescription)}</summary>`)
+		if (article.content) lines.push(`<content type="html">${escapeXml(article.content)}</content>`)
+		if (pdf) lines.push(`<link rel="enclosure" type="application/pdf" length="${pdf.size}" href="${escapeXml(pdf.url)}" />`)
+		lines.push('</entry>')
+	}
+
+	lines.push('</feed>', '')
+	return lines.join('\n')
+}
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - see buildRss
+ * @returns {string} JSON
+ */
+function buildJsonFeed(feed) {
+	const document = {
+		version: 'https://jsonfeed.org/version/1.1',
+		title: feed.title,
+		home_page_url: feed.link,
+		...(feed.selfUrl ? { feed_url: feed.selfUrl } : {}),
+		items: feed.items.map(({ article, pdf }) => ({
+			id: itemId(article),
+			url: article.url,
+			title: article.title,
+			...(article.content ? { content_html: article.content } : { content_text: article.metaDescription || '' }),
+			summary: article.summary || article.metaDescription || undefined,
+			date_published: new Date(article.pubDate).toISOString(),
+			...(article.author ? { authors: [{ name: article.author }] } : {}),
+			tags: articleCategories(article),
+			...(pdf ? { attachments: [{ url: pdf.url, mime_type: 'application/pdf', size_in_bytes: pdf.size }] } : {})
+		}))
+	}
+
+	return JSON.stringify(document, null, 2) + '\n'
+}
+
+/**
+ * Split articles into the published feeds: all, one per group and one per category
+ * @param {Array} articles - articles, newest first
+ * @param {string} title - base title
+ * @returns {Array} [{ name, path, title, articles }] with path relative to the feeds folder (no suffix)
+ */
+function planFeeds(articles, title) {
+	const feeds = [{ name: 'all', path: 'all', title, articles }]
+	const groups = new Map()
+	const categories = new Map()
+
+	for (const article of articles) {
+		const group = article.source_group || 'ungrouped'
+		if (!groups.has(group)) groups.set(group, [])
+		groups.get(group).push(article)
+
+		for (const category of articleCategories(article)) {
+			const slug = slugifyGroup(category)
+			if (!categories.has(slug)) categories.set(slug, { label: category, articles: [] })
+			categories.get(slug).articles.push(article)
+		}
+	}
+
+	for (const [group, groupArticles] of groups) {
+		feeds.push({ name: `group-${group}`, path: `group/${group}`, title: `${title} - ${group}`, articles: groupArticles })
+	}
+	for (const [slug, { label, articles: categoryArticles }] of categories) {
+		feeds.push({ name: `category-${slug}`, path: `category/${slug}`, title: `${title} - ${label}`, articles: categoryArticles })
+	}
+
+	return feeds
+}
+
+/**
+ * Write RSS 2.0, Atom 1.0 and JSON Feed files for all articles, each group and each category
+ * @param {Object} options - { dataDir, pdfDir, outputDir, publish, articles, now }
+ * @returns {Promise<Object>} { articles, files: [relative paths] }
+ */
+async function publishFeeds(options = {}) {
+	const {
+		dataDir = path.join(__dirname, '../data'),
+		pdfDir = path.join(__dirname, '../pdfs'),
+		outputDir = path.join(__dirname, '../feeds'),
+		now = new Date()
+	} = options
+	const publish = options.publish || (await loadPublishConfig())
+
+	const since = new Date(now.getTime() - publish.days * 24 * 60 * 60 * 1000)
+	const articles = options.articles || (await loadArchiveArticles({ dataDir, since }))
+	const pdfIndex = publish.pdfBaseUrl ? await indexPdfs(pdfDir) : new Map()
+
+	// PDF attachment of an article, when it was rendered and PDFs are published
+	const pdfs = new Map()
+	for (const article of articles) {
+		const relativePath = findArticlePdf(article, pdfIndex)
+		if (!relativePath) continue
+		const { size } = await fs.stat(path.join(pdfDir, relativePath))
+		pdfs.set(article.id, { url: joinUrl(publish.pdfBaseUrl, relativePath), size })
+	}
+
+	// rebuild from scratch so feeds of groups / categories that disappeared are removed
+	await fs.rm(outputDir, { recursive: true, force: true })
+
+	const files = []
+	for (const plan of planFeeds(articles, publish.title)) {
+		const items = plan.articles.slice(0, publish.maxItems).map(article => ({ article, pdf: pdfs.get(article.id) }))
+		for (const { suffix, build } of Object.values(FORMATS)) {
+			const relativePath = `${plan.path}${suffix}`
+			const feed = {
+				name: plan.name,
+				title: plan.title,
+				link: publish.siteUrl,
+				selfUrl: publish.feedBaseUrl ? joinUrl(publish.feedBaseUrl, relativePath) : '',
+				updated: items.length > 0 ? new Date(Math.max(...items.map(({ article }) => new Date(article.pubDate).getTime()))) : now,
+				items
+			}
+
+			const filepath = path.join(outputDir, relativePath)
+			await fs.mkdir(path.dirname(filepath), { recursive: true })
+			await fs.writeFile(filepath, build(feed))
+			files.push(relativePath)
+		}
+	}
+
+	return { articles: articles.length, pdfs: pdfs.size, files }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	console.log('📡 Publishing aggregated feeds...')
+	publishFeeds()
+		.then(summary => {
+			console.log(`✅ ${summary.articles} articles (${summary.pdfs} with PDF) → ${summary.files.length} files in feeds/`)
+			summary.files.filter(file => file.startsWith('all')).forEach(file => console.log(`   - feeds/${file}`))
+		})
+		.catch(error => {
+			console.error('❌ Publishing feeds failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { buildAtom, buildJsonFeed, buildRss, loadPublishConfig, planFeeds, publishFeeds }
@@ -0,0 +1,188 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_CONCURRENCY = {
+	global: 6, // requests in flight across all groups
+	maxParallelPerHost: 2, // requests in flight per hostname
+	minIntervalMs: 1000, // min gap between request starts on the same hostname
+	backoffBaseMs: 2000, // first retry waits around this long, doubling each attempt
+	backoffMaxMs: 60000, // upper bound for backoff and Retry-After waits
+	hosts: {} // per-hostname overrides: { "example.com": { maxParallel, minIntervalMs } }
+}
+
+const HOST_OVERRIDE_KEYS = ['maxParallel', 'minIntervalMs']
+
+/**
+ * Load the request pool settings from the "concurrency" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} concurrency settings
+ */
+async function loadConcurrencyConfig(configPath = path.join(__dirname, '../config.json')) {
+	let concurrency = { ...DEFAULT_CONCURRENCY }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		concurrency = { ...concurrency, ...(JSON.parse(configData).concurrency || {}) }
+	}
+
+	for (const key of ['global', 'maxParallelPerHost']) {
+		if (!Number.isInteger(concurrency[key]) || concurrency[key] < 1) {
+			throw new Error(`concurrency.${key} must be a positive integer, got ${JSON.stringify(concurrency[key])}`)
+		}
+	}
+	for (const key of ['minIntervalMs', 'backoffBaseMs', 'backoffMaxMs']) {
+		if (typeof concurrency[key] !== 'number' || concurrency[key] < 0) {
+			throw new Error(`concurrency.${key} must be a number >= 0, got ${JSON.stringify(concurrency[key])}`)
+		}
+	}
+
+	if (!concurrency.hosts || typeof concurrency.hosts !== 'object' || Array.isArray(concurrency.hosts)) {
+		throw new Error(`concurrency.hosts must be an object keyed by hostname, got ${JSON.stringify(concurrency.hosts)}`)
+	}
+	for (const [host, override] of Object.entries(concurrency.hosts)) {
+		if (!override || typeof override !== 'object' || Array.isArray(override)) {
+			throw new Error(`concurrency.hosts["${host}"] must be an object, got ${JSON.stringify(override)}`)
+		}
+		const unknown = Object.keys(override).filter(key => !HOST_OVERRIDE_KEYS.includes(key))
+		if (unknown.length) {
+			throw new Error(`concurrency.hosts["${host}"] has unknown key(s) ${unknown.join(', ')}; allowed: ${HOST_OVERRIDE_KEYS.join(', ')}`)
+		}
+		if (override.maxParallel !== undefined && (!Number.isInteger(override.maxParallel) || override.maxParallel < 1)) {
+			throw new Error(`concurrency.hosts["${host}"].maxParallel must be a positive integer, got ${JSON.stringify(override.maxParallel)}`)
+		}
+		if (override.minIntervalMs !== undefined && (typeof override.minIntervalMs !== 'number' || override.minIntervalMs < 0)) {
+			throw new Error(`concurrency.hosts["${host}"].minIntervalMs must be a number >= 0, got ${JSON.stringify(override.minIntervalMs)}`)
+		}
+	}
+
+	return concurrency
+}
+
+// hostname of a url without www., used as the rate limiting key
+function hostKey(url) {
+	try {
+		return new URL(url).hostname.replace(/^www\./, '')
+	} catch {
+		return 'unknown'
+	}
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - header value
+ * @returns {number|null} wait in milliseconds
+ */
+function parseRetryAfter(value) {
+	if (!value) return null
+
+	const seconds = Number(value)
+	if (Number.isFinite(seconds)) {
+		return Math.max(0, seconds * 1000)
+	}
+
+	const date = new Date(value)
+	return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now())
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^(attempt-1), capped, then scaled by 50-100%
+ * @param {number} attempt - retry number starting at 1
+ * @param {Object} concurrency - concurrency settings
+ * @returns {number} delay in milliseconds
+ */
+function backoffDelay(attempt, concurrency = DEFAULT_CONCURRENCY) {
+	const exponential = Math.min(concurrency.backoffMaxMs, concurrency.backoffBaseMs * 2 ** (attempt - 1))
+	return Math.round(exponential * (0.5 + Math.random() / 2))
+}
+
+/**
+ * Create a shared request pool with a global concurrency limit and per-host limits
+ * (max parallel requests, min interval between request starts)
+ * @param {Object} concurrency - concurrency settings
+ * @returns {Object} { run(url, task), pauseHost(url, ms) }
+ */
+function createRequestPool(concurrency = DEFAULT_CONCURRENCY) {
+	const hosts = new Map()
+	const waiting = []
+	let active = 0
+	let timer = null
+	let timerAt = Infinity
+
+	const hostState = host => {
+		if (!hosts.has(host)) {
+			const override = concurrency.hosts?.[host] || {}
+			hosts.set(host, {
+				active: 0,
+				nextAt: 0,
+				maxParallel: override.maxParallel ?? concurrency.maxParallelPerHost,
+				minIntervalMs: override.minIntervalMs ?? concurrency.minIntervalMs
+			})
+		}
+		return hosts.get(host)
+	}
+
+	// start every waiting job whose host and the global limit allow it
+	const dispatch = () => {
+		const now = Date.now()
+		let wakeAt = Infinity
+
+		for (let i = 0; i < waiting.length && active < concurrency.global; i++) {
+			const job = waiting[i]
+			const state = hostState(job.host)
+
+			if (state.active >= state.maxParallel) continue
+			if (now < state.nextAt) {
+				wakeAt = Math.min(wakeAt, state.nextAt)
+				continue
+			}
+
+			waiting.splice(i, 1)
+			i--
+			active++
+			state.active++
+			state.nextAt = now + state.minIntervalMs
+			job.start()
+		}
+
+		// wake up again when the earliest rate-limited host becomes available
+		if (wakeAt < timerAt) {
+			clearTimeout(timer)
+			timerAt = wakeAt
+			timer = setTimeout(() => {
+				timer = null
+				timerAt = Infinity
+				dispatch()
+			}, wakeAt - now)
+		}
+	}
+
+	const run = async (url, task) => {
+		const host = hostKey(url)
+		await new Promise(resolve => {
+			waiting.push({ host, start: resolve })
+			dispatch()
+		})
+
+		try {
+			return await task()
+		} finally {
+			active--
+			hostState(host).active--
+			dispatch()
+		}
+	}
+
+	// keep a host idle, e.g. after a 429 with Retry-After
+	const pauseHost = (url, ms) => {
+		const state = hostState(hostKey(url))
+		state.nextAt = Math.max(state.nextAt, Date.now() + ms)
+		dispatch()
+	}
+
+	return { run, pauseHost }
+}
+
+export { DEFAULT_CONCURRENCY, backoffDelay, createRequestPool, hostKey, loadConcurrencyConfig, parseRetryAfter }
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+import { promises as fs } from 'fs'
+import { parseHTML } from 'linkedom'
+import { USER_AGENT } from './extract-fulltext.js'
+
+// "scrape" options of a source
+const SCRAPE_RULES = {
+	item: value => (typeof value === 'string' && value ? null : 'must be a CSS selector'),
+	link: value => (typeof value === 'string' && value ? null : 'must be a CSS selector'),
+	title: value => (typeof value === 'string' && value ? null : 'must be a CSS selector'),
+	date: value => (typeof value === 'string' && value ? null : 'must be a CSS selector'),
+	dateAttribute: value => (typeof value === 'string' && value ? null : 'must be an attribute name'),
+	article: value => (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).every(key => ['content', 'author', 'date'].includes(key)) ? null : 'must be an object with content / author / date selectors'),
+	browser: value => (['auto', 'always', 'never'].includes(value) ? null : 'must be "auto", "always" or "never"')
+}
+
+/**
+ * Validate the "scrape" selectors of a scrape source
+ * @param {Object} source - source from sources.json
+ * @returns {Array<string>} error messages
+ */
+function validateScrapeConfig(source) {
+	const label = `sources.json source "${source.name}"`
+	const scrape = source.scrape
+	if (!scrape || typeof scrape !== 'object' || Array.isArray(scrape)) {
+		return [`${label}: type "scrape" needs a "scrape" object with at least an "item" selector`]
+	}
+
+	const errors = []
+	if (!scrape.item) {
+		errors.push(`${label}: scrape.item is required`)
+	}
+	for (const [key, value] of Object.entries(scrape)) {
+		const rule = SCRAPE_RULES[key]
+		if (!rule) {
+			errors.push(`${label}: unknown scrape option "${key}" (allowed: ${Object.keys(SCRAPE_RULES).join(', ')})`)
+			continue
+		}
+		const message = rule(value)
+		if (message) {
+			errors.push(`${label}: scrape.${key} ${message}, got ${JSON.stringify(value)}`)
+		}
+	}
+
+	return errors
+}
+
+function cleanText(text) {
+	return (text || '').replace(/\s+/g, ' ').trim()
+}
+
+function resolveUrl(href, baseUrl) {
+	try {
+		return new URL(href, baseUrl).toString()
+	} catch {
+		return ''
+	}
+}
+
+// date from a matched element: the configured attribute, else <time datetime>, else its text
+function readDate(element, attribute) {
+	if (!element) return undefined
+	const value = element.getAttribute(attribute || 'datetime') || element.getAttribute('content') || cleanText(element.textContent)
+	const date = new Date(value)
+	return isNaN(date.getTime()) ? undefined : date.toISOString()
+}
+
+/**
+ * Read the article list of a page with the source's selectors into rss-parser's item shape
+ * @param {string} html - list page HTML
+ * @param {string} pageUrl - page url, used to resolve relative links
+ * @param {Object} scrape - { item, link?, title?, date?, dateAttribute? }
+ * @returns {Object} { title, items }
+ */
+function parseListPage(html, pageUrl, scrape) {
+	const { document } = parseHTML(html)
+	const items = []
+	const seen = new Set()
+
+	for (const element of document.querySelectorAll(scrape.item)) {
+		const linkElement = scrape.link ? element.querySelector(scrape.link) : element.matches('a[href]') ? element : element.querySelector('a[href]')
+		const url = linkElement ? resolveUrl(linkElement.getAttribute('href'), pageUrl) : ''
+		const titleElement = scrape.title ? element.querySelector(scrape.title) : linkElement
+		const title = cleanText(titleElement?.textContent)
+		if (!url || !title || seen.has(url)) continue
+		seen.add(url)
+
+		const date = readDate(scrape.date ? element.querySelector(scrape.date) : element.querySelector('time'), scrape.dateAttribute)
+		items.push({ title, link: url, guid: url, pubDate: date, isoDate: date, author: '', content: '', contentSnippet: '', categories: [] })
+	}
+
+	return { title: cleanText(document.querySelector('title')?.textContent), items }
+}
+
+/**
+ * Read content / author / date of an article page with the source's article selectors
+ * @param {string} html - article page HTML
+ * @param {string} pageUrl - page url, used to resolve relative links and images
+ * @param {Object} selectors - { content?, author?, date? }
+ * @returns {Object} { content, author, date } (empty strings / undefined when not found)
+ */
+function parseArticlePage(html, pageUrl, selectors) {
+	const { document } = parseHTML(html)
+
+	let content = ''
+	if (selectors.content) {
+		const blocks = [...document.querySelectorAll(selectors.content)]
+		blocks.forEach(block => {
+			block.querySelectorAll('script, style').forEach(node => node.remove())
+			block.querySelectorAll('a[href]').forEach(node => node.setAttribute('href', resolveUrl(node.getAttribute('href'), pageUrl)))
+			block.querySelectorAll('img[src]').forEach(node => node.setAttribute('src', resolveUrl(node.getAttribute('src'), pageUrl)))
+		})
+		content = blocks
+			.map(block => block.innerHTML.trim())
+			.join('\n')
+			.trim()
+	}
+
+	const authors = selectors.author ? [...new Set([...document.querySelectorAll(selectors.author)].map(node => cleanText(node.textContent)).filter(Boolean))] : []
+
+	return {
+		content,
+		author: authors.join(', ').replace(/^by\s+/i, ''),
+		date: selectors.date ? readDate(document.querySelector(selectors.date)) : undefined
+	}
+}
+
+async function fetchPage(url, timeout) {
+	const response = await fetch(url, {
+		headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+		redirect: 'follow',
+		signal: AbortSignal.timeout(timeout)
+	})
+
+	if (!response.ok) {
+		const error = new Error(`Status code ${response.status}`)
+		error.status = response.status
+		throw error
+	}
+
+	return response.text()
+}
+
+/**
+ * Render a page in headless Chromium and return the resulting HTML
+ * @param {string} url - page url
+ * @param {number} timeout - navigation timeout in milliseconds
+ * @returns {Promise<string>} rendered HTML
+ */
+async function renderWithBrowser(url, timeout) {
+	// loaded on demand: most crawls never need a browser
+	const { chromium } = await import('playwright')
+	const browser = await chromium.launch({ headless: true })
+	try {
+		const page = await browser.newPage({ userAgent: USER_AGENT })
+		await page.goto(url, { waitUntil: 'networkidle', timeout })
+		return await page.content()
+	} finally {
+		await browser.close()
+	}
+}
+
+/**
+ * Scrape the article list of a scrape source; plain HTTP first, headless browser when
+ * the fetched HTML has no matching items (browser: "auto") or always (browser: "always")
+ * @param {string} html - list page HTML fetched over HTTP
+ * @param {Object} source - scrape source
+ * @param {Object} options - { pool, timeout }
+ * @returns {Promise<Object>} { title, items, rendered }
+ */
+async function scrapeListPage(html, source, options = {}) {
+	const { pool, timeout = 30000 } = options
+	const browser = source.scrape.browser || 'auto'
+
+	if (browser !== 'always') {
+		const feed = parseListPage(html, source.url, source.scrape)
+		if (feed.items.length > 0 || browser === 'never') {
+			return { ...feed, rendered: false }
+		}
+		console.log(`🌐 ${source.name}: no items in the HTML, rendering with a browser`)
+	}
+
+	const renderedHtml = await pool.run(source.url, () => renderWithBrowser(source.url, timeout))
+	return { ...parseListPage(renderedHtml, source.url, source.scrape), rendered: true }
+}
+
+/**
+ * Fill content / author / date of scraped items from their article pages (scrape.article selectors).
+ * Items already scraped on an earlier run are taken from previousItems instead of being downloaded again.
+ * @param {Array} items - items from scrapeListPage, updated in place
+ * @param {Object} source - scrape source
+ * @param {Object} options - { pool, timeout, previousItems }
+ */
+async function scrapeArticles(items, source, options = {}) {
+	const selectors = source.scrape.article
+	if (!selectors) return
+
+	const { pool, timeout = 30000, previousItems = [] } = options
+	const previous = new Map(previousItems.filter(item => item.scrapedAt).map(item => [item.link, item]))
+
+	await Promise.all(
+		items.map(async item => {
+			const cached = previous.get(item.link)
+			if (cached) {
+				Object.assign(item, { content: cached.content, author: cached.author, pubDate: cached.pubDate, isoDate: cached.isoDate, scrapedAt: cached.scrapedAt })
+				return
+			}
+
+			try {
+				const html = await pool.run(item.link, () => fetchPage(item.link, timeout))
+				const article = parseArticlePage(html, item.link, selectors)
+				item.content = article.content || item.content
+				item.author = article.author || item.author
+				item.pubDate = item.pubDate || article.date
+				item.isoDate = item.isoDate || article.date
+				item.scrapedAt = new Date().toISOString()
+			} catch (error) {
+				console.log(`⚠️ Article page failed for "${item.title.substring(0, 50)}...": ${error.message}`)
+			}
+		})
+	)
+}
+
+// Run if called directly: try a source's selectors against a saved page or the live site
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const [sourcesPath, sourceName, htmlPath] = process.argv.slice(2)
+
+	const run = async () => {
+		if (!sourcesPath || !sourceName) {
+			console.log('Usage: node scripts/scrape-source.js <sources.json> <source name> [saved-list-page.html]')
+			process.exitCode = 1
+			return
+		}
+
+		const sourcesJson = JSON.parse(await fs.readFile(sourcesPath, 'utf-8'))
+		const source = Object.values(sourcesJson)
+			.flatMap(group => (Array.isArray(group) ? group : group?.sources || []))
+			.find(candidate => candidate.name === sourceName)
+		if (!source) {
+			throw new Error(`Source "${sourceName}" not found in ${sourcesPath}`)
+		}
+
+		const errors = validateScrapeConfig(source)
+		if (errors.length > 0) {
+			throw new Error(errors.join('; '))
+		}
+
+		const html = htmlPath ? await fs.readFile(htmlPath, 'utf-8') : await fetchPage(source.url, 30000)
+		const { items } = parseListPage(html, source.url, source.scrape)
+		console.log(`📄 ${items.length} items matched`)
+		items.forEach(item => console.log(`   - ${item.isoDate || '(no date)'}  ${item.title}\n     ${item.link}`))
+	}
+
+	run().catch(error => {
+		console.error('❌ Scrape failed:', error.message)
+		process.exit(1)
+	})
+}
+
+export { parseArticlePage, parseListPage, scrapeArticles, scrapeListPage, validateScrapeConfig }
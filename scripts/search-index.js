@@ -0,0 +1,344 @@
+import { createHash } from 'crypto'
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadArchiveArticles } from './archive.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultIndexPath = path.join(__dirname, '../data/search-index.json')
+
+// bump when tokenizing changes: older index files are rebuilt instead of mixed
+const INDEX_VERSION = 1
+
+const DEFAULT_SEARCH_CONFIG = {
+	enabled: true // update data/search-index.json after each crawl
+}
+
+// a title match counts three times a body match
+const FIELD_WEIGHTS = { title: 3, author: 2, metaDescription: 1.5, content: 1 }
+
+// BM25 parameters
+const K1 = 1.2
+const B = 0.75
+
+const STOPWORDS = new Set(
+	'a an and are as at be but by for from has have he her his i in into is it its not of on or our she that the their there they this to was we were what when which who will with you'.split(' ')
+)
+
+// a run of letters / digits, or a single CJK character (no spaces between words)
+const WORD_PATTERN = /\p{Script=Han}|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * Load the search settings from the "search" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} search settings
+ */
+async function loadSearchConfig(configPath = path.join(__dirname, '../config.json')) {
+	let search = { ...DEFAULT_SEARCH_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		search = { ...search, ...(JSON.parse(configData).search || {}) }
+	}
+
+	if (typeof search.enabled !== 'boolean') {
+		throw new Error(`search.enabled must be a boolean, got ${JSON.stringify(search.enabled)}`)
+	}
+
+	return search
+}
+
+/**
+ * Plain text of article HTML, without scripts, styles and figures (image captions and credits)
+ * @param {string} html - article content
+ * @returns {string} text
+ */
+function htmlToText(html) {
+	return (html || '')
+		.replace(/<(script|style|figure|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+			if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity
+			const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+			return Number.isNaN(code) ? entity : String.fromCodePoint(code)
+		})
+		.replace(/\s+/g, ' ')
+		.trim()
+}
+
+// light English stemming so "shutdowns" finds "shutdown"
+function stem(word) {
+	if (word.length <= 3 || /\d/.test(word)) return word
+	if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`
+	if (/(ss|us|is)$/.test(word)) return word
+	if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2)
+	if (word.endsWith('s')) return word.slice(0, -1)
+	return word
+}
+
+// index term of a word, null for stopwords and single letters
+function termOf(word) {
+	const normalized = word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+	if (/^\p{Script=Han}$/u.test(normalized)) return normalized
+	if (normalized.length < 2 || STOPWORDS.has(normalized)) return null
+	return stem(normalized)
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - any text
+ * @returns {Array<string>} terms, in order, with repeats
+ */
+function tokenize(text) {
+	return [...(text || '').matchAll(WORD_PATTERN)].map(match => termOf(match[0])).filter(Boolean)
+}
+
+function contentHash(article) {
+	const text = [article.title, article.author, article.metaDescription, article.content].map(value => value || '').join('\n')
+	return createHash('sha256').update(text).digest('hex').slice(0, 16)
+}
+
+// fields shown with a result, refreshed on every crawl without re-indexing the text
+function metadataOf(article) {
+	return {
+		url: article.url,
+		canonicalUrl: article.canonicalUrl || article.url,
+		pubDate: article.pubDate,
+		crawledAt: article.crawledAt || new Date().toISOString(),
+		source: article.source,
+		source_group: article.source_group || null,
+		source_domain: article.source_domain,
+		categories: article.categories?.length ? article.categories : article.source_category ? [article.source_category] : []
+	}
+}
+
+/**
+ * Search index entry of an article: weighted term counts plus what a result needs to show
+ * @param {Object} article - crawled article
+ * @returns {Object} document
+ */
+function documentOf(article) {
+	const text = {
+		title: article.title || '',
+		author: article.author || '',
+		metaDescription: htmlToText(article.metaDescription),
+		content: htmlToText(article.content)
+	}
+
+	const terms = {}
+	let length = 0
+	for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+		for (const term of tokenize(text[field])) {
+			terms[term] = (terms[term] || 0) + weight
+			length += weight
+		}
+	}
+
+	return {
+		title: text.title,
+		author: text.author,
+		...metadataOf(article),
+		// most feeds cut the description out of the content, often mid-word at its end
+		text: text.content.includes(text.metaDescription.slice(-80, -20)) ? text.content : [text.metaDescription, text.content].filter(Boolean).join(' '),
+		hash: contentHash(article),
+		length,
+		terms
+	}
+}
+
+/**
+ * Load the search index
+ * @param {string} indexPath - index file path
+ * @returns {Promise<Object>} { version, updatedAt, documents: { [id]: document } }
+ */
+async function loadSearchIndex(indexPath = defaultIndexPath) {
+	const empty = { version: INDEX_VERSION, updatedAt: null, documents: {} }
+	try {
+		if (!existsSync(indexPath)) {
+			return empty
+		}
+		const index = JSON.parse(await fs.readFile(indexPath, 'utf-8'))
+		if (index.version !== INDEX_VERSION) {
+			console.log(`⚠️ Search index version ${index.version} is outdated, starting fresh`)
+			return empty
+		}
+		return { ...empty, ...index }
+	} catch (error) {
+		console.log(`⚠️ Failed to read search index, starting fresh: ${error.message}`)
+		return empty
+	}
+}
+
+/**
+ * Save the search index (compact: it holds the text of every article and is only read by search)
+ * @param {Object} index - search index
+ * @param {string} indexPath - index file path
+ */
+async function saveSearchIndex(index, indexPath = defaultIndexPath) {
+	await fs.mkdir(path.dirname(indexPath), { recursive: true })
+	await fs.writeFile(indexPath, JSON.stringify(index))
+}
+
+/**
+ * Add new articles to the index and re-index those whose text changed
+ * @param {Object} index - search index, updated in place
+ * @param {Array} articles - crawled articles
+ * @returns {Object} { added, updated, unchanged }
+ */
+function updateSearchIndex(index, articles) {
+	const counts = { added: 0, updated: 0, unchanged: 0 }
+	for (const article of articles) {
+		if (!article.id || !article.url) continue
+		const existing = index.documents[article.id]
+		if (existing && existing.hash === contentHash(article)) {
+			Object.assign(existing, metadataOf(article))
+			counts.unchanged++
+			continue
+		}
+		index.documents[article.id] = documentOf(article)
+		counts[existing ? 'updated' : 'added']++
+	}
+	index.updatedAt = new Date().toISOString()
+	return counts
+}
+
+/**
+ * Remove documents last crawled before a cutoff
+ * @param {Object} index - search index, updated in place
+ * @param {Date} cutoff - documents crawled before this time are removed
+ * @returns {number} removed documents
+ */
+function pruneSearchIndex(index, cutoff) {
+	let removed = 0
+	for (const [id, document] of Object.entries(index.documents)) {
+		if (new Date(document.crawledAt) < cutoff) {
+			delete index.documents[id]
+			removed++
+		}
+	}
+	return removed
+}
+
+/**
+ * Index the articles of a crawl into the index file
+ * @param {Array} articles - crawled articles
+ * @param {string} indexPath - index file path
+ * @returns {Promise<Object>} { added, updated, unchanged, documents }
+ */
+async function indexArticles(articles, indexPath = defaultIndexPath) {
+	const index = await loadSearchIndex(indexPath)
+	const counts = updateSearchIndex(index, articles)
+	await saveSearchIndex(index, indexPath)
+	return { ...counts, documents: Object.keys(index.documents).length }
+}
+
+/**
+ * Rebuild the index from the group snapshots and data/latest-raw.json
+ * @param {Object} options - { dataDir, indexPath }
+ * @returns {Promise<Object>} { documents }
+ */
+async function buildSearchIndex(options = {}) {
+	const dataDir = options.dataDir || path.join(__dirname, '../data')
+	const indexPath = options.indexPath || path.join(dataDir, 'search-index.json')
+
+	// oldest first, so the latest copy of an article wins
+	const articles = (await loadArchiveArticles({ dataDir })).reverse()
+	const latestPath = path.join(dataDir, 'latest-raw.json')
+	if (existsSync(latestPath)) {
+		articles.push(...(JSON.parse(await fs.readFile(latestPath, 'utf-8')).articles || []))
+	}
+
+	const index = { version: INDEX_VERSION, updatedAt: null, documents: {} }
+	updateSearchIndex(index, articles)
+	await saveSearchIndex(index, indexPath)
+	return { documents: Object.keys(index.documents).length }
+}
+
+function matchesFilters(document, filters) {
+	const pubDate = new Date(document.pubDate)
+	if (filters.since && !(pubDate >= filters.since)) return false
+	if (filters.until && !(pubDate < filters.until)) return false
+	if (filters.group && document.source_group !== filters.group) return false
+	if (filters.category && !document.categories.some(category => category.toLowerCase() === filters.category.toLowerCase())) return false
+	if (filters.source && ![document.source, document.source_domain].some(value => value?.toLowerCase() === filters.source.toLowerCase())) return false
+	return true
+}
+
+/**
+ * Text around the first match, matched words wrapped in **
+ * @param {string} text - document text
+ * @param {Set<string>} queryTerms - terms of the query
+ * @param {number} size - snippet length in characters
+ * @returns {string} snippet
+ */
+function makeSnippet(text, queryTerms, size = 200) {
+	const matches = [...text.matchAll(WORD_PATTERN)].filter(match => queryTerms.has(termOf(match[0])))
+	let start = matches.length > 0 ? Math.max(0, matches[0].index - Math.floor(size / 3)) : 0
+	if (start > 0) {
+		const space = text.indexOf(' ', start)
+		start = space === -1 || space > matches[0].index ? start : space + 1
+	}
+	let end = Math.min(text.length, start + size)
+	if (end < text.length) {
+		const space = text.lastIndexOf(' ', end)
+		end = space > start ? space : end
+	}
+
+	let snippet = ''
+	let position = start
+	for (const match of matches) {
+		const matchEnd = match.index + match[0].length
+		if (match.index < start || matchEnd > end) continue
+		snippet += `${text.slice(position, match.index)}**${match[0]}**`
+		position = matchEnd
+	}
+	snippet += text.slice(position, end)
+	return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`
+}
+
+/**
+ * Rank the indexed articles for a query (BM25; articles matching more query terms first)
+ * @param {Object} index - search index
+ * @param {string} query - words to look for
+ * @param {Object} filters - { since: Date, until: Date, group, category, source: name or domain, limit }
+ * @returns {Array} [{ id, score, title, url, canonicalUrl, pubDate, author, source, source_group, source_domain, categories, snippet }]
+ */
+function searchArticles(index, query, filters = {}) {
+	const queryTerms = new Set(tokenize(query))
+	const documents = Object.entries(index.documents)
+	if (queryTerms.size === 0 || documents.length === 0) return []
+
+	// document frequencies over the whole index, so filters do not change the ranking
+	const averageLength = documents.reduce((sum, [, document]) => sum + document.length, 0) / documents.length || 1
+	const idf = {}
+	for (const term of queryTerms) {
+		const frequency = documents.filter(([, document]) => document.terms[term]).length
+		idf[term] = Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))
+	}
+
+	const results = []
+	for (const [id, document] of documents) {
+		let score = 0
+		let matched = 0
+		for (const term of queryTerms) {
+			const frequency = document.terms[term]
+			if (!frequency) continue
+			matched++
+			score += (idf[term] * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * document.length) / averageLength))
+		}
+		if (matched === 0 || !matchesFilters(document, filters)) continue
+		results.push({ id, document, matched, score })
+	}
+
+	results.sort((a, b) => b.matched - a.matched || b.score - a.score || new Date(b.document.pubDate) - new Date(a.document.pubDate))
+
+	return results.slice(0, filters.limit || 10).map(({ id, document, score }) => {
+		const { text, hash: _hash, length: _length, terms: _terms, crawledAt: _crawledAt, ...fields } = document
+		const snippet = makeSnippet(text, queryTerms)
+		return { id, score: Math.round(score * 100) / 100, ...fields, snippet: snippet || makeSnippet(document.title, queryTerms) }
+	})
+}
+
+export { buildSearchIndex, htmlToText, indexArticles, loadSearchConfig, loadSearchIndex, makeSnippet, pruneSearchIndex, saveSearchIndex, searchArticles, tokenize, updateSearchIndex }
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultHealthPath = path.join(__dirname, '../data/source-health.json')
+
+const DEFAULT_HEALTH_CONFIG = {
+	maxConsecutiveFailures: 3, // flag a source failing this many runs in a row
+	staleDays: 7 // flag a source whose newest item is older than this
+}
+
+/**
+ * Load report thresholds from the "health" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} health settings
+ */
+async function loadHealthConfig(configPath = path.join(__dirname, '../config.json')) {
+	let health = { ...DEFAULT_HEALTH_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		health = { ...health, ...(JSON.parse(configData).health || {}) }
+	}
+
+	for (const key of Object.keys(DEFAULT_HEALTH_CONFIG)) {
+		if (!Number.isInteger(health[key]) || health[key] < 1) {
+			throw new Error(`health.${key} must be a positive integer, got ${JSON.stringify(health[key])}`)
+		}
+	}
+
+	return health
+}
+
+/**
+ * Load the per-source health records from disk
+ * @param {string} healthPath - health file path
+ * @returns {Promise<Object>} records keyed by source url
+ */
+async function loadSourceHealth(healthPath = defaultHealthPath) {
+	try {
+		if (!existsSync(healthPath)) {
+			return {}
+		}
+		return JSON.parse(await fs.readFile(healthPath, 'utf-8'))
+	} catch (error) {
+		console.log(`⚠️ Failed to read source health, starting fresh: ${error.message}`)
+		return {}
+	}
+}
+
+/**
+ * Save the per-source health records to disk
+ * @param {Object} health - records keyed by source url
+ * @param {string} healthPath - health file path
+ */
+async function saveSourceHealth(health, healthPath = defaultHealthPath) {
+	await fs.mkdir(path.dirname(healthPath), { recursive: true })
+	await fs.writeFile(healthPath, JSON.stringify(health, null, 2))
+}
+
+/**
+ * Record the outcome of one crawl of a source
+ * @param {Object} health - records keyed by source url (updated in place)
+ * @param {Object} source - source from loadSources
+ * @param {Object} outcome - { ok, status, error, articles, newestItemAt }
+ * @param {Date} now - time of the run
+ * @returns {Object} the updated record
+ */
+function recordSourceRun(health, source, outcome, now = new Date()) {
+	const record = (health[source.url] ||= {
+		name: source.name,
+		group: source.sourceIdentifier,
+		firstRunAt: now.toISOString(),
+		runs: 0,
+		successes: 0,
+		totalItems: 0,
+		averageItems: 0,
+		consecutiveFailures: 0,
+		lastSuccessAt: null,
+		lastFailureAt: null,
+		lastStatus: null,
+		lastError: null,
+		lastNewItemAt: null
+	})
+
+	record.name = source.name
+	record.group = source.sourceIdentifier
+	record.lastRunAt = now.toISOString()
+	record.runs++
+	record.lastStatus = outcome.status ?? null
+
+	if (outcome.ok) {
+		record.successes++
+		record.totalItems += outcome.articles
+		record.averageItems = Math.round((record.totalItems / record.successes) * 10) / 10
+		record.consecutiveFailures = 0
+		record.lastSuccessAt = now.toISOString()
+		record.lastError = null
+		if (outcome.newestItemAt && (!record.lastNewItemAt || outcome.newestItemAt > record.lastNewItemAt)) {
+			record.lastNewItemAt = outcome.newestItemAt
+		}
+	} else {
+		record.consecutiveFailures++
+		record.lastFailureAt = now.toISOString()
+		record.lastError = outcome.error || 'unknown error'
+	}
+
+	return record
+}
+
+/**
+ * Drop the records of sources that are no longer in sources.json
+ * @param {Object} health - records keyed by source url (updated in place)
+ * @param {Array} sources - sources from loadSources
+ * @returns {number} records removed
+ */
+function pruneSourceHealth(health, sources) {
+	const urls = new Set(sources.map(source => source.url))
+	const removed = Object.keys(health).filter(url => !urls.has(url))
+	removed.forEach(url => delete health[url])
+	return removed.length
+}
+
+/**
+ * Check a source record against the report thresholds
+ * @param {Object|undefined} record - health record of the source
+ * @param {Object} config - { maxConsecutiveFailures, staleDays }
+ * @param {Date} now - reference time
+ * @returns {Object} { state: 'ok'|'failing'|'stale'|'unknown', reasons: [] }
+ */
+function assessSource(record, config = DEFAULT_HEALTH_CONFIG, now = new Date()) {
+	if (!record) {
+		return { state: 'unknown', reasons: ['never crawled'] }
+	}
+
+	const reasons = []
+	let state = 'ok'
+	if (record.consecutiveFailures >= config.maxConsecutiveFailures) {
+		state = 'failing'
+		reasons.push(`failed ${record.consecutiveFailures} runs in a row (${record.lastError})`)
+	}
+
+	// nothing published within staleDays; a new source gets staleDays before it is judged
+	const staleCutoff = now.getTime() - config.staleDays * 24 * 60 * 60 * 1000
+	const lastItem = record.lastNewItemAt ? new Date(record.lastNewItemAt).getTime() : null
+	if (lastItem !== null ? lastItem < staleCutoff : record.successes > 0 && new Date(record.firstRunAt).getTime() < staleCutoff) {
+		if (state === 'ok') state = 'stale'
+		reasons.push(record.lastNewItemAt ? `no new items since ${record.lastNewItemAt.slice(0, 10)}` : 'never published an item')
+	}
+
+	return { state, reasons }
+}
+
+/**
+ * Build the health report of every configured source, flagged sources first
+ * @param {Array} sources - sources from loadSources
+ * @param {Object} health - records keyed by source url
+ * @param {Object} config - { maxConsecutiveFailures, staleDays }
+ * @param {Date} now - reference time
+ * @returns {Array} [{ source, group, url, state, reasons, record }]
+ */
+function buildHealthReport(sources, health, config = DEFAULT_HEALTH_CONFIG, now = new Date()) {
+	const order = { failing: 0, stale: 1, unknown: 2, ok: 3 }
+	return sources
+		.map(source => {
+			const record = health[source.url]
+			return { source: source.name, group: source.sourceIdentifier, url: source.url, ...assessSource(record, config, now), record: record || null }
+		})
+		.sort((a, b) => order[a.state] - order[b.state] || a.group.localeCompare(b.group) || a.source.localeCompare(b.source))
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const args = process.argv.slice(2)
+	// crawl.js imports this module, so it is only loaded once this module has finished loading
+	import('./crawl.js')
+		.then(({ loadSources }) => Promise.all([loadSources(), loadSourceHealth(), loadHealthConfig()]))
+		.then(([sources, health, config]) => {
+			const report = buildHealthReport(sources, health, config)
+			if (args.includes('--json')) {
+				console.log(JSON.stringify(report, null, 2))
+			} else {
+				console.log(`🩺 Source health (flag after ${config.maxConsecutiveFailures} failures in a row or ${config.staleDays} days without new items)\n`)
+				const icons = { failing: '❌', stale: '💤', unknown: '❔', ok: '✅' }
+				for (const entry of report) {
+					const record = entry.record
+					const details = record
+						? `last success ${record.lastSuccessAt?.slice(0, 16).replace('T', ' ') || 'never'}, last status ${record.lastStatus ?? '-'}, ${record.averageItems} items/run, last item ${record.lastNewItemAt?.slice(0, 10) || 'never'}`
+						: 'no record yet'
+					const failures = record?.consecutiveFailures > 0 && entry.state !== 'failing' ? ` (${record.consecutiveFailures} failures in a row: ${record.lastError})` : ''
+					console.log(`${icons[entry.state]} ${entry.group}/${entry.source} - ${details}${failures}`)
+					entry.reasons.filter(() => entry.state !== 'unknown').forEach(reason => console.log(`   ⚠️ ${reason}`))
+				}
+			}
+
+			const flagged = report.filter(entry => entry.state === 'failing' || entry.state === 'stale')
+			if (!args.includes('--json')) {
+				console.log(`\n📊 ${report.length} sources: ${flagged.length} flagged`)
+			}
+			if (flagged.length > 0 && args.includes('--strict')) {
+				process.exit(1)
+			}
+		})
+		.catch(error => {
+			console.error('❌ Health report failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { assessSource, buildHealthReport, loadHealthConfig, loadSourceHealth, pruneSourceHealth, recordSourceRun, saveSourceHealth }
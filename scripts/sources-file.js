@@ -0,0 +1,96 @@
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { canonicalizeUrl } from './article-id.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultSourcesPath = path.join(__dirname, '../sources.json')
+
+/**
+ * Read sources.json as written (groups as arrays or { crawl, filters, sources })
+ * @param {string} sourcesPath - sources file path
+ * @returns {Promise<Object>} sources.json content
+ */
+async function readSourcesJson(sourcesPath = defaultSourcesPath) {
+	return existsSync(sourcesPath) ? JSON.parse(await fs.readFile(sourcesPath, 'utf-8')) : {}
+}
+
+/**
+ * Write sources.json in the repo's tab-indented format
+ * @param {Object} sourcesJson - sources.json content
+ * @param {string} sourcesPath - sources file path
+ */
+async function writeSourcesJson(sourcesJson, sourcesPath = defaultSourcesPath) {
+	await fs.writeFile(sourcesPath, JSON.stringify(sourcesJson, null, '\t') + '\n')
+}
+
+/**
+ * Sources array of a sources.json group
+ * @param {Array|Object} group - group as an array or { sources: [...] }
+ * @returns {Array} sources
+ */
+function groupSources(group) {
+	return Array.isArray(group) ? group : group?.sources || []
+}
+
+// group names become data/<group>/ directories
+function slugifyGroup(name) {
+	return (
+		name
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}]+/gu, '-')
+			.replace(/^-+|-+$/g, '') || 'imported'
+	)
+}
+
+/**
+ * Find the group that already has a feed, by canonical url
+ * @param {Object} sourcesJson - sources.json content
+ * @param {string} url - feed url
+ * @returns {string|null} group name
+ */
+function findSourceGroup(sourcesJson, url) {
+	const key = canonicalizeUrl(url)
+	for (const [groupName, group] of Object.entries(sourcesJson)) {
+		if (groupSources(group).some(source => canonicalizeUrl(source.url) === key)) {
+			return groupName
+		}
+	}
+	return null
+}
+
+/**
+ * Add sources to sources.json content, skipping feeds already present in any group.
+ * groupSettings (crawl, filters) only apply to groups created here, existing groups keep theirs
+ * @param {Object} sourcesJson - sources.json content, updated in place
+ * @param {Array} entries - [{ group, source, groupSettings? }]
+ * @returns {Object} { added: [{ group, source }], skipped: [{ group, source, existingGroup }] }
+ */
+function addSources(sourcesJson, entries) {
+	const added = []
+	const skipped = []
+
+	for (const entry of entries) {
+		const existingGroup = findSourceGroup(sourcesJson, entry.source.url)
+		if (existingGroup) {
+			skipped.push({ ...entry, existingGroup })
+			continue
+		}
+
+		const group = sourcesJson[entry.group]
+		if (!group) {
+			sourcesJson[entry.group] = entry.groupSettings ? { ...entry.groupSettings, sources: [entry.source] } : [entry.source]
+		} else if (Array.isArray(group)) {
+			group.push(entry.source)
+		} else {
+			group.sources = [...(group.sources || []), entry.source]
+		}
+
+		added.push(entry)
+	}
+
+	return { added, skipped }
+}
+
+export { addSources, findSourceGroup, groupSources, readSourcesJson, slugifyGroup, writeSourcesJson }
@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { listSnapshots } from './archive.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const rootDir = path.join(__dirname, '..')
+
+const DEFAULT_STORE_CONFIG = {
+	enabled: false, // also write articles and run history to SQLite (needs better-sqlite3)
+	path: 'data/daily-news.db' // relative to the parent of the data directory (the repository root by default)
+}
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS sources (
+	url TEXT PRIMARY KEY,
+	name TEXT NOT NULL,
+	group_name TEXT NOT NULL,
+	type TEXT NOT NULL,
+	category TEXT,
+	updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS crawl_runs (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	started_at TEXT NOT NULL,
+	crawled_at TEXT NOT NULL,
+	source_groups INTEGER NOT NULL,
+	sources INTEGER NOT NULL,
+	articles INTEGER NOT NULL,
+	new_articles INTEGER NOT NULL,
+	failed_sources TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS articles (
+	id TEXT PRIMARY KEY,
+	url TEXT NOT NULL,
+	title TEXT NOT NULL,
+	author TEXT,
+	pub_date TEXT,
+	source TEXT,
+	source_group TEXT,
+	source_category TEXT,
+	source_domain TEXT,
+	first_seen_at TEXT NOT NULL,
+	crawled_at TEXT NOT NULL,
+	last_run_id INTEGER REFERENCES crawl_runs(id),
+	run_position INTEGER,
+	data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS articles_pub_date ON articles(pub_date);
+CREATE INDEX IF NOT EXISTS articles_last_run ON articles(last_run_id, run_position);
+
+CREATE TABLE IF NOT EXISTS pdf_renders (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	article_id TEXT,
+	url TEXT NOT NULL,
+	method TEXT NOT NULL,
+	status TEXT NOT NULL,
+	path TEXT,
+	error TEXT,
+	rendered_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS pdf_renders_article ON pdf_renders(article_id);
+
+CREATE TABLE IF NOT EXISTS uploads (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	path TEXT NOT NULL,
+	bucket TEXT NOT NULL,
+	status TEXT NOT NULL,
+	error TEXT,
+	uploaded_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS uploads_path ON uploads(path);
+`
+
+// an older snapshot never overwrites what a newer crawl saw; a crawl run claims the article for its latest-raw.json
+const UPSERT_ARTICLE = `
+INSERT INTO articles (id, url, title, author, pub_date, source, source_group, source_category, source_domain, first_seen_at, crawled_at, last_run_id, run_position, data)
+VALUES (@id, @url, @title, @author, @pubDate, @source, @sourceGroup, @sourceCategory, @sourceDomain, @firstSeenAt, @crawledAt, @runId, @runPosition, @data)
+ON CONFLICT(id) DO UPDATE SET
+	url = excluded.url,
+	title = excluded.title,
+	author = excluded.author,
+	pub_date = excluded.pub_date,
+	source = excluded.source,
+	source_group = excluded.source_group,
+	source_category = excluded.source_category,
+	source_domain = excluded.source_domain,
+	first_seen_at = MIN(articles.first_seen_at, excluded.first_seen_at),
+	crawled_at = excluded.crawled_at,
+	last_run_id = COALESCE(excluded.last_run_id, articles.last_run_id),
+	run_position = CASE WHEN excluded.last_run_id IS NULL THEN articles.run_position ELSE excluded.run_position END,
+	data = excluded.data
+WHERE excluded.crawled_at >= articles.crawled_at OR excluded.last_run_id IS NOT NULL
+`
+
+const UPSERT_SOURCE = `
+INSERT INTO sources (url, name, group_name, type, category, updated_at)
+VALUES (@url, @name, @group, @type, @category, @updatedAt)
+ON CONFLICT(url) DO UPDATE SET name = excluded.name, group_name = excluded.group_name, type = excluded.type, category = excluded.category, updated_at = excluded.updated_at
+`
+
+/**
+ * Load the SQLite store settings from the "store" section of config.json
+ * @param {string} configPath - config file path
+ * @param {string} dataDir - data directory; a relative path is resolved against its parent (default: the repository root)
+ * @returns {Promise<Object>} store settings with an absolute path
+ */
+async function loadStoreConfig(configPath = path.join(__dirname, '../config.json'), dataDir = path.join(rootDir, 'data')) {
+	let store = { ...DEFAULT_STORE_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		store = { ...store, ...(JSON.parse(configData).store || {}) }
+	}
+
+	if (typeof store.enabled !== 'boolean') {
+		throw new Error(`store.enabled must be a boolean, got ${JSON.stringify(store.enabled)}`)
+	}
+	if (typeof store.path !== 'string' || store.path.trim() === '') {
+		throw new Error(`store.path must be a non-empty string, got ${JSON.stringify(store.path)}`)
+	}
+
+	return { ...store, path: path.resolve(path.dirname(path.resolve(dataDir)), store.path) }
+}
+
+// better-sqlite3 is an optional dependency: only the store needs it
+async function loadDriver() {
+	try {
+		return (await import('better-sqlite3')).default
+	} catch (error) {
+		throw new Error(`the SQLite store needs the optional better-sqlite3 package (npm install better-sqlite3): ${error.message}`)
+	}
+}
+
+function articleRow(article, runId = null, runPosition = null) {
+	const crawledAt = article.crawledAt || new Date().toISOString()
+	return {
+		id: article.id,
+		url: article.url,
+		title: article.title || 'Untitled',
+		author: article.author || null,
+		pubDate: article.pubDate || null,
+		source: article.source || null,
+		sourceGroup: article.source_group || null,
+		sourceCategory: article.source_category || null,
+		sourceDomain: article.source_domain || null,
+		firstSeenAt: article.firstSeenAt || crawledAt,
+		crawledAt,
+		runId,
+		runPosition,
+		data: JSON.stringify(article)
+	}
+}
+
+/**
+ * Open (and create) the SQLite store
+ * @param {string} dbPath - database file path
+ * @returns {Promise<Object>} store with upsert, record, query and export methods
+ */
+async function openStore(dbPath = DEFAULT_STORE_CONFIG.path) {
+	const Database = await loadDriver()
+	await fs.mkdir(path.dirname(path.resolve(rootDir, dbPath)), { recursive: true })
+	const db = new Database(path.resolve(rootDir, dbPath))
+	db.pragma('foreign_keys = ON')
+	db.exec(SCHEMA)
+
+	const statements = {
+		articleExists: db.prepare('SELECT 1 FROM articles WHERE id = ?').pluck(),
+		upsertArticle: db.prepare(UPSERT_ARTICLE),
+		upsertSource: db.prepare(UPSERT_SOURCE),
+		insertRun: db.prepare(
+			'INSERT INTO crawl_runs (started_at, crawled_at, source_groups, sources, articles, new_articles, failed_sources) VALUES (@startedAt, @crawledAt, @sourceGroups, @sources, @articles, @newArticles, @failedSources)'
+		),
+		insertRender: db.prepare('INSERT INTO pdf_renders (article_id, url, method, status, path, error, rendered_at) VALUES (@articleId, @url, @method, @status, @path, @error, @renderedAt)'),
+		insertUpload: db.prepare('INSERT INTO uploads (path, bucket, status, error, uploaded_at) VALUES (@path, @bucket, @status, @error, @uploadedAt)'),
+		lastRun: db.prepare('SELECT * FROM crawl_runs ORDER BY id DESC LIMIT 1'),
+		runArticles: db.prepare('SELECT data FROM articles WHERE last_run_id = ? ORDER BY run_position').pluck()
+	}
+
+	const upsertArticles = db.transaction((articles, runId = null) => {
+		let inserted = 0
+		let updated = 0
+		articles.forEach((article, index) => {
+			if (!article.id || !article.url) return
+			if (statements.articleExists.get(article.id)) updated++
+			else inserted++
+			statements.upsertArticle.run(articleRow(article, runId, runId === null ? null : index))
+		})
+		return { inserted, updated }
+	})
+
+	const upsertSources = db.transaction(sources => {
+		const updatedAt = new Date().toISOString()
+		sources.forEach(source =>
+			statements.upsertSource.run({ url: source.url, name: source.name, group: source.sourceIdentifier || 'default', type: source.type || 'rss', category: source.category || null, updatedAt })
+		)
+		return sources.length
+	})
+
+	const recordCrawl = db.transaction(run => {
+		if (run.sources) upsertSources(run.sources)
+		const { lastInsertRowid } = statements.insertRun.run({
+			startedAt: run.startedAt || run.crawledAt,
+			crawledAt: run.crawledAt,
+			sourceGroups: run.totalSourceGroups,
+			sources: run.totalSources,
+			articles: run.articles.length,
+			newArticles: run.newArticles ?? 0,
+			failedSources: JSON.stringify(run.failedSources || [])
+		})
+		const runId = Number(lastInsertRowid)
+		return { runId, ...upsertArticles(run.articles, runId) }
+	})
+
+	const recordPdfRenders = db.transaction((method, renders) => {
+		const renderedAt = new Date().toISOString()
+		renders.forEach(render =>
+			statements.insertRender.run({ articleId: render.articleId || null, url: render.url, method, status: render.status, path: render.path || null, error: render.error || null, renderedAt })
+		)
+		return renders.length
+	})
+
+	const recordUploads = db.transaction((bucket, uploads) => {
+		const uploadedAt = new Date().toISOString()
+		uploads.forEach(upload => statements.insertUpload.run({ path: upload.path, bucket, status: upload.status, error: upload.error || null, uploadedAt }))
+		return uploads.length
+	})
+
+	return {
+		db,
+
+		/**
+		 * Insert or update articles by ID
+		 * @param {Array} articles - articles as written to latest-raw.json
+		 * @returns {Object} { inserted, updated }
+		 */
+		upsertArticles: articles => upsertArticles(articles),
+
+		/**
+		 * Insert or update sources by feed url
+		 * @param {Array} sources - sources from loadSources
+		 * @returns {number} sources written
+		 */
+		upsertSources,
+
+		/**
+		 * Record a crawl run with its sources and articles (in latest-raw.json order)
+		 * @param {Object} run - { startedAt, crawledAt, totalSourceGroups, totalSources, sources, articles, newArticles: count, failedSources }
+		 * @returns {Object} { runId, inserted, updated }
+		 */
+		recordCrawl,
+
+		/**
+		 * Record PDF render outcomes
+		 * @param {string} method - html-to-pdf or url-to-pdf
+		 * @param {Array} renders - [{ articleId, url, status: rendered | skipped | failed, path, error }]
+		 * @returns {number} rows written
+		 */
+		recordPdfRenders,
+
+		/**
+		 * Record upload outcomes
+		 * @param {string} bucket - storage bucket
+		 * @param {Array} uploads - [{ path, status: uploaded | skipped | failed, error }]
+		 * @returns {number} rows written
+		 */
+		recordUploads,
+
+		/**
+		 * Query articles across every crawl, newest first
+		 * @param {Object} filters - { since: Date, until: Date, group, source, category, limit }
+		 * @returns {Array} articles
+		 */
+		queryArticles(filters = {}) {
+			const where = []
+			const params = {}
+			if (filters.since) {
+				where.push('pub_date >= @since')
+				params.since = filters.since.toISOString()
+			}
+			if (filters.until) {
+				where.push('pub_date < @until')
+				params.until = filters.until.toISOString()
+			}
+			for (const [key, column] of [['group', 'source_group'], ['source', 'source'], ['category', 'source_category']]) {
+				if (filters[key]) {
+					where.push(`${column} = @${key}`)
+					params[key] = filters[key]
+				}
+			}
+			const limit = filters.limit ? ` LIMIT ${Math.trunc(filters.limit)}` : ''
+			const sql = `SELECT data FROM articles${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY pub_date DESC${limit}`
+			return db.prepare(sql).pluck().all(params).map(data => JSON.parse(data))
+		},
+
+		/**
+		 * The last crawl run in the shape of data/latest-raw.json
+		 * @returns {Object|null} { crawledAt, totalSourceGroups, totalSources, totalArticles, articles }, null before the first run
+		 */
+		latestRaw() {
+			const run = statements.lastRun.get()
+			if (!run) return null
+			const articles = statements.runArticles.all(run.id).map(data => JSON.parse(data))
+			return { crawledAt: run.crawled_at, totalSourceGroups: run.source_groups, totalSources: run.sources, totalArticles: articles.length, articles }
+		},
+
+		/**
+		 * Row count per table
+		 * @returns {Object} { sources, crawlRuns, articles, pdfRenders, uploads }
+		 */
+		stats() {
+			const count = table => db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get()
+			return { sources: count('sources'), crawlRuns: count('crawl_runs'), articles: count('articles'), pdfRenders: count('pdf_renders'), uploads: count('uploads') }
+		},
+
+		close: () => db.close()
+	}
+}
+
+/**
+ * Write the last crawl run of the store as latest-raw.json
+ * @param {Object} store - store from openStore
+ * @param {string} outputPath - file to write
+ * @returns {Promise<Object>} the written data
+ */
+async function exportLatestRaw(store, outputPath = path.join(__dirname, '../data/latest-raw.json')) {
+	const latest = store.latestRaw()
+	if (!latest) {
+		throw new Error('the store has no crawl run to export')
+	}
+	await fs.mkdir(path.dirname(outputPath), { recursive: true })
+	await fs.writeFile(outputPath, JSON.stringify(latest, null, 2))
+	return latest
+}
+
+/**
+ * Load the JSON archive into the store: every group snapshot, then latest-raw.json as the last crawl run
+ * @param {Object} store - store from openStore
+ * @param {string} dataDir - data directory
+ * @returns {Promise<Object>} { snapshots, articles, inserted, runId }
+ */
+async function importJsonArchive(store, dataDir = path.join(__dirname, '../data')) {
+	const summary = { snapshots: 0, articles: 0, inserted: 0, runId: null }
+	for (const snapshot of await listSnapshots(dataDir)) {
+		try {
+			const data = JSON.parse(await fs.readFile(snapshot.filepath, 'utf-8'))
+			const { inserted } = store.upsertArticles(data.articles || [])
+			summary.snapshots++
+			summary.articles += (data.articles || []).length
+			summary.inserted += inserted
+		} catch (error) {
+			console.log(`⚠️ Skipping unreadable snapshot ${snapshot.group}/${snapshot.file}: ${error.message}`)
+		}
+	}
+
+	const latestPath = path.join(dataDir, 'latest-raw.json')
+	if (existsSync(latestPath)) {
+		const latest = JSON.parse(await fs.readFile(latestPath, 'utf-8'))
+		const run = store.recordCrawl({ ...latest, articles: latest.articles || [] })
+		summary.articles += latest.articles?.length || 0
+		summary.inserted += run.inserted
+		summary.runId = run.runId
+	}
+
+	return summary
+}
+
+/**
+ * Run a callback against the configured store; does nothing when the store is disabled and never throws
+ * @param {Function} callback - receives the open store
+ * @param {string} configPath - config file path
+ * @param {string} dataDir - data directory the store path is relative to
+ * @returns {Promise<*>} callback result, null when disabled or failed
+ */
+async function recordToStore(callback, configPath, dataDir) {
+	try {
+		const config = await loadStoreConfig(configPath, dataDir)
+		if (!config.enabled) return null
+		const store = await openStore(config.path)
+		try {
+			return await callback(store)
+		} finally {
+			store.close()
+		}
+	} catch (error) {
+		console.log(`⚠️ SQLite store not updated: ${error.message}`)
+		return null
+	}
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const [command, target] = process.argv.slice(2)
+	const commands = ['import', 'export', 'stats']
+	if (!commands.includes(command)) {
+		console.log(`Usage: node scripts/store.js <${commands.join('|')}> [data dir for import | output file for export]`)
+		process.exit(1)
+	}
+
+	try {
+		const config = await loadStoreConfig()
+		const store = await openStore(config.path)
+		try {
+			if (command === 'import') {
+				const summary = await importJsonArchive(store, target ? path.resolve(target) : undefined)
+				console.log(`📥 Imported ${summary.snapshots} snapshots and latest-raw.json: ${summary.articles} articles (${summary.inserted} new to the store)`)
+			} else if (command === 'export') {
+				const outputPath = target ? path.resolve(target) : undefined
+				const latest = await exportLatestRaw(store, outputPath)
+				console.log(`📤 Exported crawl of ${latest.crawledAt} (${latest.totalArticles} articles) to ${outputPath || 'data/latest-raw.json'}`)
+			}
+			const stats = store.stats()
+			console.log(`🗄️ ${path.relative(rootDir, config.path)}: ${stats.articles} articles, ${stats.sources} sources, ${stats.crawlRuns} crawl runs, ${stats.pdfRenders} PDF renders, ${stats.uploads} uploads`)
+		} finally {
+			store.close()
+		}
+	} catch (error) {
+		console.error(`❌ ${error.message}`)
+		process.exit(1)
+	}
+}
+
+export { exportLatestRaw, importJsonArchive, loadStoreConfig, openStore, recordToStore }
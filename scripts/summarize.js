@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+import { createHash } from 'crypto'
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { chatCompletion, loadLlmConfig, parseJsonReply } from './llm-client.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const defaultCachePath = path.join(__dirname, '../data/summary-cache.json')
+
+const DEFAULT_SUMMARIZE_CONFIG = {
+	enabled: true,
+	style: 'abstract', // what the model writes as the summary, see SUMMARY_STYLES
+	maxKeyPoints: 3, // bullet points kept per article
+	maxInputChars: 6000 // article text sent to the model is cut to this length
+}
+
+// instructions per summarize.style; the reply format stays the same
+const SUMMARY_STYLES = {
+	abstract: maxKeyPoints => `Write a 2-3 sentence abstract and at most ${maxKeyPoints} short key points`,
+	tldr: maxKeyPoints => `Write a one-sentence TL;DR of at most 30 words as the abstract and at most ${maxKeyPoints} short key points`,
+	bullets: maxKeyPoints => `Write a one-sentence abstract and up to ${maxKeyPoints} key points that together cover every main fact`
+}
+
+/**
+ * Load summarization settings from the "summarize" section of config.json
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} summarize settings
+ */
+async function loadSummarizeConfig(configPath = path.join(__dirname, '../config.json')) {
+	let summarize = { ...DEFAULT_SUMMARIZE_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		summarize = { ...summarize, ...(JSON.parse(configData).summarize || {}) }
+	}
+
+	for (const key of ['maxKeyPoints', 'maxInputChars']) {
+		if (!Number.isInteger(summarize[key]) || summarize[key] < 1) {
+			throw new Error(`summarize.${key} must be a positive integer, got ${JSON.stringify(summarize[key])}`)
+		}
+	}
+	if (!Object.hasOwn(SUMMARY_STYLES, summarize.style)) {
+		throw new Error(`summarize.style must be one of ${Object.keys(SUMMARY_STYLES).join(', ')}, got ${JSON.stringify(summarize.style)}`)
+	}
+
+	return summarize
+}
+
+/**
+ * Load cached summaries
+ * @param {string} cachePath - cache file path
+ * @returns {Promise<Object>} cache keyed by article ID
+ */
+async function loadSummaryCache(cachePath = defaultCachePath) {
+	try {
+		if (!existsSync(cachePath)) {
+			return {}
+		}
+		const cacheData = await fs.readFile(cachePath, 'utf-8')
+		return JSON.parse(cacheData)
+	} catch (error) {
+		console.log(`⚠️ Failed to read summary cache, starting fresh: ${error.message}`)
+		return {}
+	}
+}
+
+/**
+ * Save cached summaries
+ * @param {Object} cache - cache keyed by article ID
+ * @param {string} cachePath - cache file path
+ */
+async function saveSummaryCache(cache, cachePath = defaultCachePath) {
+	await fs.mkdir(path.dirname(cachePath), { recursive: true })
+	await fs.writeFile(cachePath, JSON.stringify(cache, null, 2))
+}
+
+// plain text the summary is based on: full content when present, else the teaser
+function articleText(article) {
+	return (article.content || article.metaDescription || '')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim()
+}
+
+/**
+ * Hash of the article text, so a cached summary is dropped when the content changes
+ * @param {Object} article - article
+ * @returns {string} 16 hex characters
+ */
+function contentHash(article) {
+	return createHash('sha256').update(`${article.title || ''}\n${articleText(article)}`).digest('hex').slice(0, 16)
+}
+
+/**
+ * Ask the local model for an abstract and key points
+ * @param {Object} article - article
+ * @param {Object} summarize - summarize settings
+ * @param {Object} llm - llm settings
+ * @returns {Promise<Object|null>} { abstract, keyPoints } or null when the reply is unusable
+ */
+async function summarizeWithModel(article, summarize, llm) {
+	const reply = await chatCompletion(
+		[
+			{
+				role: 'system',
+				content: `You summarize news articles. ${SUMMARY_STYLES[summarize.style](summarize.maxKeyPoints)}, in the language of the article. Reply with JSON only: {"abstract": "...", "keyPoints": ["..."]}`
+			},
+			{ role: 'user', content: `Title: ${article.title || ''}\n\n${articleText(article).slice(0, summarize.maxInputChars)}` }
+		],
+		llm
+	)
+
+	const parsed = parseJsonReply(reply)
+	const abstract = typeof parsed?.abstract === 'string' ? parsed.abstract.trim() : ''
+	if (!abstract) {
+		return null
+	}
+
+	const keyPoints = Array.isArray(parsed.keyPoints)
+		? parsed.keyPoints
+				.filter(point => typeof point === 'string' && point.trim())
+				.map(point => point.trim().replace(/^[-*•]\s*/, ''))
+				.slice(0, summarize.maxKeyPoints)
+		: []
+
+	return { abstract, keyPoints }
+}
+
+/**
+ * Summarize articles in place: cached summary when the content hash and style still match, else the local model.
+ * Sets article.summary and article.keyPoints; articles are left untouched when the model is unavailable.
+ * The model is skipped for the rest of the run after its first failure.
+ * @param {Array} articles - articles with an id
+ * @param {Object} options - { summarize, llm, cache, cacheOnly: never call the model (dry runs) }
+ * @returns {Promise<Object>} { cached, llm, skipped, modelError }
+ */
+async function summarizeArticles(articles, options = {}) {
+	const summarize = options.summarize || DEFAULT_SUMMARIZE_CONFIG
+	const llm = options.llm || (await loadLlmConfig())
+	const cache = options.cache || {}
+	const summary = { cached: 0, llm: 0, skipped: 0, modelError: null }
+
+	for (const article of articles) {
+		const hash = contentHash(article)
+		const cached = cache[article.id]
+		let result = cached?.contentHash === hash && cached.style === summarize.style ? cached : null
+
+		if (result) {
+			summary.cached++
+		} else {
+			if (!options.cacheOnly && !summary.modelError && articleText(article)) {
+				try {
+					result = await summarizeWithModel(article, summarize, llm)
+				} catch (error) {
+					summary.modelError = error.message
+					console.log(`⚠️ Local model unavailable (${error.message}), skipping summaries`)
+				}
+			}
+
+			if (!result) {
+				summary.skipped++
+				continue
+			}
+
+			result = { ...result, contentHash: hash, style: summarize.style, model: llm.model, summarizedAt: new Date().toISOString() }
+			cache[article.id] = result
+			summary.llm++
+		}
+
+		article.summary = result.abstract
+		article.keyPoints = result.keyPoints
+	}
+
+	return summary
+}
+
+// Run if called directly: summarize the latest outputs, e.g. after starting the local model
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const dataDir = path.join(__dirname, '../data')
+
+	;(async () => {
+		const summarize = await loadSummarizeConfig()
+		const llm = await loadLlmConfig()
+		const cache = await loadSummaryCache()
+		console.log(`📝 Summarizing with ${llm.provider} model ${llm.model} at ${llm.baseUrl}`)
+
+		for (const file of ['latest-raw.json', 'latest-new.json']) {
+			const filepath = path.join(dataDir, file)
+			if (!existsSync(filepath)) {
+				console.log(`⚠️ ${file} not found, skipping`)
+				continue
+			}
+
+			const data = JSON.parse(await fs.readFile(filepath, 'utf-8'))
+			const summary = await summarizeArticles(data.articles || [], { summarize, llm, cache })
+			await fs.writeFile(filepath, JSON.stringify(data, null, 2))
+			console.log(`✅ ${file}: ${summary.llm} by model, ${summary.cached} cached, ${summary.skipped} skipped`)
+		}
+
+		await saveSummaryCache(cache)
+	})().catch(error => {
+		console.error('❌ Summarization failed:', error.message)
+		process.exit(1)
+	})
+}
+
+export { DEFAULT_SUMMARIZE_CONFIG, contentHash, loadSummarizeConfig, loadSummaryCache, saveSummaryCache, summarizeArticles }
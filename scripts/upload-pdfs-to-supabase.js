@@ -4,6 +4,8 @@ import { createClient } from '@supabase/supabase-js'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { recordToStore } from './store.js'
+import { notifyWebhooks } from './webhooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -32,29 +34,6 @@ function loadEnvFile() {
 	console.log('✅ .env file loaded successfully')
 }
 
-// load environment variables
-loadEnvFile()
-
-// config
-const SUPABASE_URL = process.env.SUPABASE_URL
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY
-const BUCKET_NAME = process.env.SUPABASE_BUCKET_NAME || 'pdfs'
-
-// PDF path configuration - support environment variable and command line argument
-const PDFS_DIR = process.env.PDFS_DIR || process.argv[2] || path.join(__dirname, '..', 'pdfs')
-
-// check environment variables
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-	console.error('❌ error: please set the following environment variables:')
-	console.error('   SUPABASE_URL - your Supabase project URL')
-	console.error('   SUPABASE_SERVICE_ROLE_KEY - Supabase service role key')
-	console.error('   SUPABASE_BUCKET_NAME - bucket name (optional, default is "pdfs")')
-	process.exit(1)
-}
-
-// create Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
-
 /**
  * recursively get all PDF files in the directory
  * @param {string} dir - directory path
@@ -87,11 +66,13 @@ function getAllPdfFiles(dir, baseDir = dir) {
 
 /**
  * upload single PDF file to Supabase
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucketName - storage bucket
  * @param {string} localPath - local file path
  * @param {string} remotePath - remote file path
  * @returns {Promise<boolean>} whether upload is successful
  */
-async function uploadPdfFile(localPath, remotePath) {
+async function uploadPdfFile(supabase, bucketName, localPath, remotePath) {
 	try {
 		console.log(`📤 upload: ${remotePath}`)
 
@@ -99,7 +80,7 @@ async function uploadPdfFile(localPath, remotePath) {
 		const fileBuffer = fs.readFileSync(localPath)
 
 		// upload to Supabase Storage
-		const { data, error } = await supabase.storage.from(BUCKET_NAME).upload(remotePath, fileBuffer, {
+		const { data, error } = await supabase.storage.from(bucketName).upload(remotePath, fileBuffer, {
 			contentType: 'application/pdf',
 			upsert: true // if file exists, overwrite
 		})
@@ -119,8 +100,10 @@ async function uploadPdfFile(localPath, remotePath) {
 
 /**
  * check if bucket exists, if not, create it
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucketName - storage bucket
  */
-async function ensureBucketExists() {
+async function ensureBucketExists(supabase, bucketName) {
 	try {
 		const { data: buckets, error: listError } = await supabase.storage.listBuckets()
 
@@ -129,11 +112,11 @@ async function ensureBucketExists() {
 			return false
 		}
 
-		const bucketExists = buckets.some(bucket => bucket.name === BUCKET_NAME)
+		const bucketExists = buckets.some(bucket => bucket.name === bucketName)
 
 		if (!bucketExists) {
-			console.log(`📦 create bucket: ${BUCKET_NAME}`)
-			const { data, error } = await supabase.storage.createBucket(BUCKET_NAME, {
+			console.log(`📦 create bucket: ${bucketName}`)
+			const { data, error } = await supabase.storage.createBucket(bucketName, {
 				public: false, // private bucket (recommended for security)
 				fileSizeLimit: 50 * 1024 * 1024, // 50MB file size limit
 				allowedMimeTypes: ['application/pdf']
@@ -144,9 +127,9 @@ async function ensureBucketExists() {
 				return false
 			}
 
-			console.log(`✅ create bucket success: ${BUCKET_NAME}`)
+			console.log(`✅ create bucket success: ${bucketName}`)
 		} else {
-			console.log(`✅ bucket already exists: ${BUCKET_NAME}`)
+			console.log(`✅ bucket already exists: ${bucketName}`)
 		}
 
 		return true
@@ -156,10 +139,15 @@ async function ensureBucketExists() {
 	}
 }
 
-// directory file cache - avoid duplicate API calls
-const directoryCache = new Map()
-
-async function fillDirectoryCache(pdfFiles) {
+/**
+ * list the bucket directories of the PDFs once - avoid duplicate API calls
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucketName - storage bucket
+ * @param {Array} pdfFiles - files from getAllPdfFiles
+ * @returns {Promise<Map>} directory path → files in the bucket
+ */
+async function fillDirectoryCache(supabase, bucketName, pdfFiles) {
+	const directoryCache = new Map()
 	const directoryPaths = new Set()
 	for (const pdfFile of pdfFiles) {
 		// extract directory path
@@ -168,7 +156,7 @@ async function fillDirectoryCache(pdfFiles) {
 			continue
 		}
 
-		const { data: files, error } = await supabase.storage.from(BUCKET_NAME).list(directoryPath, {
+		const { data: files, error } = await supabase.storage.from(bucketName).list(directoryPath, {
 			limit: 1000,
 			offset: 0
 		})
@@ -177,6 +165,7 @@ async function fillDirectoryCache(pdfFiles) {
 			console.log(`⚠️ directory not found or get failed: ${directoryPath}`)
 			directoryCache.set(directoryPath, [])
 			directoryPaths.add(directoryPath)
+			continue
 		}
 
 		// 缓存文件列表
@@ -184,12 +173,17 @@ async function fillDirectoryCache(pdfFiles) {
 		directoryCache.set(directoryPath, files)
 		directoryPaths.add(directoryPath)
 	}
+
+	return directoryCache
 }
 
 /**
  * check if file exists (by directory) with caching
+ * @param {Map} directoryCache - from fillDirectoryCache
+ * @param {string} filePath - remote file path
+ * @param {string} fileName - file name
  */
-async function checkFileExistsByCache(filePath, fileName) {
+async function checkFileExistsByCache(directoryCache, filePath, fileName) {
 	try {
 		// extract directory path
 		const directoryPath = path.dirname(filePath)
@@ -206,41 +200,62 @@ async function checkFileExistsByCache(filePath, fileName) {
 }
 
 /**
- * main function
+ * upload PDFs to Supabase Storage, skipping files already in the bucket
+ * @param {Object} options - { pdfDir, since: only date folders from this day, files: only these relative paths, dryRun: list without uploading, client: Supabase client, bucket, configPath, dataDir: the store path is relative to its parent }
+ * @returns {Promise<Object>} { total, uploaded, skipped, failed, failedFiles, files }
  */
-async function main() {
-	console.log('🚀 start upload PDFs to Supabase...')
-	console.log(`📁 bucket: ${BUCKET_NAME}`)
-
-	// check bucket
-	const bucketReady = await ensureBucketExists()
-	if (!bucketReady) {
-		process.exit(1)
-	}
+async function uploadPdfs(options = {}) {
+	const pdfDir = options.pdfDir || path.join(__dirname, '..', 'pdfs')
+	const sinceDay = options.since ? options.since.toISOString().slice(0, 10) : null
 
 	// get PDFs directory path
-	console.log(`📁 PDF directory: ${PDFS_DIR}`)
+	console.log(`📁 PDF directory: ${pdfDir}`)
 
-	if (!fs.existsSync(PDFS_DIR)) {
-		console.error('❌ PDFs directory not found:', PDFS_DIR)
-		console.error('💡 You can set PDFS_DIR environment variable or pass directory as argument')
-		console.error('💡 Example: node scripts/upload-pdfs-to-supabase.js /path/to/pdfs')
-		process.exit(1)
+	if (!fs.existsSync(pdfDir)) {
+		throw new Error(`PDFs directory not found: ${pdfDir}`)
 	}
 
-	// get all PDF files
+	// get PDF files: pdfs/<domain>/<YYYY-MM-DD>/<file>.pdf
 	console.log('🔍 scan PDF files...')
-	const pdfFiles = getAllPdfFiles(PDFS_DIR)
+	const pdfFiles = getAllPdfFiles(pdfDir).filter(
+		file => (!sinceDay || (file.remotePath.split('/')[1] || '') >= sinceDay) && (!options.files || options.files.includes(file.remotePath))
+	)
+	const summary = { total: pdfFiles.length, uploaded: 0, skipped: 0, failed: 0, failedFiles: [], files: pdfFiles.map(file => file.remotePath) }
 
 	if (pdfFiles.length === 0) {
 		console.log('ℹ️  no PDF files found')
-		return
+		return summary
 	} else {
 		console.log(`📄 found ${pdfFiles.length} PDF files`)
 	}
 
+	if (options.dryRun) {
+		pdfFiles.forEach(file => console.log(`   - ${file.remotePath}`))
+		return summary
+	}
+
+	// config: an injected client, else one from the environment
+	let supabase = options.client
+	if (!supabase) {
+		loadEnvFile()
+		if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+			throw new Error('please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (SUPABASE_BUCKET_NAME is optional, default is "pdfs")')
+		}
+		supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+	}
+	const bucketName = options.bucket || process.env.SUPABASE_BUCKET_NAME || 'pdfs'
+
+	console.log('🚀 start upload PDFs to Supabase...')
+	console.log(`📁 bucket: ${bucketName}`)
+
+	// check bucket
+	const bucketReady = await ensureBucketExists(supabase, bucketName)
+	if (!bucketReady) {
+		throw new Error(`bucket ${bucketName} is not available`)
+	}
+
 	// fill directory cache to check if file exist
-	await fillDirectoryCache(pdfFiles)
+	const directoryCache = await fillDirectoryCache(supabase, bucketName, pdfFiles)
 
 	// concurrent control configuration
 	const CONCURRENT_LIMIT = 3 // at most 3 files at a time
@@ -250,6 +265,8 @@ async function main() {
 	let successCount = 0
 	let skipCount = 0
 	let errorCount = 0
+	const failedFiles = summary.failedFiles
+	const uploads = [] // per-file outcome for the SQLite store
 
 	console.log(`🚀 start batch upload... (concurrent limit: ${CONCURRENT_LIMIT})`)
 
@@ -268,25 +285,25 @@ async function main() {
 
 			try {
 				// use directory check method with cache
-				const fileExists = await checkFileExistsByCache(file.remotePath, file.fileName)
+				const fileExists = await checkFileExistsByCache(directoryCache, file.remotePath, file.fileName)
 				if (fileExists) {
 					console.log(`⏭️  skip existing file: ${file.remotePath}`)
 					console.log(`   📄 file already exists in the directory, skip upload`)
-					return { success: false, skip: true, error: false }
+					return { success: false, skip: true, error: false, file: file.remotePath }
 				}
 
 				console.log(`📤 uploading: ${file.remotePath}`)
-				const success = await uploadPdfFile(file.localPath, file.remotePath)
+				const success = await uploadPdfFile(supabase, bucketName, file.localPath, file.remotePath)
 				if (success) {
 					console.log(`✅ upload success: ${file.fileName}`)
-					return { success: true, skip: false, error: false }
+					return { success: true, skip: false, error: false, file: file.remotePath }
 				} else {
 					console.log(`❌ upload failed: ${file.fileName}`)
-					return { success: false, skip: false, error: true }
+					return { success: false, skip: false, error: true, file: file.remotePath, message: 'upload failed' }
 				}
 			} catch (error) {
 				console.error(`❌ process file error ${file.fileName}:`, error.message)
-				return { success: false, skip: false, error: true }
+				return { success: false, skip: false, error: true, file: file.remotePath, message: error.message }
 			}
 		})
 
@@ -295,9 +312,13 @@ async function main() {
 
 		// statistics current batch result
 		batchResults.forEach(result => {
+			uploads.push({ path: result.file, status: result.success ? 'uploaded' : result.skip ? 'skipped' : 'failed', error: result.message })
 			if (result.success) successCount++
 			else if (result.skip) skipCount++
-			else if (result.error) errorCount++
+			else if (result.error) {
+				errorCount++
+				failedFiles.push({ file: result.file, error: result.message })
+			}
 		})
 
 		// delay between batches (except the last batch)
@@ -307,6 +328,8 @@ async function main() {
 		}
 	}
 
+	await recordToStore(store => store.recordUploads(bucketName, uploads), options.configPath, options.dataDir)
+
 	// output result statistics
 	console.log('\n📊 upload completed statistics:')
 	console.log(`✅ success upload: ${successCount} files`)
@@ -316,14 +339,32 @@ async function main() {
 
 	if (errorCount > 0) {
 		console.log('\n⚠️  some files upload failed, please check the error information')
-		process.exit(1)
+		await notifyWebhooks('upload-failed', { items: failedFiles }, options.configPath)
 	} else {
 		console.log('\n🎉 all files upload completed!')
 	}
+
+	return { ...summary, uploaded: successCount, skipped: skipCount, failed: errorCount }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	// PDF path configuration - support environment variable and command line argument
+	const pdfDir = process.env.PDFS_DIR || process.argv[2] || path.join(__dirname, '..', 'pdfs')
+
+	uploadPdfs({ pdfDir })
+		.then(summary => {
+			if (summary.failed > 0) process.exit(1)
+		})
+		.catch(async error => {
+			console.error('❌ program execution failed:', error.message)
+			if (!fs.existsSync(pdfDir)) {
+				console.error('💡 You can set PDFS_DIR environment variable or pass directory as argument')
+				console.error('💡 Example: node scripts/upload-pdfs-to-supabase.js /path/to/pdfs')
+			}
+			await notifyWebhooks('upload-failed', { items: [{ file: pdfDir, error: error.message }] })
+			process.exit(1)
+		})
 }
 
-// run main function
-main().catch(error => {
-	console.error('❌ program execution failed:', error)
-	process.exit(1)
-})
+export { uploadPdfs }
@@ -1,19 +1,25 @@
-import { promises as fs, readFileSync } from 'fs'
-import { dirname, join } from 'path'
+import { execSync } from 'child_process'
+import { existsSync, promises as fs, readFileSync } from 'fs'
+import { dirname, join, relative } from 'path'
 import { chromium } from 'playwright'
 import { fileURLToPath } from 'url'
+import { pdfFilename } from './pdf-paths.js'
+import { recordToStore } from './store.js'
+import { notifyWebhooks } from './webhooks.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 const outputDir = join(__dirname, '../pdfs')
 
 /**
- * read article data from latest-raw.json file
+ * read article data from latest-raw.json (or the latest-new.json delta)
+ * @param {string} filename - data file under the data directory
+ * @param {string} dataDir - data directory
  * @returns {Array} article array with full data
  */
-function getArticlesFromJson() {
+function getArticlesFromJson(filename = 'latest-raw.json', dataDir = join(__dirname, '../data')) {
 	try {
-		const jsonPath = join(__dirname, '../data/latest-raw.json')
+		const jsonPath = join(dataDir, filename)
 		const jsonData = readFileSync(jsonPath, 'utf8')
 		const data = JSON.parse(jsonData)
 
@@ -21,10 +27,10 @@ function getArticlesFromJson() {
 			throw new Error('JSON file does not contain articles array')
 		}
 
-		console.log(`📖 Read ${data.articles.length} articles from latest-raw.json`)
+		console.log(`📖 Read ${data.articles.length} articles from ${filename}`)
 		return data.articles
 	} catch (error) {
-		console.error('❌ Failed to read latest-raw.json:', error.message)
+		console.error(`❌ Failed to read ${filename}:`, error.message)
 		throw error
 	}
 }
@@ -78,7 +84,7 @@ function calculateDuration(start, end) {
  */
 async function findExistingPdfInDirectory(directory, filename) {
 	try {
-		if (!fs.existsSync(directory)) {
+		if (!existsSync(directory)) {
 			return null
 		}
 
@@ -107,8 +113,21 @@ async function findExistingPdfInDirectory(directory, filename) {
 	}
 }
 
-async function urlsToPdf() {
-	const articles = getArticlesFromJson()
+/**
+ * Capture article pages to PDF
+ * @param {Object} options - { newOnly: only capture the latest-new.json delta, articles: capture these instead, dataDir, pdfDir, configPath }
+ * @returns {Promise<Object>} processing summary
+ */
+async function urlsToPdf(options = {}) {
+	const pdfDir = options.pdfDir || outputDir
+	const articles = options.articles || getArticlesFromJson(options.newOnly ? 'latest-new.json' : 'latest-raw.json', options.dataDir)
+
+	// an empty delta (or selection) just means there is nothing to capture
+	if ((options.newOnly || options.articles) && Array.isArray(articles) && articles.length === 0) {
+		console.log('ℹ️ No new articles since the last crawl, nothing to capture')
+		const now = new Date()
+		return { successCount: 0, skippedCount: 0, failureCount: 0, failedUrls: [], totalUrls: 0, startTime: now, endTime: now, duration: '0s' }
+	}
 
 	if (!Array.isArray(articles) || articles.length === 0) {
 		throw new Error('Articles must be a non-empty array')
@@ -146,7 +165,6 @@ async function urlsToPdf() {
 			if (error.message.includes("Executable doesn't exist")) {
 				console.log('📦 Playwright browsers not found, installing...')
 				console.log('⏳ This may take a few minutes...')
-				const { execSync } = require('child_process')
 				execSync('npx playwright install --with-deps chromium', {
 					stdio: 'inherit',
 					timeout: 300000 // 5 minutes timeout
@@ -164,6 +182,7 @@ async function urlsToPdf() {
 		let failureCount = 0
 		let skippedCount = 0
 		const failedUrls = []
+		const renders = [] // per-article outcome for the SQLite store
 
 		// Process each source group
 		for (const [sourceDomain, sourceArticles] of Object.entries(articlesBySource)) {
@@ -172,7 +191,7 @@ async function urlsToPdf() {
 			// Create date-based directory structure: pdfs/[source]/YYYY-MM-DD/
 			const now = new Date()
 			const dateStr = now.toISOString().slice(0, 10) // 2025-01-03 format
-			const sourcePdfDir = join(outputDir, sourceDomain, dateStr)
+			const sourcePdfDir = join(pdfDir, sourceDomain, dateStr)
 			await fs.mkdir(sourcePdfDir, { recursive: true })
 
 			console.log(`📁 PDF directory: ${sourceDomain}/${dateStr}/`)
@@ -254,19 +273,18 @@ async function urlsToPdf() {
 
 					console.log(`[5/6] Total ${curr} <figure> images rendered.`)
 
-					// Generate file name
-					const urlObj = new URL(url)
-					const filename = urlObj.pathname.split('/').pop() || 'page'
-					const cleanFilename = filename.replace(/[^a-zA-Z0-9\-_]/g, '_')
+					// Generate file name from the canonical URL path
+					const cleanFilename = pdfFilename(article).replace(/\.pdf$/, '')
 					const pdfPath = join(sourcePdfDir, `${cleanFilename}.pdf`)
 
 					// Check if PDF already exists in sourceDomain directory
-					const sourceDomainDir = join(outputDir, sourceDomain)
+					const sourceDomainDir = join(pdfDir, sourceDomain)
 					const existingPdfPath = await findExistingPdfInDirectory(sourceDomainDir, `${cleanFilename}.pdf`)
 					if (existingPdfPath) {
-						console.log(`⏭️ PDF already exists, skipping: ${sourceDomain}/${path.relative(sourceDomainDir, existingPdfPath)}`)
+						console.log(`⏭️ PDF already exists, skipping: ${sourceDomain}/${relative(sourceDomainDir, existingPdfPath)}`)
 						await page.close()
 						skippedCount++
+						renders.push({ articleId: article.id, url: article.url, status: 'skipped', path: relative(pdfDir, existingPdfPath) })
 						console.log(`✅ Skipped existing PDF ${i + 1}/${sourceArticles.length} from ${sourceDomain}`)
 						continue
 					}
@@ -284,9 +302,11 @@ async function urlsToPdf() {
 					await page.close()
 
 					successCount++
+					renders.push({ articleId: article.id, url: article.url, status: 'rendered', path: relative(pdfDir, pdfPath) })
 					console.log(`✅ Successfully processed URL ${i + 1}/${sourceArticles.length} from ${sourceDomain}`)
 				} catch (urlError) {
 					failureCount++
+					renders.push({ articleId: article.id, url: article.url, status: 'failed', error: urlError.message })
 					failedUrls.push({
 						url,
 						error: urlError.message,
@@ -330,11 +350,17 @@ async function urlsToPdf() {
 			})
 		}
 
+		await recordToStore(store => store.recordPdfRenders('url-to-pdf', renders), options.configPath, options.dataDir)
+
+		if (failedUrls.length > 0) {
+			await notifyWebhooks('pdf-failed', { script: 'url-to-pdf', items: failedUrls.map(item => ({ title: item.url, url: item.url, error: item.error })) }, options.configPath)
+		}
+
 		console.log(`\n🎉 Processing completed!`)
 		return { successCount, skippedCount, failureCount, failedUrls, totalUrls: articles.length, startTime, endTime, duration: totalDuration }
 	} catch (error) {
 		console.error('❌ url-to-pdf processing error:', error)
-		process.exit(1)
+		throw error
 	}
 }
 
@@ -342,7 +368,7 @@ async function urlsToPdf() {
 if (import.meta.url === `file://${process.argv[1]}`) {
 	// if (import.meta.url) {
 	console.log(`import.meta.url: ${import.meta.url}`)
-	urlsToPdf()
+	urlsToPdf({ newOnly: process.argv.includes('--new') })
 		.then(result => {
 			console.log(`\n🏁 url-to-pdf complete!`)
 			console.log(`📊 Final Results:`)
@@ -350,11 +376,15 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 			console.log(`   ✅ Success: ${result.successCount}`)
 			console.log(`   ⏭️ Skipped: ${result.skippedCount}`)
 			console.log(`   ❌ Failed: ${result.failureCount}`)
-			console.log(`   📈 Success Rate: ${(((result.successCount + result.skippedCount) / result.totalUrls) * 100).toFixed(1)}%`)
+			if (result.totalUrls > 0) {
+				console.log(`   📈 Success Rate: ${(((result.successCount + result.skippedCount) / result.totalUrls) * 100).toFixed(1)}%`)
+			}
 			console.log(`   ⏱️  Total Duration: ${result.duration}`)
 		})
-		.catch(error => {
+		.catch(async error => {
 			console.error('❌ url-to-pdf failed:', error)
+			// the run itself failed (browser launch, missing latest-raw.json), so no article failures were reported
+			await notifyWebhooks('pdf-failed', { script: 'url-to-pdf', items: [{ title: 'url-to-pdf run', url: null, error: error.message }] })
 			process.exit(1)
 		})
 }
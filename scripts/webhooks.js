@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+import { existsSync, promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { applyFilters, compileFilters } from './article-filters.js'
+import { parseRetryAfter } from './request-pool.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const WEBHOOK_EVENTS = ['new-articles', 'source-failed', 'pdf-failed', 'upload-failed']
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord', 'feishu']
+const ENDPOINT_KEYS = ['name', 'url', 'urlEnv', 'format', 'events', 'filters', 'templates', 'payload']
+
+const DEFAULT_WEBHOOKS_CONFIG = {
+	maxPerRun: 10, // notifications sent per run across all endpoints, later ones are dropped
+	retries: 2, // extra attempts on network errors, 429 and 5xx
+	retryDelayMs: 1000, // doubled on each retry (Retry-After wins when the endpoint sends it)
+	timeout: 10000,
+	maxItems: 10, // entries listed in a message, the rest is summarized as "... and N more"
+	endpoints: []
+}
+
+// message text per event; {{placeholders}} are filled from the event data
+const DEFAULT_TEMPLATES = {
+	'new-articles': '📰 {{count}} new articles\n{{items}}',
+	'source-failed': '❌ {{count}} sources failed every retry\n{{items}}',
+	'pdf-failed': '❌ PDF generation ({{script}}): {{count}} articles failed\n{{items}}',
+	'upload-failed': '❌ Supabase upload: {{count}} files failed\n{{items}}'
+}
+
+// one line per entry of the event
+const ITEM_FORMATTERS = {
+	'new-articles': article => `- ${article.title} (${article.source}) ${article.url}`,
+	'source-failed': failure => `- ${failure.group}/${failure.source}: ${failure.error}`,
+	'pdf-failed': failure => `- ${failure.title}: ${failure.error}`,
+	'upload-failed': failure => `- ${failure.file}: ${failure.error}`
+}
+
+// articles are sent without their content, the other events as they are
+function payloadItem(event, item) {
+	if (event !== 'new-articles') return item
+	const { id, title, url, author, pubDate, metaDescription, source, source_group, source_category, categories } = item
+	return { id, title, url, author, pubDate, metaDescription, source, source_group, source_category, categories }
+}
+
+/**
+ * Load webhook endpoints from the "webhooks" section of config.json and compile their article filters
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} webhook settings, every endpoint with compiled filterRules
+ */
+async function loadWebhooksConfig(configPath = path.join(__dirname, '../config.json')) {
+	let webhooks = { ...DEFAULT_WEBHOOKS_CONFIG }
+	if (existsSync(configPath)) {
+		const configData = await fs.readFile(configPath, 'utf-8')
+		webhooks = { ...webhooks, ...(JSON.parse(configData).webhooks || {}) }
+	}
+
+	for (const key of ['maxPerRun', 'maxItems']) {
+		if (!Number.isInteger(webhooks[key]) || webhooks[key] < 1) {
+			throw new Error(`webhooks.${key} must be a positive integer, got ${JSON.stringify(webhooks[key])}`)
+		}
+	}
+	for (const key of ['retries', 'retryDelayMs', 'timeout']) {
+		if (!Number.isInteger(webhooks[key]) || webhooks[key] < 0) {
+			throw new Error(`webhooks.${key} must be an integer >= 0, got ${JSON.stringify(webhooks[key])}`)
+		}
+	}
+	if (!Array.isArray(webhooks.endpoints)) {
+		throw new Error('webhooks.endpoints must be an array')
+	}
+
+	webhooks.endpoints = webhooks.endpoints.map((endpoint, index) => resolveEndpoint(endpoint, index))
+	return webhooks
+}
+
+// validate one endpoint and fill in its defaults
+function resolveEndpoint(endpoint, index) {
+	const label = `webhooks.endpoints[${index}]`
+	if (!endpoint || typeof endpoint !== 'object' || Array.isArray(endpoint)) {
+		throw new Error(`${label} must be an object`)
+	}
+
+	const unknownKeys = Object.keys(endpoint).filter(key => !ENDPOINT_KEYS.includes(key))
+	if (unknownKeys.length > 0) {
+		throw new Error(`${label} has unknown option(s) ${unknownKeys.join(', ')} (allowed: ${ENDPOINT_KEYS.join(', ')})`)
+	}
+	if (!endpoint.url && !endpoint.urlEnv) {
+		throw new Error(`${label} needs "url" or "urlEnv"`)
+	}
+
+	const resolved = { name: `endpoint-${index + 1}`, format: 'json', events: WEBHOOK_EVENTS, templates: {}, ...endpoint }
+	if (!WEBHOOK_FORMATS.includes(resolved.format)) {
+		throw new Error(`${label}.format must be one of ${WEBHOOK_FORMATS.join(', ')}, got ${JSON.stringify(resolved.format)}`)
+	}
+	const badEvents = [].concat(resolved.events, Object.keys(resolved.templates)).filter(event => !WEBHOOK_EVENTS.includes(event))
+	if (badEvents.length > 0) {
+		throw new Error(`${label} has unknown event(s) ${badEvents.join(', ')} (allowed: ${WEBHOOK_EVENTS.join(', ')})`)
+	}
+	if (resolved.payload !== undefined && resolved.format !== 'json') {
+		throw new Error(`${label}.payload is only supported with format "json"`)
+	}
+
+	// same include/exclude rules as config.json "filters", applied to new-articles
+	const { rules, errors } = compileFilters(endpoint.filters, 'webhook', `config.json ${label} (${resolved.name})`)
+	if (errors.length > 0) {
+		throw new Error(errors.join('; '))
+	}
+
+	return { ...resolved, filterRules: rules }
+}
+
+// replace every {{name}} placeholder, unknown ones stay as they are
+function fillTemplate(template, values) {
+	return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder))
+}
+
+// fill the placeholders of every string inside a JSON payload template
+function fillPayload(payload, values) {
+	if (typeof payload === 'string') return fillTemplate(payload, values)
+	if (Array.isArray(payload)) return payload.map(entry => fillPayload(entry, values))
+	if (payload && typeof payload === 'object') {
+		return Object.fromEntries(Object.entries(payload).map(([key, value]) => [key, fillPayload(value, values)]))
+	}
+	return payload
+}
+
+/**
+ * Render the request body of an event for one endpoint
+ * @param {Object} endpoint - resolved endpoint
+ * @param {string} event - event name
+ * @param {Object} data - { items: [], ...fields }
+ * @param {Object} options - { maxItems, now }
+ * @returns {Object} JSON body
+ */
+function renderPayload(endpoint, event, data, options = {}) {
+	const { maxItems = DEFAULT_WEBHOOKS_CONFIG.maxItems, now = new Date() } = options
+	const lines = data.items.slice(0, maxItems).map(ITEM_FORMATTERS[event])
+	if (data.items.length > maxItems) {
+		lines.push(`... and ${data.items.length - maxItems} more`)
+	}
+
+	const scalars = Object.fromEntries(Object.entries(data).filter(([, value]) => value === null || typeof value !== 'object'))
+	const values = { ...scalars, event, count: data.items.length, items: lines.join('\n'), time: now.toISOString() }
+	const text = fillTemplate(endpoint.templates[event] || DEFAULT_TEMPLATES[event], values)
+
+	switch (endpoint.format) {
+		case 'slack':
+			return { text }
+		case 'discord':
+			return { content: text.slice(0, 2000) } // discord rejects longer messages
+		case 'feishu':
+			return { msg_type: 'text', content: { text } }
+		default:
+			return endpoint.payload ? fillPayload(endpoint.payload, { ...values, text }) : { event, time: values.time, text, data: { ...data, items: data.items.map(item => payloadItem(event, item)) } }
+	}
+}
+
+/**
+ * POST a JSON body, retrying network errors, 429 and 5xx responses
+ * @param {string} url - webhook URL
+ * @param {Object} body - JSON body
+ * @param {Object} webhooks - { retries, retryDelayMs, timeout }
+ * @returns {Promise<number>} attempts used
+ */
+async function postWebhook(url, body, webhooks = DEFAULT_WEBHOOKS_CONFIG) {
+	for (let attempt = 1; ; attempt++) {
+		let retryAfter = null
+		try {
+			const response = await fetch(url, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(body),
+				signal: AbortSignal.timeout(webhooks.timeout)
+			})
+			if (response.ok) {
+				return attempt
+			}
+
+			const error = new Error(`HTTP ${response.status}`)
+			error.permanent = response.status < 500 && response.status !== 429
+			retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+			throw error
+		} catch (error) {
+			if (error.permanent || attempt > webhooks.retries) {
+				throw error
+			}
+			const delay = Number.isFinite(retryAfter) ? Math.min(retryAfter, 60000) : webhooks.retryDelayMs * 2 ** (attempt - 1)
+			await new Promise(resolve => setTimeout(resolve, delay))
+		}
+	}
+}
+
+/**
+ * Create the notifier of one run: it shares the per-run rate limit across events and endpoints
+ * @param {Object} webhooks - settings from loadWebhooksConfig
+ * @param {Object} options - { now }
+ * @returns {Object} { notify(event, data), stats: { sent, failed, dropped } }
+ */
+function createNotifier(webhooks, options = {}) {
+	const stats = { sent: 0, failed: 0, dropped: 0 }
+
+	/**
+	 * Send an event to every endpoint subscribed to it; errors are logged, never thrown
+	 * @param {string} event - one of WEBHOOK_EVENTS
+	 * @param {Object} data - { items: [articles or failures], ...fields for the templates }
+	 * @returns {Promise<Object>} stats
+	 */
+	async function notify(event, data) {
+		for (const endpoint of webhooks.endpoints) {
+			if (!endpoint.events.includes(event)) continue
+
+			let items = data.items
+			if (event === 'new-articles') {
+				items = items.filter(article => applyFilters(article, endpoint.filterRules, article.categories || [article.source_category].filter(Boolean)).kept)
+			}
+			if (items.length === 0) continue
+
+			const url = endpoint.url || process.env[endpoint.urlEnv]
+			if (!url) {
+				console.log(`⚠️ Webhook ${endpoint.name}: ${endpoint.urlEnv} is not set, skipped`)
+				continue
+			}
+
+			if (stats.sent + stats.failed >= webhooks.maxPerRun) {
+				stats.dropped++
+				console.log(`⚠️ Webhook ${endpoint.name}: ${event} dropped (limit of ${webhooks.maxPerRun} notifications per run)`)
+				continue
+			}
+
+			try {
+				const body = renderPayload(endpoint, event, { ...data, items }, { maxItems: webhooks.maxItems, now: options.now })
+				const attempts = await postWebhook(url, body, webhooks)
+				stats.sent++
+				console.log(`🔔 Webhook ${endpoint.name}: ${event} sent (${items.length} items${attempts > 1 ? `, ${attempts} attempts` : ''})`)
+			} catch (error) {
+				stats.failed++
+				console.log(`⚠️ Webhook ${endpoint.name}: ${event} failed: ${error.message}`)
+			}
+		}
+
+		return stats
+	}
+
+	return { notify, stats }
+}
+
+/**
+ * Load the settings and send one event; for scripts that notify once per run
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {Object} data - see createNotifier
+ * @param {string} configPath - config file path
+ * @returns {Promise<Object>} stats, or null when the webhook settings are invalid
+ */
+async function notifyWebhooks(event, data, configPath) {
+	try {
+		const webhooks = await loadWebhooksConfig(configPath)
+		return await createNotifier(webhooks).notify(event, data)
+	} catch (error) {
+		console.log(`⚠️ Webhooks not sent: ${error.message}`)
+		return null
+	}
+}
+
+// sample data for "node scripts/webhooks.js test <event>"
+const SAMPLE_EVENTS = {
+	'new-articles': {
+		items: [{ title: 'Webhook test article', url: 'https://example.com/webhook-test', source: 'example.com', source_category: 'test', metaDescription: 'Sent by scripts/webhooks.js test' }]
+	},
+	'source-failed': { items: [{ group: 'test', source: 'Example feed', url: 'https://example.com/feed', error: 'HTTP 503' }] },
+	'pdf-failed': { script: 'html-to-pdf', items: [{ title: 'Webhook test article', url: 'https://example.com/webhook-test', error: 'Timeout' }] },
+	'upload-failed': { items: [{ file: 'example.com/2026-01-01/webhook-test.pdf', error: 'upload failed' }] }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const [command, event = 'new-articles'] = process.argv.slice(2)
+	if (command !== 'test' || !WEBHOOK_EVENTS.includes(event)) {
+		console.log(`Usage: node scripts/webhooks.js test [${WEBHOOK_EVENTS.join('|')}]`)
+		process.exit(1)
+	}
+
+	loadWebhooksConfig()
+		.then(async webhooks => {
+			console.log(`🔔 Sending a test ${event} notification to ${webhooks.endpoints.length} endpoints...`)
+			const stats = await createNotifier(webhooks).notify(event, SAMPLE_EVENTS[event])
+			console.log(`✅ ${stats.sent} sent, ${stats.failed} failed, ${stats.dropped} dropped`)
+			if (stats.failed > 0) process.exit(1)
+		})
+		.catch(error => {
+			console.error('❌ Webhook test failed:', error.message)
+			process.exit(1)
+		})
+}
+
+export { WEBHOOK_EVENTS, createNotifier, loadWebhooksConfig, notifyWebhooks, postWebhook, renderPayload }
@@ -0,0 +1,75 @@
+import assert from 'assert'
+import { createServer } from 'http'
+import { commonFeedUrls, discoverFeeds, findFeedLinks, suggestGroup } from '../scripts/add-source.js'
+import { createRequestPool } from '../scripts/request-pool.js'
+
+const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Example News - World</title>
+<item><title>One</title><link>https://example.com/1</link></item>
+<item><title>Two</title><link>https://example.com/2</link></item></channel></rss>`
+
+const atom = `<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"><title>Example News</title>
+<entry><title>Three</title><link href="https://example.com/3"/><id>3</id></entry></feed>`
+
+const page = `<html><head><title>World</title>
+<link rel="alternate" type="application/rss+xml" title="World" href="/world/rss.xml">
+<link rel="alternate" type="text/html" hreflang="fr" href="/fr/world">
+<link rel="stylesheet" href="/style.css"></head><body><h1>World</h1></body></html>`
+
+// small site: the world section advertises its feed, the root has an atom feed at a common path
+function startSite() {
+	const server = createServer((req, res) => {
+		if (req.url === '/world') return res.end(page)
+		if (req.url === '/world/rss.xml') return res.end(rss)
+		if (req.url === '/atom.xml') return res.end(atom)
+		if (req.url === '/feed') {
+			res.writeHead(301, { Location: '/atom.xml' })
+			return res.end()
+		}
+		if (req.url === '/rss') return res.end('<html><body>Not a feed</body></html>')
+		res.writeHead(404)
+		res.end()
+	})
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+try {
+	console.log('🧪 Testing feed autodiscovery...\n')
+
+	assert.deepStrictEqual(findFeedLinks(page, 'https://example.com/world'), ['https://example.com/world/rss.xml'])
+	console.log('✅ <link rel="alternate"> feeds found, other links ignored')
+
+	const candidates = commonFeedUrls('https://example.com/world')
+	assert.ok(candidates.includes('https://example.com/world/feed'))
+	assert.ok(candidates.includes('https://example.com/rss.xml'))
+	assert.strictEqual(commonFeedUrls('https://example.com/').length, commonFeedUrls('https://example.com/world').length / 2)
+	console.log('✅ common paths tried below the section and at the site root')
+
+	const server = await startSite()
+	const origin = `http://127.0.0.1:${server.address().port}`
+	const pool = createRequestPool({ global: 4, maxParallelPerHost: 4, minIntervalMs: 0, backoffBaseMs: 0, backoffMaxMs: 0, hosts: {} })
+
+	const feeds = await discoverFeeds(`${origin}/world`, { pool, timeout: 5000 })
+	assert.deepStrictEqual(feeds, [
+		{ url: `${origin}/world/rss.xml`, type: 'rss', title: 'Example News - World', itemCount: 2, foundBy: 'link' },
+		{ url: `${origin}/atom.xml`, type: 'atom', title: 'Example News', itemCount: 1, foundBy: 'common-path' }
+	])
+	console.log('✅ candidates validated with the crawler parser, redirects and non-feeds dropped')
+
+	// a feed url is accepted as is
+	const direct = await discoverFeeds(`${origin}/atom.xml`, { pool, timeout: 5000 })
+	assert.strictEqual(direct.length, 1)
+	assert.strictEqual(direct[0].itemCount, 1)
+	assert.strictEqual(direct[0].foundBy, 'direct')
+	console.log('✅ feed url passed directly')
+	server.close()
+
+	const sourcesJson = { theconversation: [{ name: 'theconversation.com/us/business', url: 'https://theconversation.com/us/business/articles.atom' }] }
+	assert.strictEqual(suggestGroup(sourcesJson, 'https://theconversation.com/us/technology/articles.atom'), 'theconversation')
+	assert.strictEqual(suggestGroup(sourcesJson, 'https://www.bbc.co.uk/news/rss.xml'), 'bbc')
+	console.log('✅ group suggested from existing sources of the same site')
+
+	console.log('\n🎉 All feed discovery tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
@@ -0,0 +1,47 @@
+import assert from 'assert'
+import { applyFilters, compileFilters } from '../scripts/article-filters.js'
+
+const filters = {
+	include: [{ name: 'economy', keywords: ['economy', 'inflation'] }],
+	exclude: [
+		{ name: 'sponsored', regex: '^sponsored', fields: ['title'] },
+		{ name: 'newsletter-authors', authors: ['Newsletter Team'] },
+		{ name: 'podcasts', categories: ['Podcast'] }
+	]
+}
+
+const cases = [
+	{ label: 'keyword in title', article: { title: 'US economy is already on the edge' }, expected: { kept: true, rule: 'include:economy' } },
+	{ label: 'keyword only in content', article: { title: 'Shutdown', content: '<p>Rising <b>inflation</b></p>' }, expected: { kept: true, rule: 'include:economy' } },
+	{ label: 'regex exclude', article: { title: 'Sponsored: the economy today' }, expected: { kept: false, rule: 'exclude:sponsored' } },
+	{ label: 'author exclude', article: { title: 'Economy weekly', author: 'The Newsletter Team' }, expected: { kept: false, rule: 'exclude:newsletter-authors' } },
+	{ label: 'feed category exclude', article: { title: 'Economy podcast' }, categories: ['podcast'], expected: { kept: false, rule: 'exclude:podcasts' } },
+	{ label: 'no include match', article: { title: 'Baseball keeps coming back' }, expected: { kept: false, rule: 'include:no-match' } }
+]
+
+try {
+	console.log('🧪 Testing article include/exclude filters...\n')
+
+	const { rules, errors } = compileFilters(filters, 'global', 'test')
+	assert.deepStrictEqual(errors, [])
+
+	for (const { label, article, categories, expected } of cases) {
+		const decision = applyFilters(article, rules, categories)
+		assert.deepStrictEqual(decision, expected, label)
+		console.log(`✅ ${label}: ${decision.kept ? 'kept' : 'dropped'} by ${decision.rule}`)
+	}
+
+	// no rules at all keeps everything without a deciding rule
+	assert.deepStrictEqual(applyFilters({ title: 'Anything' }, []), { kept: true, rule: null })
+	console.log('✅ no rules: kept')
+
+	// invalid rules are reported, not thrown
+	const invalid = compileFilters({ include: [{ regex: '(' }], exclude: [{ fields: ['body'], keywords: ['x'] }] }, 'source', 'test')
+	assert.strictEqual(invalid.errors.length, 2)
+	invalid.errors.forEach(message => console.log(`✅ reported: ${message}`))
+
+	console.log('\n🎉 All filter tests passed!')
+} catch (error) {
+	console.error('❌ Filter test failed:', error.message)
+	process.exit(1)
+}
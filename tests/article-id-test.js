@@ -0,0 +1,45 @@
+import assert from 'assert'
+import { canonicalizeUrl, generateArticleId, isStableGuid } from '../scripts/article-id.js'
+
+const articleUrl = 'https://theconversation.com/us-economy-is-already-on-the-edge-a-prolonged-government-shutdown-could-send-it-tumbling-over-266327'
+
+const urlCases = [
+	{ label: 'already canonical', input: articleUrl, expected: articleUrl },
+	{ label: 'utm params and fragment', input: `${articleUrl}?utm_source=rss&utm_medium=feed#comments`, expected: articleUrl },
+	{ label: 'http + www + port + trailing slash', input: 'http://WWW.TheConversation.com:80/us/business/', expected: 'https://theconversation.com/us/business' },
+	{ label: 'sorted non-tracking params', input: 'https://example.com/a?b=2&fbclid=x&a=1', expected: 'https://example.com/a?a=1&b=2' }
+]
+
+try {
+	console.log('🧪 Testing URL canonicalization and article IDs...\n')
+
+	for (const { label, input, expected } of urlCases) {
+		assert.strictEqual(canonicalizeUrl(input), expected, label)
+		console.log(`✅ ${label}: ${canonicalizeUrl(input)}`)
+	}
+
+	// same article through a tracking link and an edited headline keeps its ID
+	const id = generateArticleId({ url: articleUrl, title: 'US economy is already on the edge' })
+	assert.strictEqual(generateArticleId({ url: `${articleUrl}?utm_campaign=x`, title: 'US economy is on the edge (updated)' }), id)
+	assert.match(id, /^[0-9a-f]{32}$/)
+	console.log(`✅ url-based id is stable: ${id}`)
+
+	// stable Atom ids are preferred over the link
+	const guid = 'tag:theconversation.com,2011:article/266327'
+	assert.ok(isStableGuid(guid))
+	const guidId = generateArticleId({ guid, url: articleUrl, title: 'x', sourceDomain: 'theconversation.com' })
+	assert.strictEqual(generateArticleId({ guid, url: `${articleUrl}/amp`, title: 'y', sourceDomain: 'theconversation.com' }), guidId)
+	assert.notStrictEqual(guidId, id)
+	console.log(`✅ guid-based id is stable: ${guidId}`)
+
+	// guids that repeat the title or are too short fall back to the url
+	assert.ok(!isStableGuid('Breaking news', 'Breaking news'))
+	assert.ok(!isStableGuid('123'))
+	assert.strictEqual(generateArticleId({ guid: '123', url: articleUrl, title: 'x' }), id)
+	console.log('✅ unstable guids fall back to the canonical url')
+
+	console.log('\n🎉 All article ID tests passed!')
+} catch (error) {
+	console.error('❌ Article ID test failed:', error.message)
+	process.exit(1)
+}
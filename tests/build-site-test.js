@@ -0,0 +1,134 @@
+import assert from 'assert'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join, relative } from 'path'
+import { buildSite, sanitizeHtml } from '../scripts/build-site.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'build-site-'))
+
+const articles = [
+	{
+		id: '0123456789abcdef0123456789abcdef',
+		title: 'Shipping costs are rising',
+		url: 'https://theconversation.com/shipping-costs-rising-123',
+		canonicalUrl: 'https://theconversation.com/shipping-costs-rising-123',
+		author: 'Jane Doe',
+		content: '<p>Freight rates doubled.</p>',
+		metaDescription: 'Freight rates doubled since spring.',
+		pubDate: '2026-10-19T08:00:00.000Z',
+		source: 'theconversation.com/us/business',
+		source_domain: 'theconversation.com',
+		source_group: 'theconversation',
+		source_category: 'business',
+		categories: ['economy']
+	},
+	{
+		id: 'fedcba9876543210fedcba9876543210',
+		title: 'Costs & <prices> in $ terms',
+		url: 'https://example.org/prices',
+		author: '',
+		content: '',
+		metaDescription: 'Prices in $& dollars.',
+		pubDate: '2026-10-18T08:00:00.000Z',
+		source: 'example.org',
+		source_domain: 'example.org',
+		source_group: 'world',
+		source_category: 'business'
+	}
+]
+
+// every relative href / src of every page must point at a file inside the site
+function checkLinks(siteDir) {
+	const pages = []
+	const walk = dir =>
+		readdirSync(dir).forEach(name => {
+			const file = join(dir, name)
+			if (statSync(file).isDirectory()) walk(file)
+			else if (name.endsWith('.html')) pages.push(file)
+		})
+	walk(siteDir)
+
+	for (const page of pages) {
+		for (const [, target] of readFileSync(page, 'utf8').matchAll(/(?:href|src)="([^"#]+)"/g)) {
+			if (/^[a-z]+:/i.test(target)) continue
+			assert.ok(existsSync(join(dirname(page), target)), `${relative(siteDir, page)} links to missing ${target}`)
+		}
+	}
+	return pages.length
+}
+
+try {
+	console.log('🧪 Testing static site generation...\n')
+
+	mkdirSync(join(workDir, 'pdfs', 'theconversation.com', '2026-10-19'), { recursive: true })
+	writeFileSync(join(workDir, 'pdfs', 'theconversation.com', '2026-10-19', 'shipping-costs-rising-123.pdf'), 'pdf-bytes')
+
+	const siteDir = join(workDir, 'site')
+	const summary = await buildSite({
+		articles,
+		pdfDir: join(workDir, 'pdfs'),
+		outputDir: siteDir,
+		now: new Date('2026-10-19T12:00:00Z'),
+		site: { title: 'Daily News', days: 15, copyPdfs: true }
+	})
+	assert.deepStrictEqual(summary, { articles: 2, days: 2, groups: 2, categories: 2, pdfs: 1 })
+
+	for (const page of ['index.html', 'days/2026-10-19.html', 'days/2026-10-18.html', 'groups/theconversation.html', 'groups/world.html', 'categories/economy.html', 'categories/business.html']) {
+		assert.ok(existsSync(join(siteDir, page)), `missing ${page}`)
+	}
+	console.log('✅ day, group and category pages written')
+
+	// article pages use the source template (default template for unknown domains)
+	const articlePage = readFileSync(join(siteDir, 'articles', '0123456789abcdef0123456789abcdef.html'), 'utf8')
+	assert.ok(articlePage.includes('Freight rates doubled.'))
+	assert.ok(articlePage.includes('republished from The Conversation'))
+	assert.ok(articlePage.includes('href="../pdfs/theconversation.com/2026-10-19/shipping-costs-rising-123.pdf"'))
+	assert.ok(readFileSync(join(siteDir, 'articles', 'fedcba9876543210fedcba9876543210.html'), 'utf8').includes('Prices in $&amp; dollars.'))
+	console.log('✅ article pages rendered with templates/')
+
+	// listings escape text and keep "$" sequences literal
+	const dayPage = readFileSync(join(siteDir, 'days', '2026-10-18.html'), 'utf8')
+	assert.ok(dayPage.includes('Costs &amp; &lt;prices&gt; in $ terms'))
+	assert.ok(dayPage.includes('Prices in $&amp; dollars.'))
+	console.log('✅ listings escaped')
+
+	// hostile feed item: text escaped, scripts, event handlers and script urls removed
+	assert.strictEqual(
+		sanitizeHtml('<p onclick="steal()">Hi <b>there</b></p><script>steal()</script><img src=" jav&#x09;ascript:steal()" alt="x"><img srcset="a.png 1x, data:image/png;base64,AA 2x"><form action="/"><input></form>'),
+		'<p>Hi <b>there</b></p><img alt="x"><img>'
+	)
+	const hostile = {
+		...articles[1],
+		id: '00000000000000000000000000000bad',
+		title: '</title><script>alert("title")</script>',
+		url: 'javascript:alert("url")',
+		author: '<img src=x onerror=alert("author")>',
+		source_group: '../../<script>alert("group")</script>',
+		content: '<p onmouseover="alert(1)">Read on.</p><script>alert(2)</script><img src="data:text/html,alert(3)" onerror="alert(4)"><iframe src="https://evil.example/"></iframe><svg><a xlink:href="javascript:alert(5)"><text>svg</text></a></svg><object data="javascript:alert(6)"></object><img src="https://example.org/chart.png" alt="Chart">'
+	}
+	const hostileDir = join(workDir, 'hostile')
+	await buildSite({ articles: [hostile], pdfDir: join(workDir, 'pdfs'), outputDir: hostileDir, now: new Date('2026-10-19T12:00:00Z'), site: { title: 'Daily News', days: 15, copyPdfs: false } })
+	for (const page of [join('articles', `${hostile.id}.html`), join('days', '2026-10-18.html'), join('groups', 'script-alert-group-script.html'), 'index.html']) {
+		const html = readFileSync(join(hostileDir, page), 'utf8')
+		assert.ok(!/<script|<iframe|<object|<[^>]*\son\w+=|javascript:|data:text/i.test(html), `${page} keeps hostile markup`)
+	}
+	const hostilePage = readFileSync(join(hostileDir, 'articles', `${hostile.id}.html`), 'utf8')
+	assert.ok(hostilePage.includes('&lt;/title&gt;&lt;script&gt;alert(&quot;title&quot;)&lt;/script&gt;'))
+	assert.ok(hostilePage.includes('&lt;img src=x onerror=alert(&quot;author&quot;)&gt;'))
+	assert.ok(hostilePage.includes('Read on.') && hostilePage.includes('src="https://example.org/chart.png"'))
+	assert.deepStrictEqual(readdirSync(join(hostileDir, 'groups')), ['script-alert-group-script.html'])
+	assert.ok(readFileSync(join(hostileDir, 'index.html'), 'utf8').includes('<a href="groups/script-alert-group-script.html">../../&lt;script&gt;alert(&quot;group&quot;)&lt;/script&gt;</a>'))
+	console.log('✅ hostile titles, bylines, groups and content cannot run scripts')
+
+	// self-contained: PDFs copied and every relative link resolves
+	assert.ok(existsSync(join(siteDir, 'pdfs', 'theconversation.com', '2026-10-19', 'shipping-costs-rising-123.pdf')))
+	const pageCount = checkLinks(siteDir)
+	console.log(`✅ ${pageCount} pages, all relative links resolve inside the site`)
+
+	console.log('\n🎉 All site tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	rmSync(workDir, { recursive: true, force: true })
+}
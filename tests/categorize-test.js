@@ -0,0 +1,78 @@
+import assert from 'assert'
+import { createServer } from 'http'
+import { DEFAULT_CATEGORIZE_CONFIG, categorizeArticles, categorizeByKeywords } from '../scripts/categorize.js'
+
+// minimal OpenAI-compatible endpoint that always answers with the given reply
+function startModelServer(reply) {
+	const server = createServer((req, res) => {
+		server.requests++
+		res.setHeader('Content-Type', 'application/json')
+		res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }] }))
+	})
+	server.requests = 0
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+try {
+	console.log('🧪 Testing article categorization...\n')
+
+	const inflation = {
+		id: 'a1',
+		title: 'Inflation cools as interest rate rises bite',
+		metaDescription: 'The economy is slowing and company profit forecasts are being cut.',
+		source_category: 'business'
+	}
+
+	// keyword fallback is deterministic
+	const byKeywords = categorizeByKeywords(inflation)
+	assert.deepStrictEqual(byKeywords, categorizeByKeywords(inflation))
+	assert.deepStrictEqual(byKeywords.categories, ['economy', 'business'])
+	assert.strictEqual(byKeywords.method, 'keywords')
+	assert.ok(byKeywords.confidence > 0 && byKeywords.confidence < 1)
+	console.log(`✅ keyword fallback: ${byKeywords.categories.join(', ')} (${byKeywords.confidence})`)
+
+	// "ai" must not match inside other words
+	assert.ok(!categorizeByKeywords({ title: 'Rain again', metaDescription: '' }).categories.includes('technology'))
+
+	// nothing matched: the source category is used with low confidence
+	const unmatched = categorizeByKeywords({ title: 'A quiet afternoon', metaDescription: '', source_category: 'Business' })
+	assert.deepStrictEqual(unmatched, { categories: ['business'], confidence: 0.2, method: 'source' })
+	console.log('✅ source category used when no keyword matches')
+
+	// model unreachable: every article falls back, nothing is cached
+	const llm = { provider: 'openai', baseUrl: 'http://127.0.0.1:9', model: 'test', timeout: 2000, temperature: 0 }
+	const offlineCache = {}
+	const offline = [{ ...inflation }]
+	const offlineSummary = await categorizeArticles(offline, { categorize: DEFAULT_CATEGORIZE_CONFIG, llm, cache: offlineCache })
+	assert.strictEqual(offlineSummary.fallback, 1)
+	assert.ok(offlineSummary.modelError)
+	assert.strictEqual(offline[0].categorySource, 'keywords')
+	assert.deepStrictEqual(offlineCache, {})
+	console.log('✅ unreachable model falls back to keywords')
+
+	// model answers: labels outside the list are dropped, confidence is clamped, result is cached
+	const server = await startModelServer('Sure! ```json\n{"categories": ["Politics", "weather", "economy", "health"], "confidence": 1.4}\n```')
+	const modelLlm = { ...llm, baseUrl: `http://127.0.0.1:${server.address().port}` }
+	const cache = {}
+	const articles = [{ ...inflation }]
+
+	const first = await categorizeArticles(articles, { categorize: DEFAULT_CATEGORIZE_CONFIG, llm: modelLlm, cache })
+	assert.strictEqual(first.llm, 1)
+	assert.deepStrictEqual(articles[0].categories, ['politics', 'economy'])
+	assert.strictEqual(articles[0].categoryConfidence, 1)
+	assert.strictEqual(articles[0].categorySource, 'llm')
+	assert.strictEqual(cache.a1.model, 'test')
+	console.log('✅ model reply parsed and validated')
+
+	// rerun reuses the cache without calling the model again
+	const second = await categorizeArticles([{ ...inflation }], { categorize: DEFAULT_CATEGORIZE_CONFIG, llm: modelLlm, cache })
+	assert.strictEqual(second.cached, 1)
+	assert.strictEqual(server.requests, 1)
+	console.log('✅ cached result reused on rerun')
+
+	server.close()
+	console.log('\n🎉 All categorization tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
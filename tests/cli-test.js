@@ -0,0 +1,106 @@
+import assert from 'assert'
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { EXIT_FATAL, EXIT_OK, parseSince, selectArticles } from '../scripts/cli.js'
+import { crawlAllSources } from '../scripts/crawl.js'
+import { openStore } from '../scripts/store.js'
+import { article, quietly, runBin as run, serverUrl, startFeedServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'daily-news-cli-'))
+const dataDir = join(workDir, 'data')
+const pdfDir = join(workDir, 'pdfs')
+const servers = []
+
+try {
+	console.log('🧪 Testing daily-news command line...\n')
+
+	const now = new Date('2026-10-19T12:00:00Z')
+	assert.strictEqual(parseSince('12h', now).toISOString(), '2026-10-19T00:00:00.000Z')
+	assert.strictEqual(parseSince('3d', now).toISOString(), '2026-10-16T12:00:00.000Z')
+	assert.strictEqual(parseSince('2026-10-01').toISOString(), '2026-10-01T00:00:00.000Z')
+	assert.throws(() => parseSince('yesterday'), /--since must be an ISO date or a duration/)
+	console.log('✅ --since accepts ISO dates and relative durations')
+
+	// last crawl, its delta and an older snapshot of the archive
+	mkdirSync(join(dataDir, 'news'), { recursive: true })
+	writeFileSync(join(dataDir, 'latest-raw.json'), JSON.stringify({ articles: [article('a1', { pubDate: '2026-10-19T08:00:00Z' }), article('a2', { pubDate: '2026-10-18T08:00:00Z' })] }))
+	writeFileSync(join(dataDir, 'latest-new.json'), JSON.stringify({ articles: [article('a1', { pubDate: '2026-10-19T08:00:00Z' })] }))
+	writeFileSync(join(dataDir, 'news', '2026-10-10-06-latest-raw.json'), JSON.stringify({ articles: [article('old', { pubDate: '2026-10-10T05:00:00Z' })] }))
+
+	const ids = articles => articles.map(item => item.id).sort()
+	assert.deepStrictEqual(ids(await selectArticles({}, { dataDir })), ['a1', 'a2'])
+	assert.deepStrictEqual(ids(await selectArticles({ new: true }, { dataDir })), ['a1'])
+	assert.deepStrictEqual(ids(await selectArticles({}, { dataDir, since: new Date('2026-10-01T00:00:00Z') })), ['a1', 'a2', 'old'])
+	assert.deepStrictEqual(ids(await selectArticles({}, { dataDir, since: new Date('2026-10-18T12:00:00Z') })), ['a1'])
+	assert.deepStrictEqual(ids(await selectArticles({ article: ['old'] }, { dataDir })), ['old'])
+	await assert.rejects(selectArticles({ article: ['missing'] }, { dataDir }), /Article\(s\) not found: missing/)
+	console.log('✅ articles selected from the last crawl, the delta or the archive')
+
+	// pdf --dry-run plans against the PDFs already rendered
+	mkdirSync(join(pdfDir, 'example.com', '2026-10-19'), { recursive: true })
+	writeFileSync(join(pdfDir, 'example.com', '2026-10-19', 'a1.pdf'), '')
+	const plan = run('pdf', '--dry-run', '--json', '--method', 'html', '--data-dir', dataDir, '--pdf-dir', pdfDir)
+	assert.strictEqual(plan.status, EXIT_OK)
+	assert.deepStrictEqual(
+		plan.json().articles.map(item => [item.id, item.pdf]),
+		[
+			['a1', 'example.com/2026-10-19/a1.pdf'],
+			['a2', null]
+		]
+	)
+	assert.strictEqual(plan.json().toRender, 1)
+	console.log('✅ pdf --dry-run --json prints only the plan on stdout')
+
+	const upload = run('upload', '--dry-run', '--json', '--article', 'a1', '--data-dir', dataDir, '--pdf-dir', pdfDir)
+	assert.strictEqual(upload.status, EXIT_OK)
+	assert.deepStrictEqual(upload.json().files, ['example.com/2026-10-19/a1.pdf'])
+	console.log('✅ upload --article resolves the PDF of the article')
+
+	// a --group crawl replaces only that group's articles in the combined files and is not stored as a crawl run
+	let worldItems = [{ guid: 'w1' }]
+	servers.push(await startFeedServer([{ guid: 'n1' }, { guid: 'n2' }]), await startFeedServer(() => worldItems))
+	const crawlDir = join(workDir, 'crawl')
+	const configPath = join(workDir, 'config.json')
+	writeFileSync(configPath, JSON.stringify({ store: { enabled: true, path: 'crawl.db' }, crawl: { maxRetries: 0 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+	const sources = () => [
+		{ name: 'News', url: serverUrl(servers[0]), sourceIdentifier: 'news', groupConfig: {} },
+		{ name: 'World', url: serverUrl(servers[1]), sourceIdentifier: 'world', groupConfig: {} }
+	]
+	const combined = file => JSON.parse(readFileSync(join(crawlDir, file), 'utf8'))
+	const titles = file => combined(file).articles.map(item => item.title).sort()
+	await quietly(() => crawlAllSources({ dataDir: crawlDir, configPath, sources: sources() }))
+	assert.deepStrictEqual(titles('latest-raw.json'), ['Story n1', 'Story n2', 'Story w1'])
+
+	worldItems = [{ guid: 'w1' }, { guid: 'w2' }]
+	const scoped = await quietly(() => crawlAllSources({ dataDir: crawlDir, configPath, sources: sources(), group: 'world' }))
+	assert.deepStrictEqual(Object.keys(scoped), ['world'])
+	assert.deepStrictEqual(titles('latest-raw.json'), ['Story n1', 'Story n2', 'Story w1', 'Story w2'])
+	assert.deepStrictEqual([combined('latest-raw.json').totalSourceGroups, combined('latest-raw.json').totalSources], [2, 2])
+	assert.deepStrictEqual(titles('latest-new.json'), ['Story n1', 'Story n2', 'Story w2'])
+
+	const store = await openStore(join(workDir, 'crawl.db'))
+	try {
+		assert.deepStrictEqual([store.stats().crawlRuns, store.stats().articles], [1, 4])
+	} finally {
+		store.close()
+	}
+	console.log('✅ a --group crawl keeps the other groups in latest-raw.json and latest-new.json')
+
+	// usage errors
+	assert.strictEqual(run('deploy').status, EXIT_FATAL)
+	assert.match(run('crawl', '--article', 'a1').stderr, /--article is not supported by "crawl"/)
+	assert.match(run('pdf', '--method', 'word', '--data-dir', dataDir).stderr, /PDF method must be html-to-pdf or url-to-pdf/)
+	const missing = run('pdf', '--dry-run', '--json', '--article', 'missing', '--data-dir', dataDir)
+	assert.strictEqual(missing.status, EXIT_FATAL)
+	assert.deepStrictEqual(missing.json(), { error: 'Article(s) not found: missing' })
+	console.log('✅ unknown commands, unsupported flags and bad values exit with 1')
+
+	console.log('\n🎉 All command line tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	servers.forEach(server => server.close())
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,78 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { crawlFeed } from '../scripts/crawl.js'
+import { DEFAULT_CRAWL_POLICY, loadCrawlDefaults, resolveSourcePolicies, validatePolicy } from '../scripts/crawl-policy.js'
+import { quietly, rssFeed, serverUrl, startServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'crawl-policy-'))
+const configPath = join(workDir, 'config.json')
+let server
+
+try {
+	console.log('🧪 Testing crawl policies...\n')
+
+	// defaults < config.json < group < source
+	assert.deepStrictEqual(await loadCrawlDefaults(join(workDir, 'missing.json')), DEFAULT_CRAWL_POLICY)
+	writeFileSync(configPath, JSON.stringify({ crawl: { itemLimit: 5, timeout: 5000 } }))
+	const defaults = await loadCrawlDefaults(configPath)
+	assert.deepStrictEqual(defaults, { ...DEFAULT_CRAWL_POLICY, itemLimit: 5, timeout: 5000 })
+
+	const sources = [
+		{ name: 'Plain', sourceIdentifier: 'news', groupConfig: { crawl: { daysBack: 3 } } },
+		{ name: 'Tuned', sourceIdentifier: 'news', groupConfig: { crawl: { daysBack: 3 } }, crawl: { itemLimit: 1, fullText: true } },
+		{ name: 'Other', sourceIdentifier: 'world', groupConfig: {} }
+	]
+	assert.deepStrictEqual(resolveSourcePolicies(sources, defaults), [])
+	assert.deepStrictEqual(sources[0].policy, { ...defaults, daysBack: 3 })
+	assert.deepStrictEqual(sources[1].policy, { ...defaults, daysBack: 3, itemLimit: 1, fullText: true })
+	assert.deepStrictEqual(sources[2].policy, defaults)
+	console.log('✅ source settings override the group, the group overrides config.json')
+
+	// every invalid value is reported with where it came from; a group is reported once
+	assert.deepStrictEqual(validatePolicy(undefined, 'x'), [])
+	assert.deepStrictEqual(validatePolicy([], 'x'), ['x: "crawl" must be an object'])
+	const invalid = [
+		{ name: 'A', sourceIdentifier: 'news', groupConfig: { crawl: { itemLimit: 0 } }, crawl: { timeout: 500, retries: 3 } },
+		{ name: 'B', sourceIdentifier: 'news', groupConfig: { crawl: { itemLimit: 0 } }, crawl: { fullText: 'yes', daysBack: -1 } },
+		{ name: 'C', sourceIdentifier: 'world', groupConfig: { crawl: 'fast' }, crawl: { maxRetries: 1.5, fullTextMinWords: -10 } }
+	]
+	assert.deepStrictEqual(resolveSourcePolicies(invalid, { ...defaults, maxRetries: -1 }), [
+		'config.json: crawl.maxRetries must be an integer >= 0, got -1',
+		'sources.json group "news": crawl.itemLimit must be a positive integer, got 0',
+		'sources.json source "A": crawl.timeout must be an integer >= 1000 (milliseconds), got 500',
+		'sources.json source "A": unknown crawl option "retries" (allowed: itemLimit, daysBack, maxRetries, timeout, fullText, fullTextMinWords)',
+		'sources.json source "B": crawl.fullText must be true or false, got "yes"',
+		'sources.json source "B": crawl.daysBack must be a positive number of days, got -1',
+		'sources.json group "world": "crawl" must be an object',
+		'sources.json source "C": crawl.maxRetries must be an integer >= 0, got 1.5',
+		'sources.json source "C": crawl.fullTextMinWords must be an integer >= 0, got -10'
+	])
+	console.log('✅ invalid values, unknown options and non-object policies reported')
+
+	// a crawl applies the resolved itemLimit
+	let requests = 0
+	server = await startServer((req, res) => {
+		requests++
+		res.setHeader('Content-Type', 'application/rss+xml')
+		res.end(rssFeed([{ guid: 'one' }, { guid: 'two' }, { guid: 'three' }]))
+	})
+	const local = crawl => {
+		const source = { name: 'Local', url: serverUrl(server), sourceIdentifier: 'local', groupConfig: { crawl: { itemLimit: 2 } }, crawl }
+		assert.deepStrictEqual(resolveSourcePolicies([source], { ...defaults, maxRetries: 0 }), [])
+		return source
+	}
+	assert.strictEqual((await quietly(() => crawlFeed(local(undefined)))).articles.length, 2)
+	assert.strictEqual((await quietly(() => crawlFeed(local({ itemLimit: 1 })))).articles.length, 1)
+	assert.strictEqual(requests, 2)
+	console.log('✅ crawls use the resolved policy')
+
+	console.log('\n🎉 All crawl policy tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,72 @@
+import assert from 'assert'
+import { findDuplicates, tokenize } from '../scripts/dedupe.js'
+
+const lead = 'With the federal government shut down, economists warn that the economy, already slowing, could tip into recession if the standoff drags on for weeks.'
+
+const original = {
+	id: 'a1',
+	title: 'US economy is already on the edge – a prolonged government shutdown could send it tumbling over',
+	metaDescription: lead,
+	canonicalUrl: 'https://theconversation.com/us-economy-is-already-on-the-edge-266327',
+	pubDate: '2025-10-03T12:00:00.000Z',
+	source: 'theconversation.com/us/business',
+	source_group: 'theconversation'
+}
+const syndicated = {
+	id: 'b1',
+	title: 'US economy is already on the edge: prolonged government shutdown could send it tumbling',
+	metaDescription: lead,
+	canonicalUrl: 'https://example-news.com/2025/10/us-economy-edge',
+	pubDate: '2025-10-03T15:00:00.000Z',
+	source: 'example-news.com',
+	source_group: 'syndication'
+}
+const unrelated = {
+	id: 'c1',
+	title: 'Why major league baseball keeps coming back',
+	metaDescription: 'Baseball has survived strikes, scandals and pandemics and fans still return every spring to ballparks across the country.',
+	canonicalUrl: 'https://theconversation.com/why-major-league-baseball-keeps-coming-back-266000',
+	pubDate: '2025-10-02T12:00:00.000Z',
+	source: 'theconversation.com/us/business',
+	source_group: 'theconversation'
+}
+const chineseA = { id: 'z1', title: '美国经济已处于边缘', canonicalUrl: 'https://example.cn/1', pubDate: '2025-10-03T12:00:00.000Z' }
+const chineseB = { id: 'z2', title: '日本央行维持利率不变', canonicalUrl: 'https://example.cn/2', pubDate: '2025-10-03T12:00:00.000Z' }
+
+try {
+	console.log('🧪 Testing near-duplicate detection...\n')
+
+	// non-Latin titles produce tokens instead of collapsing to an empty key
+	assert.ok(tokenize(chineseA.title).length > 0)
+	assert.ok(tokenize('Экономика США на грани').length === 4)
+	console.log('✅ non-Latin titles are tokenized')
+
+	// syndicated copy in another group is linked to the earlier original
+	const crossGroup = findDuplicates([syndicated, unrelated, original, chineseA, chineseB])
+	assert.deepStrictEqual(
+		crossGroup.unique.map(article => article.id),
+		['c1', 'a1', 'z1', 'z2']
+	)
+	assert.strictEqual(crossGroup.duplicates.length, 1)
+	assert.strictEqual(crossGroup.duplicates[0].id, 'b1')
+	assert.strictEqual(crossGroup.duplicates[0].duplicateOf, 'a1')
+	assert.strictEqual(original.duplicates[0].id, 'b1')
+	console.log(`✅ cross-group duplicate: ${crossGroup.duplicates[0].id} → ${crossGroup.duplicates[0].duplicateOf}`)
+
+	// an edited re-post is matched against the archive from an earlier run
+	const archive = {
+		articles: {
+			a1: { title: original.title, canonicalUrl: original.canonicalUrl, simhash: original.simhash, lastSeen: new Date().toISOString() }
+		}
+	}
+	const crossRun = findDuplicates([{ ...syndicated, duplicates: undefined }], archive)
+	assert.strictEqual(crossRun.unique.length, 0)
+	assert.strictEqual(crossRun.duplicates[0].duplicateOf, 'a1')
+	assert.strictEqual(crossRun.duplicates[0].archived, true)
+	console.log(`✅ cross-run duplicate: ${crossRun.duplicates[0].id} → ${crossRun.duplicates[0].duplicateOf} (archive)`)
+
+	console.log('\n🎉 All dedupe tests passed!')
+} catch (error) {
+	console.error('❌ Dedupe test failed:', error.message)
+	process.exit(1)
+}
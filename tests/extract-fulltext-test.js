@@ -0,0 +1,48 @@
+import assert from 'assert'
+import { readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { countWords, extractMainContent } from '../scripts/extract-fulltext.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+try {
+	console.log('🧪 Testing full-text extraction against saved HTML fixtures...\n')
+
+	const html = readFileSync(join(__dirname, 'fixtures', 'article-page.html'), 'utf8')
+	const result = extractMainContent(html, 'https://example-news.com/business/shipping-costs-rising')
+
+	assert.ok(result, 'expected readable content')
+	console.log(`📰 Title: ${result.title}`)
+	console.log(`📊 Word count: ${result.wordCount}`)
+
+	// article body is kept
+	assert.ok(result.content.includes('blank sailing'))
+	assert.ok(result.content.includes('What shoppers can expect'))
+	console.log('✅ article paragraphs and headings extracted')
+
+	// navigation, related links and footer are dropped
+	assert.ok(!result.textContent.includes('Subscribe'))
+	assert.ok(!result.textContent.includes('Related stories'))
+	assert.ok(!result.textContent.includes('All rights reserved'))
+	console.log('✅ navigation, sidebar and footer removed')
+
+	// relative image urls are resolved against the article url
+	assert.ok(result.content.includes('https://example-news.com/images/container-ship.jpg'))
+	console.log('✅ relative image url resolved')
+
+	assert.ok(result.wordCount > 300)
+	assert.strictEqual(countWords('<p>Rising <b>freight</b> costs</p>'), 3)
+	assert.strictEqual(countWords('美国经济'), 4)
+	console.log('✅ word counts')
+
+	// pages without an article body give nothing back
+	assert.strictEqual(extractMainContent('', 'https://example.com'), null)
+	console.log('✅ empty page returns null')
+
+	console.log('\n🎉 All extraction tests passed!')
+} catch (error) {
+	console.error('❌ Extraction test failed:', error.message)
+	process.exit(1)
+}
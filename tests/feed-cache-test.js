@@ -0,0 +1,93 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { crawlFeed } from '../scripts/crawl.js'
+import { conditionalFetch, loadFeedCache, saveFeedCache } from '../scripts/feed-cache.js'
+import { quietly, rssFeed, serverUrl, startServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'feed-cache-'))
+const ETAG = '"v1"'
+const LAST_MODIFIED = 'Mon, 19 Oct 2026 08:00:00 GMT'
+let server
+
+try {
+	console.log('🧪 Testing conditional feed requests...\n')
+
+	// /feed answers 304 when either validator matches, /busy is rate limited
+	const requests = []
+	server = await startServer((req, res) => {
+		requests.push({ url: req.url, etag: req.headers['if-none-match'], since: req.headers['if-modified-since'] })
+		if (req.url === '/busy') {
+			res.writeHead(429, { 'Retry-After': '120' })
+			return res.end()
+		}
+		if (req.headers['if-none-match'] === ETAG || req.headers['if-modified-since'] === LAST_MODIFIED) {
+			res.writeHead(304)
+			return res.end()
+		}
+		res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: ETAG, 'Last-Modified': LAST_MODIFIED })
+		res.end(rssFeed([{ guid: 'first' }, { guid: 'second' }]))
+	})
+
+	const fresh = await conditionalFetch(serverUrl(server), undefined)
+	assert.deepStrictEqual({ ...fresh, body: undefined }, { notModified: false, status: 200, body: undefined, etag: ETAG, lastModified: LAST_MODIFIED })
+	assert.match(fresh.body, /<guid>first<\/guid>/)
+	assert.deepStrictEqual(requests.pop(), { url: '/feed', etag: undefined, since: undefined })
+	assert.deepStrictEqual(await conditionalFetch(serverUrl(server), { etag: ETAG, lastModified: LAST_MODIFIED }), { notModified: true, status: 304 })
+	assert.deepStrictEqual(requests.pop(), { url: '/feed', etag: ETAG, since: LAST_MODIFIED })
+	assert.strictEqual((await conditionalFetch(serverUrl(server), { lastModified: LAST_MODIFIED })).status, 304)
+	await assert.rejects(conditionalFetch(serverUrl(server, '/busy'), undefined), error => error.status === 429 && error.retryAfter === 120000)
+	console.log('✅ validators sent, 304 reported as not modified, Retry-After kept on errors')
+
+	// unreadable cache starts fresh, a saved cache loads back
+	const cachePath = join(workDir, 'cache', 'feed-cache.json')
+	assert.deepStrictEqual(await loadFeedCache(cachePath), {})
+	writeFileSync(join(workDir, 'broken.json'), '{')
+	assert.deepStrictEqual(await quietly(() => loadFeedCache(join(workDir, 'broken.json'))), {})
+	await saveFeedCache({ feed: { etag: ETAG } }, cachePath)
+	assert.deepStrictEqual(await loadFeedCache(cachePath), { feed: { etag: ETAG } })
+	console.log('✅ cache saved and loaded, unreadable cache ignored')
+
+	// two crawls of the feed: the second gets a 304 and reuses the cached items
+	const source = { name: 'Local', url: serverUrl(server) }
+	const feedCache = {}
+	requests.length = 0
+	const first = await quietly(() => crawlFeed(source, null, { feedCache }))
+	const cache = feedCache[serverUrl(server)]
+	assert.deepStrictEqual([cache.etag, cache.lastModified, cache.items.length], [ETAG, LAST_MODIFIED, 2])
+	assert.strictEqual(first.unchanged, false)
+
+	const stats = { unchanged: 0 }
+	const second = await quietly(() => crawlFeed(source, stats, { feedCache }))
+	assert.deepStrictEqual(
+		requests.map(request => [request.etag, request.since]),
+		[
+			[undefined, undefined],
+			[ETAG, LAST_MODIFIED]
+		]
+	)
+	assert.strictEqual(second.unchanged, true)
+	assert.strictEqual(stats.unchanged, 1)
+	assert.deepStrictEqual(
+		second.articles.map(article => article.id),
+		first.articles.map(article => article.id)
+	)
+	console.log('✅ a 304 reuses the cached items with the same article IDs')
+
+	// without cached items the validators are not sent, so the feed is downloaded again
+	delete feedCache[serverUrl(server)].items
+	requests.length = 0
+	const refetched = await quietly(() => crawlFeed(source, null, { feedCache }))
+	assert.deepStrictEqual(requests.map(request => request.etag), [undefined])
+	assert.strictEqual(refetched.articles.length, 2)
+	console.log('✅ validators only sent while the cached items are there')
+
+	console.log('\n🎉 All feed cache tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,70 @@
+import assert from 'assert'
+import { readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { detectFeedType, parseFeed, validateSourceTypes } from '../scripts/feed-formats.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const fixture = name => readFileSync(join(__dirname, 'fixtures', name), 'utf8')
+
+try {
+	console.log('🧪 Testing JSON Feed and news sitemap parsing...\n')
+
+	// JSON Feed items are mapped to rss-parser's item fields
+	const jsonFeed = await parseFeed(fixture('jsonfeed.json'), 'jsonfeed')
+	assert.strictEqual(jsonFeed.title, 'Example Blog')
+	assert.strictEqual(jsonFeed.items.length, 2)
+	assert.deepStrictEqual(jsonFeed.items[0], {
+		title: 'Why interest rates are staying high',
+		link: 'https://example.org/2026/10/interest-rates?utm_source=jsonfeed',
+		guid: 'https://example.org/2026/10/interest-rates',
+		pubDate: '2026-10-18T08:30:00Z',
+		isoDate: '2026-10-18T08:30:00Z',
+		author: 'Jane Doe, John Roe',
+		content: '<p>Central banks are holding <b>interest rates</b> steady.</p>',
+		contentSnippet: 'Central banks are holding rates steady.',
+		categories: ['economy', 'central banks']
+	})
+	// feed authors, numeric ids, text content and date_modified
+	assert.strictEqual(jsonFeed.items[1].author, 'Editorial Team')
+	assert.strictEqual(jsonFeed.items[1].guid, '42')
+	assert.strictEqual(jsonFeed.items[1].content, 'Plain text body of the weekly notes.')
+	assert.strictEqual(jsonFeed.items[1].isoDate, '2026-10-17T12:00:00Z')
+	console.log('✅ JSON Feed normalized')
+
+	await assert.rejects(parseFeed('{"items": []}', 'jsonfeed'), /Not a JSON Feed/)
+
+	// news sitemap: only news entries, newest first, entities decoded
+	const sitemap = await parseFeed(fixture('news-sitemap.xml'), 'news-sitemap')
+	assert.strictEqual(sitemap.title, 'Example News')
+	assert.deepStrictEqual(
+		sitemap.items.map(item => [item.title, item.link]),
+		[
+			['Freight rates & fuel costs climb', 'https://news.example.com/business/freight-rates?id=7&ref=home'],
+			['Ports reopen after strike', 'https://news.example.com/business/ports-reopen']
+		]
+	)
+	assert.deepStrictEqual(sitemap.items[1].categories, ['shipping', 'labour'])
+	assert.strictEqual(sitemap.items[1].isoDate, '2026-10-17T06:00:00+00:00')
+	console.log('✅ news sitemap normalized')
+
+	await assert.rejects(parseFeed('<?xml version="1.0"?><sitemapindex><sitemap><loc>x</loc></sitemap></sitemapindex>', 'news-sitemap'), /Sitemap index/)
+
+	// type detection used by add-source
+	assert.strictEqual(detectFeedType(fixture('jsonfeed.json')), 'jsonfeed')
+	assert.strictEqual(detectFeedType(fixture('news-sitemap.xml')), 'news-sitemap')
+	assert.strictEqual(detectFeedType('<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"></feed>'), 'atom')
+	assert.strictEqual(detectFeedType('<?xml version="1.0"?><rss version="2.0"></rss>'), 'rss')
+	console.log('✅ feed type detection')
+
+	assert.deepStrictEqual(validateSourceTypes([{ name: 'a', type: 'atom' }, { name: 'b' }]), [])
+	assert.strictEqual(validateSourceTypes([{ name: 'c', type: 'sitemap' }]).length, 1)
+	console.log('✅ source type validation')
+
+	console.log('\n🎉 All feed format tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
@@ -0,0 +1,105 @@
+import { spawnSync } from 'child_process'
+import { createServer } from 'http'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+
+const bin = join(dirname(fileURLToPath(import.meta.url)), '../bin/daily-news.js')
+
+/**
+ * Article as written to latest-raw.json
+ * @param {string} id - article ID, also the last segment of its url
+ * @param {Object} overrides - fields to replace
+ * @returns {Object} article
+ */
+function article(id, overrides = {}) {
+	return {
+		id,
+		title: `Story ${id}`,
+		url: `https://example.com/news/${id}`,
+		author: 'Reporter',
+		content: '<p>Nothing to see.</p>',
+		metaDescription: '',
+		pubDate: '2026-10-15T08:00:00.000Z',
+		crawledAt: '2026-10-15T09:00:00.000Z',
+		source: 'Example',
+		source_domain: 'example.com',
+		source_group: 'news',
+		source_category: 'politics',
+		...overrides
+	}
+}
+
+/**
+ * RSS 2.0 document
+ * @param {Array} items - [{ guid, title, link, description, pubDate: Date }], published an hour ago by default
+ * @returns {string} XML
+ */
+function rssFeed(items) {
+	const hourAgo = new Date(Date.now() - 60 * 60 * 1000)
+	const item = ({ guid, title = `Story ${guid}`, link = `http://127.0.0.1/${guid}`, description, pubDate = hourAgo }) =>
+		`<item><title>${title}</title><link>${link}</link><guid>${guid}</guid><pubDate>${pubDate.toUTCString()}</pubDate>${description ? `<description>${description}</description>` : ''}</item>`
+	return `<?xml version="1.0"?><rss version="2.0"><channel><title>Local</title>${items.map(item).join('')}</channel></rss>`
+}
+
+/**
+ * HTTP server on a free local port
+ * @param {Function} handler - request handler
+ * @returns {Promise<Object>} listening http.Server
+ */
+function startServer(handler) {
+	const server = createServer(handler)
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+/**
+ * Serve rssFeed(items) on /feed, 404 everywhere else
+ * @param {Array|Function} items - feed items, or a function of the request returning them
+ * @returns {Promise<Object>} listening http.Server
+ */
+function startFeedServer(items) {
+	return startServer((req, res) => {
+		if (req.url !== '/feed') {
+			res.statusCode = 404
+			return res.end()
+		}
+		res.setHeader('Content-Type', 'application/rss+xml')
+		res.end(rssFeed(typeof items === 'function' ? items(req) : items))
+	})
+}
+
+/**
+ * Url of a path on a local server
+ * @param {Object} server - listening http.Server
+ * @param {string} path - request path
+ * @returns {string} url
+ */
+function serverUrl(server, path = '/feed') {
+	return `http://127.0.0.1:${server.address().port}${path}`
+}
+
+/**
+ * Run a function with console.log silenced
+ * @param {Function} fn - function to run
+ * @returns {Promise<*>} result of fn
+ */
+async function quietly(fn) {
+	const log = console.log
+	console.log = () => {}
+	try {
+		return await fn()
+	} finally {
+		console.log = log
+	}
+}
+
+/**
+ * Run the daily-news binary
+ * @param {...string} args - command line
+ * @returns {Object} { status, stdout, stderr, json: parsed --json result }
+ */
+function runBin(...args) {
+	const result = spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8', timeout: 30000 })
+	return { status: result.status, stdout: result.stdout, stderr: result.stderr, json: () => JSON.parse(result.stdout) }
+}
+
+export { article, quietly, rssFeed, runBin, serverUrl, startFeedServer, startServer }
@@ -0,0 +1,81 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { loadArticleIndex, saveArticleIndex, updateArticleIndex } from '../scripts/article-index.js'
+import { crawlFeed } from '../scripts/crawl.js'
+import { quietly, rssFeed, serverUrl, startServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'latest-new-'))
+const indexPath = join(workDir, 'data', 'article-index.json')
+let server
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000)
+const titles = articles => articles.map(article => article.title)
+
+try {
+	console.log('🧪 Testing the seen-article index behind latest-new.json...\n')
+
+	// missing or unreadable index: start fresh
+	assert.deepStrictEqual(await loadArticleIndex(indexPath), { updatedAt: null, articles: {} })
+	writeFileSync(join(workDir, 'broken.json'), '{')
+	assert.deepStrictEqual(await quietly(() => loadArticleIndex(join(workDir, 'broken.json'))), { updatedAt: null, articles: {} })
+	console.log('✅ missing and unreadable indexes start empty')
+
+	// the feed the server answers with, changed between runs
+	let items = [
+		{ guid: 'a', pubDate: hoursAgo(3) },
+		{ guid: 'b', pubDate: hoursAgo(2) }
+	]
+	server = await startServer((req, res) => {
+		res.setHeader('Content-Type', 'application/rss+xml')
+		res.end(rssFeed(items))
+	})
+	const source = { name: 'Local', url: serverUrl(server) }
+
+	// one crawl run: crawl, record in the index saved between runs, return the delta
+	const run = async seenAt => {
+		const { articles } = await quietly(() => crawlFeed(source))
+		const index = await loadArticleIndex(indexPath)
+		const newArticles = updateArticleIndex(index, articles, 'local', seenAt)
+		await saveArticleIndex(index, indexPath)
+		return { articles, newArticles }
+	}
+
+	// first run: everything is new
+	const first = await run('2026-10-19T08:00:00.000Z')
+	assert.deepStrictEqual(titles(first.newArticles), titles(first.articles))
+	assert.strictEqual(first.newArticles.length, 2)
+	assert.ok(first.articles.every(article => article.firstSeenAt === '2026-10-19T08:00:00.000Z'))
+	console.log('✅ first run: every article is new')
+
+	// second run: one article left the feed, one appeared; only that one is new
+	items = [
+		{ guid: 'b', pubDate: hoursAgo(2) },
+		{ guid: 'c', pubDate: hoursAgo(1) }
+	]
+	const second = await run('2026-10-19T09:00:00.000Z')
+	assert.deepStrictEqual(titles(second.newArticles), ['Story c'])
+	const b = second.articles.find(article => article.title === 'Story b')
+	assert.strictEqual(b.id, first.articles.find(article => article.title === 'Story b').id)
+	assert.strictEqual(b.firstSeenAt, '2026-10-19T08:00:00.000Z')
+
+	const index = await loadArticleIndex(indexPath)
+	assert.strictEqual(index.updatedAt, '2026-10-19T09:00:00.000Z')
+	assert.strictEqual(Object.keys(index.articles).length, 3)
+	const { firstSeen, lastSeen, sourceGroup } = index.articles[b.id]
+	assert.deepStrictEqual([firstSeen, lastSeen, sourceGroup], ['2026-10-19T08:00:00.000Z', '2026-10-19T09:00:00.000Z', 'local'])
+	console.log('✅ second run: only the article never seen before is in the delta')
+
+	// unchanged feed: empty delta
+	assert.deepStrictEqual((await run('2026-10-19T10:00:00.000Z')).newArticles, [])
+	console.log('✅ an unchanged feed gives an empty delta')
+
+	console.log('\n🎉 All latest-new tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,127 @@
+import assert from 'assert'
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { crawl, loadSources, renderPdfs, uploadPdfs } from '../index.js'
+import { serverUrl, startFeedServer, startServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'library-api-'))
+const configPath = join(workDir, 'config.json')
+writeFileSync(configPath, JSON.stringify({ crawl: { maxRetries: 0, timeout: 5000 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+
+// records every line per level
+function createLogger() {
+	const lines = { info: [], warn: [], error: [] }
+	return { lines, info: (...args) => lines.info.push(args.join(' ')), warn: (...args) => lines.warn.push(args.join(' ')), error: (...args) => lines.error.push(args.join(' ')) }
+}
+
+// Supabase client stand-in: one bucket, list() answers from the uploaded paths, buckets records every bucket touched
+function createStorageClient(existing = [], name = 'pdfs') {
+	const uploaded = [...existing]
+	const buckets = new Set()
+	const bucket = {
+		list: async directory => ({ data: uploaded.filter(file => file.startsWith(`${directory}/`)).map(file => ({ name: file.split('/').pop() })), error: null }),
+		upload: async remotePath => (remotePath.includes('broken') ? { data: null, error: { message: 'quota exceeded' } } : (uploaded.push(remotePath), { data: { path: remotePath }, error: null }))
+	}
+	return { uploaded, buckets, storage: { listBuckets: async () => ({ data: [{ name }], error: null }), from: bucketName => (buckets.add(bucketName), bucket) } }
+}
+
+try {
+	console.log('🧪 Testing library API...\n')
+
+	const server = await startFeedServer(['first', 'second'].map(guid => ({ guid, description: `About ${guid}` })))
+	const base = serverUrl(server, '')
+
+	// sources from a file
+	const sourcesPath = join(workDir, 'sources.json')
+	writeFileSync(sourcesPath, JSON.stringify({ local: { crawl: { itemLimit: 5 }, sources: [{ name: 'Local', url: `${base}/feed` }] } }))
+	const sources = await loadSources(sourcesPath)
+	assert.strictEqual(sources.length, 1)
+	assert.strictEqual(sources[0].sourceIdentifier, 'local')
+	assert.deepStrictEqual(sources[0].groupConfig, { crawl: { itemLimit: 5 } })
+	console.log('✅ loadSources reads any sources file')
+
+	// sources.json content and a failing source; the logger gets every line
+	const dataDir = join(workDir, 'data')
+	const logger = createLogger()
+	const sourcesJson = { local: [{ name: 'Local', url: `${base}/feed` }], broken: [{ name: 'Missing', url: `${base}/missing` }] }
+	const result = await crawl({ sources: sourcesJson, configPath, dataDir, logger })
+	assert.deepStrictEqual(result.articles.map(article => article.title).sort(), ['Story first', 'Story second'])
+	assert.strictEqual(result.newArticles.length, 2)
+	assert.deepStrictEqual(
+		result.failedSources.map(failure => [failure.group, failure.source]),
+		[['broken', 'Missing']]
+	)
+	assert.strictEqual(result.groups.local.articles.length, 2)
+	assert.ok(existsSync(join(dataDir, 'latest-raw.json')) && existsSync(join(dataDir, 'article-index.json')))
+	assert.strictEqual(sourcesJson.local[0].sourceIdentifier, undefined)
+	assert.ok(logger.lines.info.some(line => line.includes('Starting crawl')))
+	assert.ok(logger.lines.error.some(line => line.includes('broken/Missing')))
+	console.log('✅ crawl takes sources, config and data paths and returns articles and failures')
+
+	// concurrent crawls keep their own logger; false drops the output
+	const quiet = createLogger()
+	const dryRuns = await Promise.all([
+		crawl({ sources: [{ name: 'Local', url: `${base}/feed` }], configPath, dataDir: join(workDir, 'dry'), dryRun: true, logger: quiet }),
+		crawl({ sources: [{ name: 'Missing', url: `${base}/missing` }], configPath, dataDir: join(workDir, 'dry'), dryRun: true, logger: false })
+	])
+	assert.strictEqual(dryRuns[0].groups.default.articles.length, 2)
+	assert.strictEqual(dryRuns[1].failedSources.length, 1)
+	assert.ok(!quiet.lines.error.some(line => line.includes('Missing')))
+	assert.ok(!existsSync(join(workDir, 'dry')))
+	console.log('✅ concurrent calls keep their own logger, dry runs write nothing')
+
+	server.close()
+
+	// renderPdfs: nothing to render, invalid method
+	const empty = await renderPdfs([], { method: 'html', logger: false })
+	assert.deepStrictEqual({ ...empty, duration: undefined }, { method: 'html-to-pdf', total: 0, rendered: 0, skipped: 0, failed: 0, failures: [], duration: undefined })
+	await assert.rejects(renderPdfs([], { method: 'docx' }), /PDF method must be html-to-pdf or url-to-pdf/)
+	console.log('✅ renderPdfs resolves the method and summarizes the run')
+
+	// uploadPdfs with an injected client: skips files already in the bucket, reports failures
+	const pdfDir = join(workDir, 'pdfs')
+	for (const file of ['example.com/2026-10-18/old.pdf', 'example.com/2026-10-19/new.pdf', 'example.com/2026-10-19/broken.pdf']) {
+		mkdirSync(join(pdfDir, file, '..'), { recursive: true })
+		writeFileSync(join(pdfDir, file), '%PDF-1.4')
+	}
+	const hooks = []
+	const hookServer = await startServer((req, res) => {
+		let body = ''
+		req.on('data', chunk => (body += chunk))
+		req.on('end', () => {
+			hooks.push(JSON.parse(body))
+			res.end()
+		})
+	})
+	const hookConfigPath = join(workDir, 'hook-config.json')
+	writeFileSync(hookConfigPath, JSON.stringify({ webhooks: { retries: 0, endpoints: [{ name: 'local', url: serverUrl(hookServer, '/hook'), format: 'json', events: ['upload-failed'] }] } }))
+	const client = createStorageClient(['example.com/2026-10-18/old.pdf'])
+	const upload = await uploadPdfs({ pdfDir, client, configPath: hookConfigPath, logger: false })
+	hookServer.close()
+	assert.deepStrictEqual(
+		{ total: upload.total, uploaded: upload.uploaded, skipped: upload.skipped, failed: upload.failed },
+		{ total: 3, uploaded: 1, skipped: 1, failed: 1 }
+	)
+	assert.ok(client.uploaded.includes('example.com/2026-10-19/new.pdf'))
+	assert.strictEqual(hooks.length, 1)
+	assert.strictEqual(hooks[0].event, 'upload-failed')
+	const since = await uploadPdfs({ pdfDir, since: new Date('2026-10-19T00:00:00Z'), dryRun: true, logger: false })
+	assert.deepStrictEqual(since.files.sort(), ['example.com/2026-10-19/broken.pdf', 'example.com/2026-10-19/new.pdf'])
+	console.log('✅ uploadPdfs takes a client and reports uploaded, skipped and failed files')
+
+	// concurrent uploads keep their own client and bucket
+	const clients = [createStorageClient([], 'first'), createStorageClient([], 'second')]
+	await Promise.all(clients.map((storage, index) => uploadPdfs({ pdfDir, client: storage, bucket: index ? 'second' : 'first', configPath, logger: false })))
+	assert.deepStrictEqual([...clients[0].buckets], ['first'])
+	assert.deepStrictEqual([...clients[1].buckets], ['second'])
+	assert.deepStrictEqual(clients.map(storage => storage.uploaded.length), [2, 2])
+	console.log('✅ concurrent uploads keep their own client and bucket')
+
+	console.log('\n🎉 All library API tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	rmSync(workDir, { recursive: true, force: true })
+}
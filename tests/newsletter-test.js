@@ -0,0 +1,144 @@
+import assert from 'assert'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { createServer } from 'net'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { buildNewsletter, sendNewsletter } from '../scripts/newsletter.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'newsletter-'))
+
+// minimal SMTP catcher: accepts every command and keeps the DATA of each message
+function startSmtpCatcher() {
+	const server = createServer(socket => {
+		let buffer = ''
+		let inData = false
+		let data = ''
+		socket.write('220 localhost catcher\r\n')
+		socket.on('data', chunk => {
+			buffer += chunk.toString()
+			let index
+			while ((index = buffer.indexOf('\r\n')) !== -1) {
+				const line = buffer.slice(0, index)
+				buffer = buffer.slice(index + 2)
+				if (inData) {
+					if (line === '.') {
+						inData = false
+						server.messages.push(data)
+						data = ''
+						socket.write('250 OK queued\r\n')
+					} else {
+						data += `${line}\r\n`
+					}
+				} else if (/^(EHLO|HELO)/i.test(line)) {
+					socket.write('250 localhost\r\n')
+				} else if (/^DATA/i.test(line)) {
+					inData = true
+					socket.write('354 End data with <CR><LF>.<CR><LF>\r\n')
+				} else if (/^QUIT/i.test(line)) {
+					socket.end('221 Bye\r\n')
+				} else {
+					if (/^RCPT TO/i.test(line)) server.recipients.push(line)
+					socket.write('250 OK\r\n')
+				}
+			}
+		})
+	})
+	server.messages = []
+	server.recipients = []
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+const articles = [
+	{
+		id: 'a1',
+		title: 'Shipping costs are rising',
+		url: 'https://example.com/shipping?a=1&b=2',
+		author: 'Jane Doe',
+		metaDescription: 'Freight rates doubled <again>.',
+		pubDate: '2026-10-19T08:00:00.000Z',
+		source: 'example.com/business',
+		source_category: 'business'
+	},
+	{
+		id: 'a2',
+		title: 'Climate talks open',
+		url: 'https://example.com/climate',
+		author: '',
+		metaDescription: 'Delegates meet in Bonn.',
+		pubDate: '2026-10-19T07:00:00.000Z',
+		source: 'example.com/environment',
+		source_category: 'environment'
+	},
+	{
+		id: 'a3',
+		title: 'Untagged story',
+		url: 'https://example.com/untagged',
+		pubDate: '2026-10-19T06:00:00.000Z',
+		source: 'example.com'
+	}
+]
+
+const newsletter = {
+	enabled: true,
+	title: 'Daily News',
+	from: 'digest@example.com',
+	to: ['list@example.com'],
+	smtp: { host: '127.0.0.1', port: 0, secure: false, userEnv: '', passEnv: '' }
+}
+
+try {
+	console.log('🧪 Testing newsletter digest...\n')
+
+	const now = new Date('2026-10-19T12:00:00Z')
+	const digest = buildNewsletter(articles, { title: 'Daily News', now })
+	assert.strictEqual(digest.subject, 'Daily News - 2026-10-19 (3 new articles)')
+	assert.strictEqual(digest.categories, 3)
+	assert.ok(digest.html.indexOf('business (1)') < digest.html.indexOf('environment (1)'))
+	assert.ok(digest.html.includes('uncategorized (1)'))
+	assert.ok(digest.html.includes('href="https://example.com/shipping?a=1&amp;b=2"'))
+	assert.ok(digest.html.includes('Freight rates doubled &lt;again&gt;.'))
+	assert.ok(!digest.html.includes('<style'))
+	console.log('✅ HTML grouped by source category, escaped, inline styles only')
+
+	assert.ok(digest.text.includes('== business (1) ==\n\nShipping costs are rising\nby Jane Doe\nFreight rates doubled <again>.\nhttps://example.com/shipping?a=1&b=2\n'))
+	assert.ok(digest.text.includes('Climate talks open\nDelegates meet in Bonn.\n'))
+	console.log('✅ plain-text part has title, author, description and link')
+
+	// dry run writes a multipart .eml
+	const emlPath = join(workDir, 'digest.eml')
+	const dryRun = await sendNewsletter({ newsletter, articles, dryRun: true, emlPath, now })
+	assert.strictEqual(dryRun.emlPath, emlPath)
+	assert.strictEqual(dryRun.sent, false)
+	const eml = readFileSync(emlPath, 'utf8')
+	assert.ok(eml.includes('Subject: Daily News - 2026-10-19 (3 new articles)'))
+	assert.ok(eml.includes('To: list@example.com'))
+	assert.ok(eml.includes('multipart/alternative'))
+	assert.ok(eml.includes('text/plain') && eml.includes('text/html'))
+	console.log('✅ dry run writes an .eml file')
+
+	// empty crawl: nothing is written or sent
+	const empty = await sendNewsletter({ newsletter, articles: [], dryRun: true, emlPath: join(workDir, 'empty.eml'), now })
+	assert.strictEqual(empty.emlPath, null)
+	console.log('✅ no message without new articles')
+
+	// SMTP delivery to a local catcher
+	const catcher = await startSmtpCatcher()
+	const smtp = { ...newsletter.smtp, port: catcher.address().port }
+	const sent = await sendNewsletter({ newsletter: { ...newsletter, smtp }, articles, now })
+	catcher.close()
+	assert.strictEqual(sent.sent, true)
+	assert.strictEqual(catcher.messages.length, 1)
+	assert.deepStrictEqual(catcher.recipients, ['RCPT TO:<list@example.com>'])
+	assert.ok(catcher.messages[0].includes('Subject: Daily News - 2026-10-19 (3 new articles)'))
+	console.log('✅ message delivered over SMTP')
+
+	await assert.rejects(sendNewsletter({ newsletter: { ...newsletter, to: [] }, articles, now }), /newsletter.from and newsletter.to/)
+	console.log('✅ sending without recipients is rejected')
+
+	console.log('\n🎉 All newsletter tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,93 @@
+import assert from 'assert'
+import { readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { exportOpml, parseOpml } from '../scripts/opml.js'
+import { addSources } from '../scripts/sources-file.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+try {
+	console.log('🧪 Testing OPML import / export...\n')
+
+	const entries = parseOpml(readFileSync(join(__dirname, 'fixtures', 'feeds.opml'), 'utf8'))
+	assert.deepStrictEqual(
+		entries.map(entry => entry.group),
+		['the-conversation', 'the-conversation', 'world-news', 'imported']
+	)
+	assert.strictEqual(entries[0].source.name, 'The Conversation – Business')
+	assert.strictEqual(entries[1].source.name, 'Science & Tech')
+	assert.strictEqual(entries[1].source.priority, 2)
+	assert.strictEqual(entries[1].source.category, 'technology')
+	console.log('✅ folders mapped to groups, attributes kept')
+
+	// the business feed is already configured (tracking params differ): skipped
+	const sourcesJson = {
+		theconversation: [{ name: 'theconversation.com/us/business', url: 'https://theconversation.com/us/business/articles.atom', category: 'business', language: 'us' }],
+		'world-news': { crawl: { itemLimit: 5 }, sources: [] }
+	}
+	const { added, skipped } = addSources(sourcesJson, entries)
+	assert.strictEqual(added.length, 3)
+	assert.strictEqual(skipped.length, 1)
+	assert.strictEqual(skipped[0].existingGroup, 'theconversation')
+	assert.strictEqual(sourcesJson['the-conversation'].length, 1)
+	assert.strictEqual(sourcesJson['world-news'].sources[0].name, 'BBC World')
+	assert.deepStrictEqual(sourcesJson['world-news'].crawl, { itemLimit: 5 })
+	console.log('✅ merge skips existing feeds and keeps group settings')
+
+	// importing the same file twice adds nothing
+	assert.strictEqual(addSources(sourcesJson, entries).added.length, 0)
+	console.log('✅ repeated import is a no-op')
+
+	// export round-trips groups, category, language and priority
+	const reimported = parseOpml(exportOpml(sourcesJson))
+	const tech = reimported.find(entry => entry.source.url.includes('technology'))
+	assert.deepStrictEqual(tech, {
+		group: 'the-conversation',
+		source: { name: 'Science & Tech', url: 'https://theconversation.com/us/technology/articles.atom', category: 'technology', language: 'us', priority: 2 }
+	})
+	assert.strictEqual(reimported.length, 4)
+	console.log('✅ export round-trips through import')
+
+	// group settings travel on the folder outline and apply to groups the import creates
+	sourcesJson['world-news'].filters = { exclude: { title: ['live'] } }
+	const world = parseOpml(exportOpml(sourcesJson)).filter(entry => entry.group === 'world-news')
+	assert.deepStrictEqual(world[0].groupSettings, { crawl: { itemLimit: 5 }, filters: { exclude: { title: ['live'] } } })
+	const restored = {}
+	addSources(restored, reimported.filter(entry => entry.group !== 'world-news').concat(world))
+	assert.deepStrictEqual(restored['world-news'], { crawl: { itemLimit: 5 }, filters: { exclude: { title: ['live'] } }, sources: [sourcesJson['world-news'].sources[0]] })
+	assert.ok(Array.isArray(restored['the-conversation']))
+	const existing = { 'world-news': [] }
+	addSources(existing, world)
+	assert.deepStrictEqual(existing['world-news'], [sourcesJson['world-news'].sources[0]])
+	assert.throws(() => parseOpml('<opml version="2.0"><body><outline text="Folder" dailyNews:group="nope"><outline text="Site" xmlUrl="https://example.com/rss" /></outline></body></opml>'), /Folder "Folder": dailyNews:group must be a JSON object/)
+	console.log('✅ group crawl and filters settings round-trip')
+
+	// other source types keep their type and every field OPML has no attribute for
+	const scrape = {
+		name: 'example-daily.com/business',
+		url: 'https://example-daily.com/business',
+		type: 'scrape',
+		category: 'business',
+		scrape: { item: 'article.story-card', link: 'h2 a', title: 'h2 "quoted" & <b>', article: { content: '.article-body' } },
+		crawl: { fullText: true }
+	}
+	const jsonFeed = { name: 'example.org', url: 'https://example.org/feed.json', type: 'jsonfeed' }
+	const exported = exportOpml({ pages: [scrape, jsonFeed] })
+	assert.match(exported, /<outline type="scrape" [^>]*dailyNews:source="\{&quot;scrape&quot;/)
+	assert.match(exported, /<outline type="jsonfeed" text="example.org" title="example.org" xmlUrl="https:\/\/example.org\/feed.json" \/>/)
+	assert.deepStrictEqual(parseOpml(exported), [
+		{ group: 'pages', source: scrape },
+		{ group: 'pages', source: jsonFeed }
+	])
+	const foreign = '<opml version="2.0"><body><outline type="link" text="Site" xmlUrl="https://example.com/rss" dailyNews:source="[1]" /></body></opml>'
+	assert.throws(() => parseOpml(foreign), /Outline "Site": dailyNews:source must be a JSON object/)
+	assert.deepStrictEqual(parseOpml(foreign.replace(' dailyNews:source="[1]"', '')), [{ group: 'imported', source: { name: 'Site', url: 'https://example.com/rss' } }])
+	console.log('✅ scrape and JSON Feed sources round-trip with their settings')
+
+	console.log('\n🎉 All OPML tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
@@ -0,0 +1,126 @@
+import assert from 'assert'
+import { execFileSync, spawnSync } from 'child_process'
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { loadPipelineConfig, runPipeline } from '../scripts/pipeline.js'
+import { quietly, serverUrl, startFeedServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'pipeline-'))
+const dataDir = join(workDir, 'data')
+const feedsDir = join(workDir, 'out', 'feeds')
+const configPath = join(workDir, 'config.json')
+const sourcesPath = join(workDir, 'sources.json')
+let server
+
+function writeConfig(pipeline) {
+	writeFileSync(configPath, JSON.stringify({ pipeline, crawl: { maxRetries: 0 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+}
+
+try {
+	console.log('🧪 Testing pipeline orchestrator...\n')
+
+	writeConfig({ stages: ['crawl', 'render'] })
+	await assert.rejects(loadPipelineConfig(configPath), /unknown stage\(s\) render/)
+	writeConfig({ stages: ['crawl', 'crawl'] })
+	await assert.rejects(loadPipelineConfig(configPath), /must not repeat a stage/)
+	writeConfig({ push: 'yes' })
+	await assert.rejects(loadPipelineConfig(configPath), /pipeline.push must be a boolean/)
+	writeConfig({ resumeMaxAgeHours: 0 })
+	await assert.rejects(loadPipelineConfig(configPath), /pipeline.resumeMaxAgeHours must be a positive number/)
+	console.log('✅ invalid stage lists rejected')
+
+	server = await startFeedServer([{ guid: 'story', title: 'Pipeline story' }])
+	writeFileSync(sourcesPath, JSON.stringify({ local: [{ name: 'Local', url: serverUrl(server) }] }))
+	writeConfig({ stages: ['crawl', 'publish-feeds', 'newsletter', 'prune'] })
+	const options = { dataDir, feedsDir, configPath, sourcesPath, repoDir: workDir, pdfDir: join(workDir, 'pdfs') }
+
+	// publish-feeds cannot create its output below a file: the run stops there
+	writeFileSync(join(workDir, 'out'), 'not a directory')
+	const failed = await quietly(() => runPipeline(options))
+	assert.strictEqual(failed.status, 'failed')
+	assert.deepStrictEqual(
+		failed.stages.map(stage => [stage.name, stage.status]),
+		[
+			['crawl', 'completed'],
+			['publish-feeds', 'failed'],
+			['newsletter', 'pending'],
+			['prune', 'pending']
+		]
+	)
+	assert.deepStrictEqual(failed.stages[0].counts, { groups: 1, articles: 1, newArticles: 1, failedSources: 0 })
+	assert.ok(failed.stages[1].error)
+	assert.deepStrictEqual(JSON.parse(readFileSync(join(dataDir, 'pipeline-run.json'), 'utf8')).stages[1].status, 'failed')
+	console.log('✅ a failing stage stops the run and is checkpointed')
+
+	// the next run resumes at publish-feeds without crawling again
+	rmSync(join(workDir, 'out'))
+	const resumed = await quietly(() => runPipeline(options))
+	assert.strictEqual(resumed.status, 'completed')
+	assert.strictEqual(resumed.runId, failed.runId)
+	assert.strictEqual(resumed.resumes, 1)
+	assert.deepStrictEqual(
+		resumed.stages.map(stage => [stage.name, stage.status, stage.attempts]),
+		[
+			['crawl', 'completed', 1],
+			['publish-feeds', 'completed', 2],
+			['newsletter', 'skipped', 1],
+			['prune', 'completed', 1]
+		]
+	)
+	assert.strictEqual(resumed.stages[2].skipReason, 'newsletter.enabled is false')
+	assert.ok(resumed.stages[1].counts.files > 0 && existsSync(feedsDir))
+	assert.ok(resumed.stages.every(stage => typeof stage.durationMs === 'number'))
+	console.log('✅ the next run resumes at the failed stage')
+
+	// a completed run is not resumed; a failing source makes the crawl partial
+	writeFileSync(sourcesPath, JSON.stringify({ local: [{ name: 'Local', url: serverUrl(server) }], broken: [{ name: 'Dead', url: 'http://127.0.0.1:9/feed' }] }))
+	const partial = await quietly(() => runPipeline(options))
+	assert.notStrictEqual(partial.runId, failed.runId)
+	assert.strictEqual(partial.status, 'partial')
+	assert.strictEqual(partial.stages[0].status, 'partial')
+	assert.deepStrictEqual(
+		partial.stages[0].failures.map(failure => failure.item),
+		['broken/Dead']
+	)
+	console.log('✅ stage failures reported, run marked partial')
+
+	// old checkpoints start fresh, interrupted ones resume, live ones are left alone
+	const runPath = join(dataDir, 'pipeline-run.json')
+	const stages = partial.stages.map((stage, index) => (index === partial.stages.length - 1 ? { ...stage, status: 'failed' } : stage))
+	const checkpoint = fields => writeFileSync(runPath, JSON.stringify({ ...partial, status: 'failed', stages, ...fields }))
+	checkpoint({ startedAt: new Date(Date.now() - 25 * 3600000).toISOString() })
+	const stale = await quietly(() => runPipeline(options))
+	assert.notStrictEqual(stale.runId, partial.runId)
+	assert.strictEqual(stale.resumes, 0)
+	checkpoint({ status: 'running', pid: spawnSync(process.execPath, ['-e', '']).pid })
+	const interrupted = await quietly(() => runPipeline(options))
+	assert.strictEqual(interrupted.runId, partial.runId)
+	assert.strictEqual(interrupted.pid, process.pid)
+	checkpoint({ status: 'running', pid: process.ppid })
+	await assert.rejects(quietly(() => runPipeline(options)), /is still running/)
+	assert.strictEqual((await quietly(() => runPipeline({ ...options, fresh: true }))).resumes, 0)
+	console.log('✅ stale checkpoints start fresh, live runs are not resumed')
+
+	// commit stage in a scratch repository
+	execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: workDir })
+	execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', 'init'], { cwd: workDir })
+	writeConfig({ stages: ['prune'], commit: true })
+	process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = 'test'
+	process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = 'test@example.com'
+	const committed = await quietly(() => runPipeline({ ...options, fresh: true }))
+	assert.strictEqual(committed.status, 'completed')
+	assert.strictEqual(committed.stages[1].counts.committed, true)
+	const subject = execFileSync('git', ['log', '-1', '--format=%s'], { cwd: workDir, encoding: 'utf8' })
+	assert.match(subject, /^📰 Crawl sources & generate PDFs \(none\) - 0 articles, 0 new PDFs - /)
+	assert.ok(execFileSync('git', ['ls-files'], { cwd: workDir, encoding: 'utf8' }).includes('data/latest-raw.json'))
+	console.log('✅ commit stage commits data and feeds')
+
+	console.log('\n🎉 All pipeline tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,102 @@
+import assert from 'assert'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import { loadRetentionConfig, pruneArchive } from '../scripts/prune.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'prune-'))
+const dataDir = join(workDir, 'data')
+const pdfDir = join(workDir, 'pdfs')
+const configPath = join(workDir, 'config.json')
+const now = new Date('2026-10-19T12:00:00Z')
+
+const write = (file, content = '') => {
+	mkdirSync(dirname(file), { recursive: true })
+	writeFileSync(file, content)
+}
+
+try {
+	console.log('🧪 Testing archive pruning...\n')
+
+	writeFileSync(configPath, JSON.stringify({ retention: { pdfs: 0 } }))
+	await assert.rejects(loadRetentionConfig(configPath), /retention.pdfs must be a positive integer of days, got 0/)
+	writeFileSync(configPath, JSON.stringify({ retention: { logs: 5 } }))
+	await assert.rejects(pruneArchive({ dataDir, pdfDir, configPath, now }), /Unknown retention type "logs"/)
+	console.log('✅ retention settings validated')
+
+	// 10 days of snapshots and PDFs, 20 days of index entries
+	writeFileSync(configPath, JSON.stringify({ retention: { snapshots: 10, pdfs: 10, index: 20 } }))
+	write(join(dataDir, 'news', '2026-10-01-06-latest-raw.json'), '{"articles":[]}')
+	write(join(dataDir, 'news', '2026-10-09-11-latest-raw.json'), '{"articles":[]}')
+	write(join(dataDir, 'news', '2026-10-09-12-latest-raw.json'), '{"articles":[]}')
+	write(join(dataDir, 'news', 'notes.json'), '{}')
+	write(join(dataDir, 'latest-raw.json'), '{"articles":[]}')
+	write(join(pdfDir, 'example.com', '2026-10-01', 'old.pdf'), '%PDF-1.4 old')
+	write(join(pdfDir, 'example.com', '2026-10-01', 'old.html'), '<p>old</p>')
+	write(join(pdfDir, 'example.com', '2026-10-09', 'kept.pdf'), '%PDF-1.4 kept')
+	mkdirSync(join(pdfDir, 'example.com', '2026-10-12'))
+	mkdirSync(join(pdfDir, 'example.com', 'covers'))
+	write(join(pdfDir, 'example.com', 'covers', 'logo.png'), 'png')
+	write(join(pdfDir, 'gone.org', '2026-09-30', 'gone.pdf'), '%PDF-1.4 gone')
+	const index = {
+		updatedAt: now.toISOString(),
+		articles: {
+			stale: { title: 'Stale', firstSeen: '2026-09-01T00:00:00.000Z', lastSeen: '2026-09-28T00:00:00.000Z' },
+			recent: { title: 'Recent', firstSeen: '2026-09-01T00:00:00.000Z', lastSeen: '2026-10-18T00:00:00.000Z' }
+		}
+	}
+	write(join(dataDir, 'article-index.json'), JSON.stringify(index))
+
+	const expected = {
+		retention: { snapshots: 10, pdfs: 10, index: 20 },
+		snapshots: [join('news', '2026-10-01-06-latest-raw.json'), join('news', '2026-10-09-11-latest-raw.json')],
+		pdfDirs: [join('example.com', '2026-10-01'), join('gone.org', '2026-09-30')],
+		pdfFiles: 2,
+		emptyDirs: [join('example.com', '2026-10-12'), 'gone.org'],
+		indexEntries: 1,
+		freedBytes: 2 * '{"articles":[]}'.length + '%PDF-1.4 old'.length + '<p>old</p>'.length + '%PDF-1.4 gone'.length
+	}
+	// directory listing order depends on the file system
+	const pick = summary => Object.fromEntries(Object.keys(expected).map(key => [key, Array.isArray(summary[key]) ? [...summary[key]].sort() : summary[key]]))
+
+	// dry run: reports everything, deletes nothing
+	const dryRun = await pruneArchive({ dataDir, pdfDir, configPath, now, dryRun: true })
+	assert.deepStrictEqual(pick(dryRun), expected)
+	assert.strictEqual(dryRun.dryRun, true)
+	assert.ok(existsSync(join(dataDir, 'news', '2026-10-01-06-latest-raw.json')))
+	assert.ok(existsSync(join(pdfDir, 'example.com', '2026-10-01', 'old.pdf')))
+	assert.ok(existsSync(join(pdfDir, 'gone.org')))
+	assert.deepStrictEqual(Object.keys(JSON.parse(readFileSync(join(dataDir, 'article-index.json'), 'utf8')).articles), ['stale', 'recent'])
+	assert.ok(!existsSync(join(dataDir, 'prune-summary.json')))
+	console.log('✅ dry run reports expired files without deleting them')
+
+	// real run: expired files and emptied folders removed, everything else kept
+	const pruned = await pruneArchive({ dataDir, pdfDir, configPath, now })
+	assert.deepStrictEqual(pick(pruned), expected)
+	for (const file of ['news/2026-10-01-06-latest-raw.json', 'news/2026-10-09-11-latest-raw.json']) {
+		assert.ok(!existsSync(join(dataDir, file)), `${file} kept`)
+	}
+	for (const file of ['news/2026-10-09-12-latest-raw.json', 'news/notes.json', 'latest-raw.json']) {
+		assert.ok(existsSync(join(dataDir, file)), `${file} deleted`)
+	}
+	for (const dir of ['example.com/2026-10-01', 'example.com/2026-10-12', 'gone.org']) {
+		assert.ok(!existsSync(join(pdfDir, dir)), `${dir} kept`)
+	}
+	assert.ok(existsSync(join(pdfDir, 'example.com', '2026-10-09', 'kept.pdf')))
+	assert.ok(existsSync(join(pdfDir, 'example.com', 'covers', 'logo.png')))
+	assert.deepStrictEqual(Object.keys(JSON.parse(readFileSync(join(dataDir, 'article-index.json'), 'utf8')).articles), ['recent'])
+	assert.deepStrictEqual(pick(JSON.parse(readFileSync(join(dataDir, 'prune-summary.json'), 'utf8'))), expected)
+	console.log('✅ expired snapshots, PDF folders, empty folders and index entries removed')
+
+	// nothing left to prune
+	const again = await pruneArchive({ dataDir, pdfDir, configPath, now })
+	assert.deepStrictEqual([again.snapshots.length, again.pdfDirs.length, again.emptyDirs.length, again.indexEntries, again.freedBytes], [0, 0, 0, 0, 0])
+	console.log('✅ a second run removes nothing')
+
+	console.log('\n🎉 All prune tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,109 @@
+import assert from 'assert'
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { parseFeed } from '../scripts/feed-formats.js'
+import { publishFeeds } from '../scripts/publish-feeds.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'publish-feeds-'))
+
+const articles = [
+	{
+		id: '0123456789abcdef0123456789abcdef',
+		title: 'Rates & prices <rise>',
+		url: 'https://theconversation.com/rates-rise-123',
+		canonicalUrl: 'https://theconversation.com/rates-rise-123',
+		author: 'Ann Smith',
+		content: '<p>Full text with a ]]> marker.\u0008</p>',
+		metaDescription: 'Rates rise again.',
+		pubDate: '2026-10-19T08:00:00.000Z',
+		source: 'theconversation.com/us/business',
+		source_domain: 'theconversation.com',
+		source_group: 'theconversation',
+		source_category: 'business',
+		source_feed_url: 'https://theconversation.com/us/business/articles.atom',
+		categories: ['economy', 'business']
+	},
+	{
+		id: 'fedcba9876543210fedcba9876543210',
+		title: 'Climate talks open',
+		url: 'https://example.org/climate',
+		author: '',
+		content: '',
+		metaDescription: 'Delegates meet.',
+		pubDate: '2026-10-18T08:00:00.000Z',
+		source: 'example.org',
+		source_domain: 'example.org',
+		source_group: 'world',
+		source_category: 'environment'
+	}
+]
+
+try {
+	console.log('🧪 Testing aggregated feed publishing...\n')
+
+	// a rendered PDF for the first article
+	mkdirSync(join(workDir, 'pdfs', 'theconversation.com', '2026-10-19'), { recursive: true })
+	writeFileSync(join(workDir, 'pdfs', 'theconversation.com', '2026-10-19', 'rates-rise-123.pdf'), 'pdf-bytes')
+
+	const outputDir = join(workDir, 'feeds')
+	const summary = await publishFeeds({
+		articles,
+		pdfDir: join(workDir, 'pdfs'),
+		outputDir,
+		now: new Date('2026-10-19T12:00:00Z'),
+		publish: { title: 'Daily News', siteUrl: 'https://example.com/', feedBaseUrl: 'https://example.com/feeds', pdfBaseUrl: 'https://cdn.example.com/pdfs', days: 3, maxItems: 50 }
+	})
+
+	// all + 2 groups + 3 categories, three formats each
+	assert.strictEqual(summary.files.length, 18)
+	assert.ok(summary.files.includes('group/theconversation.rss.xml'))
+	assert.ok(summary.files.includes('category/environment.json'))
+	assert.strictEqual(summary.pdfs, 1)
+	console.log('✅ combined, group and category feeds written')
+
+	const read = file => readFileSync(join(outputDir, file), 'utf8')
+	const rss = await parseFeed(read('all.rss.xml'), 'rss')
+	const atom = await parseFeed(read('all.atom.xml'), 'atom')
+	const json = await parseFeed(read('all.json'), 'jsonfeed')
+
+	// every format parses back with the same ids, titles and content
+	for (const feed of [rss, atom, json]) {
+		assert.strictEqual(feed.items.length, 2)
+		assert.strictEqual(feed.items[0].title, 'Rates & prices <rise>')
+		assert.strictEqual(feed.items[0].guid || feed.items[0].id, 'urn:daily-news-rss:article:0123456789abcdef0123456789abcdef')
+		// rss-parser keeps RSS full text under content:encoded
+		assert.ok((feed.items[0]['content:encoded'] || feed.items[0].content).includes('Full text with a ]]> marker.'))
+	}
+	assert.deepStrictEqual(rss.items[0].categories, ['economy', 'business'])
+	assert.strictEqual(rss.items[0].creator, 'Ann Smith')
+	assert.strictEqual(json.items[0].author, 'Ann Smith')
+	console.log('✅ RSS, Atom and JSON Feed parse back with stable ids, authors and content')
+
+	// <source> points at the feed the article came from, never at our own feed
+	const sources = [...read('all.rss.xml').matchAll(/<source url="([^"]*)">([^<]*)<\/source>/g)].map(match => match.slice(1))
+	assert.deepStrictEqual(sources, [['https://theconversation.com/us/business/articles.atom', 'theconversation.com/us/business']])
+	assert.ok(!/[\u0000-\u0008]/.test(read('all.rss.xml')))
+	console.log('✅ <source> names the originating feed, control characters dropped from CDATA')
+
+	assert.strictEqual(rss.items[0].enclosure.url, 'https://cdn.example.com/pdfs/theconversation.com/2026-10-19/rates-rise-123.pdf')
+	assert.ok(read('all.atom.xml').includes('rel="enclosure" type="application/pdf" length="9"'))
+	assert.ok(read('all.json').includes('"mime_type": "application/pdf"'))
+	assert.ok(!rss.items[1].enclosure)
+	console.log('✅ PDF attached when rendered')
+
+	const economy = await parseFeed(read('category/economy.json'), 'jsonfeed')
+	assert.deepStrictEqual(
+		economy.items.map(item => item.title),
+		['Rates & prices <rise>']
+	)
+	assert.ok(read('category/environment.rss.xml').includes('Climate talks open'))
+	console.log('✅ category feeds use article categories, then the source category')
+
+	console.log('\n🎉 All feed publishing tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	rmSync(workDir, { recursive: true, force: true })
+}
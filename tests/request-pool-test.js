@@ -0,0 +1,121 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { crawlAllSources } from '../scripts/crawl.js'
+import { DEFAULT_CONCURRENCY, backoffDelay, createRequestPool, loadConcurrencyConfig, parseRetryAfter } from '../scripts/request-pool.js'
+import { quietly, rssFeed, serverUrl, startServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'request-pool-'))
+const configPath = join(workDir, 'config.json')
+let server
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// run jobs through the pool, recording start times and the most jobs in flight per host and overall
+async function runJobs(pool, urls, duration = 30) {
+	const starts = {}
+	const active = {}
+	const peak = {}
+	await Promise.all(
+		urls.map(url =>
+			pool.run(url, async () => {
+				const host = new URL(url).hostname
+				;(starts[host] ||= []).push(Date.now())
+				for (const key of [host, 'all']) {
+					active[key] = (active[key] || 0) + 1
+					peak[key] = Math.max(peak[key] || 0, active[key])
+				}
+				await sleep(duration)
+				active[host]--
+				active.all--
+			})
+		)
+	)
+	return { starts, peak }
+}
+
+try {
+	console.log('🧪 Testing request pool...\n')
+
+	const rejects = (concurrency, pattern) => {
+		writeFileSync(configPath, JSON.stringify({ concurrency }))
+		return assert.rejects(loadConcurrencyConfig(configPath), pattern)
+	}
+	await rejects({ global: 0 }, /concurrency.global must be a positive integer/)
+	await rejects({ hosts: [] }, /concurrency.hosts must be an object keyed by hostname/)
+	await rejects({ hosts: { 'example.com': 2 } }, /concurrency.hosts\["example.com"\] must be an object/)
+	await rejects({ hosts: { 'example.com': { maxParallel: 0 } } }, /concurrency.hosts\["example.com"\].maxParallel must be a positive integer, got 0/)
+	await rejects({ hosts: { 'example.com': { maxParallel: 1.5 } } }, /maxParallel must be a positive integer/)
+	await rejects({ hosts: { 'example.com': { minIntervalMs: -1 } } }, /concurrency.hosts\["example.com"\].minIntervalMs must be a number >= 0/)
+	await rejects({ hosts: { 'example.com': { maxParalel: 1 } } }, /unknown key\(s\) maxParalel; allowed: maxParallel, minIntervalMs/)
+	writeFileSync(configPath, JSON.stringify({ concurrency: { hosts: { 'example.com': { maxParallel: 1 } } } }))
+	assert.deepStrictEqual((await loadConcurrencyConfig(configPath)).hosts, { 'example.com': { maxParallel: 1 } })
+	console.log('✅ per-host overrides validated like the global settings')
+
+	// per-host overrides win over the defaults; the global limit caps everything
+	const settings = { ...DEFAULT_CONCURRENCY, global: 3, maxParallelPerHost: 2, minIntervalMs: 0, hosts: { 'one.test': { maxParallel: 1 }, 'spaced.test': { minIntervalMs: 60 } } }
+	const urls = host => Array.from({ length: 4 }, (_, i) => `https://${host}/${i}`)
+	const limited = await runJobs(createRequestPool(settings), [...urls('one.test'), ...urls('two.test')])
+	assert.deepStrictEqual(limited.peak, { 'one.test': 1, 'two.test': 2, all: 3 })
+	const spaced = await runJobs(createRequestPool(settings), urls('spaced.test'), 0)
+	const gaps = spaced.starts['spaced.test'].slice(1).map((start, i) => start - spaced.starts['spaced.test'][i])
+	assert.ok(gaps.every(gap => gap >= 55), `starts ${gaps.join(', ')}ms apart`)
+	const single = await runJobs(createRequestPool({ ...settings, global: 1 }), [...urls('two.test'), ...urls('three.test')])
+	assert.strictEqual(single.peak.all, 1)
+	console.log('✅ per-host parallelism and start intervals respected')
+
+	// Retry-After in seconds or as an HTTP date; the host stays idle meanwhile
+	assert.strictEqual(parseRetryAfter('2'), 2000)
+	assert.strictEqual(parseRetryAfter(null), null)
+	assert.strictEqual(parseRetryAfter('soon'), null)
+	const retryAt = parseRetryAfter(new Date(Date.now() + 30000).toUTCString())
+	assert.ok(retryAt > 28000 && retryAt <= 30000)
+	assert.strictEqual(parseRetryAfter(new Date(Date.now() - 30000).toUTCString()), 0)
+	const pool = createRequestPool(settings)
+	pool.pauseHost('https://two.test/feed', 80)
+	const pausedAt = Date.now()
+	const { starts } = await runJobs(pool, ['https://two.test/feed', 'https://three.test/feed'], 0)
+	assert.ok(starts['two.test'][0] - pausedAt >= 75)
+	assert.ok(starts['three.test'][0] - pausedAt < 75)
+	console.log('✅ Retry-After parsed and pauses only its host')
+
+	// exponential backoff with 50-100% jitter, capped
+	const backoff = { ...DEFAULT_CONCURRENCY, backoffBaseMs: 1000, backoffMaxMs: 5000 }
+	for (let i = 0; i < 20; i++) {
+		const first = backoffDelay(1, backoff)
+		const third = backoffDelay(3, backoff)
+		const tenth = backoffDelay(10, backoff)
+		assert.ok(first >= 500 && first <= 1000)
+		assert.ok(third >= 2000 && third <= 4000)
+		assert.ok(tenth >= 2500 && tenth <= 5000)
+	}
+	console.log('✅ backoff doubles per attempt with jitter, up to backoffMaxMs')
+
+	// a crawl waits out a 429 with Retry-After, then succeeds
+	const requests = []
+	server = await startServer((req, res) => {
+		requests.push(Date.now())
+		if (requests.length === 1) {
+			res.writeHead(429, { 'Retry-After': '1' })
+			return res.end()
+		}
+		res.setHeader('Content-Type', 'application/rss+xml')
+		res.end(rssFeed([{ guid: 'after-429' }]))
+	})
+	writeFileSync(configPath, JSON.stringify({ crawl: { maxRetries: 1 }, concurrency: { minIntervalMs: 0 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+	const sources = [{ name: 'Local', url: serverUrl(server), sourceIdentifier: 'local', groupConfig: {} }]
+	const result = await quietly(() => crawlAllSources({ dataDir: join(workDir, 'data'), configPath, sources, dryRun: true }))
+	assert.strictEqual(requests.length, 2)
+	assert.ok(requests[1] - requests[0] >= 950, `retried after ${requests[1] - requests[0]}ms`)
+	assert.deepStrictEqual(result.local.articles.map(article => article.title), ['Story after-429'])
+	console.log('✅ crawl retries after the Retry-After delay')
+
+	console.log('\n🎉 All request pool tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,71 @@
+import assert from 'assert'
+import { readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { parseArticlePage, parseListPage, validateScrapeConfig } from '../scripts/scrape-source.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const fixture = name => readFileSync(join(__dirname, 'fixtures', name), 'utf8')
+
+try {
+	console.log('🧪 Testing CSS-selector scraping against saved HTML fixtures...\n')
+
+	const source = {
+		name: 'example-daily.com/business',
+		url: 'https://example-daily.com/business',
+		type: 'scrape',
+		scrape: {
+			item: 'article.story-card',
+			link: 'h2.headline a',
+			title: 'h2.headline',
+			article: { content: '.article-body', author: '.byline .author', date: 'meta[property="article:published_time"]' }
+		}
+	}
+	assert.deepStrictEqual(validateScrapeConfig(source), [])
+
+	// list page: relative links resolved, items without a link and repeated links skipped
+	const { title, items } = parseListPage(fixture('scrape-list.html'), source.url, source.scrape)
+	assert.strictEqual(title, 'Business - Example Daily')
+	assert.deepStrictEqual(
+		items.map(item => [item.title, item.link]),
+		[
+			['Port strike ends after three weeks', 'https://example-daily.com/business/port-strike-ends?ref=list'],
+			['Fuel prices climb for a fourth week', 'https://example-daily.com/business/fuel-prices']
+		]
+	)
+	console.log('✅ list items matched')
+
+	// <time datetime> is used by default, a date selector can read plain text
+	assert.strictEqual(items[0].isoDate, '2026-10-18T07:45:00.000Z')
+	assert.strictEqual(items[1].isoDate, undefined)
+	const withDates = parseListPage(fixture('scrape-list.html'), source.url, { ...source.scrape, date: 'time, .date' })
+	assert.ok(withDates.items[1].isoDate.startsWith('2026-10-1'))
+	console.log('✅ dates read from datetime attributes and text')
+
+	// without link / title selectors the first link of the item is used
+	assert.strictEqual(parseListPage(fixture('scrape-list.html'), source.url, { item: 'article.story-card' }).items.length, 2)
+
+	// article page: body html without scripts, absolute urls, author and date
+	const article = parseArticlePage(fixture('scrape-article.html'), items[0].link, source.scrape.article)
+	assert.ok(article.content.includes('Importers expect the backlog'))
+	assert.ok(article.content.includes('href="https://example-daily.com/topics/shipping"'))
+	assert.ok(article.content.includes('src="https://example-daily.com/images/port.jpg"'))
+	assert.ok(!article.content.includes('trackRead'))
+	assert.ok(!article.content.includes('Fuel prices climb'))
+	assert.strictEqual(article.author, 'Maria Lopez')
+	assert.strictEqual(article.date, '2026-10-18T07:45:00.000Z')
+	console.log('✅ article body, author and date extracted')
+
+	// configuration errors are reported per source
+	assert.strictEqual(validateScrapeConfig({ name: 'x', type: 'scrape' }).length, 1)
+	const errors = validateScrapeConfig({ name: 'y', type: 'scrape', scrape: { item: '.card', browser: 'sometimes', selector: 'a' } })
+	assert.strictEqual(errors.length, 2)
+	console.log('✅ invalid scrape options reported')
+
+	console.log('\n🎉 All scrape tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
@@ -0,0 +1,116 @@
+import assert from 'assert'
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { parseUntil } from '../scripts/cli.js'
+import { crawlAllSources } from '../scripts/crawl.js'
+import { pruneArchive } from '../scripts/prune.js'
+import { buildSearchIndex, htmlToText, loadSearchIndex, makeSnippet, pruneSearchIndex, searchArticles, tokenize, updateSearchIndex } from '../scripts/search-index.js'
+import { article, quietly, runBin as run, serverUrl, startFeedServer } from './helpers.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'search-'))
+let server
+
+try {
+	console.log('🧪 Testing full-text search...\n')
+
+	assert.strictEqual(htmlToText('<figure><img src="x"><figcaption>Getty</figcaption></figure><p>Budget &amp; shutdown&#39;s&nbsp;cost</p><script>track()</script>'), "Budget & shutdown's cost")
+	assert.deepStrictEqual(tokenize('The Shutdowns of agencies, boxes and Café news'), ['shutdown', 'agency', 'box', 'cafe', 'new'])
+	assert.deepStrictEqual(tokenize('政府停摆'), ['政', '府', '停', '摆'])
+	console.log('✅ HTML is cleaned and words are normalized')
+
+	const now = new Date('2026-10-19T12:00:00Z')
+	assert.strictEqual(parseUntil('2026-10-12').toISOString(), '2026-10-13T00:00:00.000Z')
+	assert.strictEqual(parseUntil('2026-10-12T06:00:00Z').toISOString(), '2026-10-12T06:00:00.000Z')
+	assert.strictEqual(parseUntil('2d', now).toISOString(), '2026-10-17T12:00:00.000Z')
+	assert.throws(() => parseUntil('soon'), /--until must be an ISO date or a duration/)
+	console.log('✅ --until includes a bare day in full')
+
+	// incremental updates: only new or changed articles are re-indexed
+	const index = { version: 1, updatedAt: null, documents: {} }
+	const articles = [
+		article('title', { title: 'Government shutdown enters second week' }),
+		article('body', { content: '<p>Parks closed during the government shutdown, visitors said.</p>', source_group: 'travel', source_category: 'travel', source: 'Trips' }),
+		article('other', { title: 'Rocket launch delayed', content: '<p>Weather again.</p>', source_category: 'science', pubDate: '2026-10-08T08:00:00.000Z' }),
+		article('author', { title: 'Budget talks', author: 'Ann Shutdown' })
+	]
+	assert.deepStrictEqual(updateSearchIndex(index, articles), { added: 4, updated: 0, unchanged: 0 })
+	const changed = article('other', { title: 'Rocket launch delayed by the shutdown', content: '<p>Weather again.</p>', source_category: 'science', pubDate: '2026-10-08T08:00:00.000Z', categories: ['space'] })
+	assert.deepStrictEqual(updateSearchIndex(index, [...articles.slice(0, 2), changed]), { added: 0, updated: 1, unchanged: 2 })
+	updateSearchIndex(index, [{ ...articles[1], categories: ['parks'] }])
+	assert.deepStrictEqual(index.documents.body.categories, ['parks'])
+	console.log('✅ index updates are incremental')
+
+	// ranking, filters and snippets
+	const ids = results => results.map(result => result.id)
+	// title and author matches outrank a match in the text; matching every query word comes first
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown')).slice(-1), ['body'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'government shutdown')).slice(0, 2), ['title', 'body'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown', { group: 'travel' })), ['body'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown', { category: 'SPACE' })), ['other'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown', { source: 'trips' })), ['body'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown', { until: new Date('2026-10-10T00:00:00Z') })), ['other'])
+	assert.deepStrictEqual(ids(searchArticles(index, 'shutdown', { since: new Date('2026-10-10T00:00:00Z') })).sort(), ['author', 'body', 'title'])
+	assert.strictEqual(searchArticles(index, 'shutdown', { limit: 2 }).length, 2)
+	assert.deepStrictEqual(searchArticles(index, 'the of'), [])
+	const body = searchArticles(index, 'shutdown', { group: 'travel' })[0]
+	assert.strictEqual(body.snippet, 'Parks closed during the government **shutdown**, visitors said.')
+	assert.strictEqual(body.terms, undefined)
+	const long = `${'word '.repeat(100)}the shutdown ${'more '.repeat(100)}`.trim()
+	assert.match(makeSnippet(long, new Set(['shutdown'])), /^…word .* the \*\*shutdown\*\* more .*…$/)
+	console.log('✅ results ranked, filtered and shown with snippets')
+
+	assert.strictEqual(pruneSearchIndex(index, new Date('2026-10-16T00:00:00Z')), 4)
+	console.log('✅ old documents pruned')
+
+	// the archive builds an index; crawls and prune keep it up to date
+	server = await startFeedServer([{ guid: 'ferry', title: 'Ferry strike continues', link: 'http://127.0.0.1/ferry-strike', description: 'Crossings cancelled again.' }])
+	const dataDir = join(workDir, 'data')
+	const pdfDir = join(workDir, 'pdfs')
+	const configPath = join(workDir, 'config.json')
+	mkdirSync(join(dataDir, 'news'), { recursive: true })
+	writeFileSync(join(dataDir, 'news', '2026-10-15-09-latest-raw.json'), JSON.stringify({ articles: [articles[0]] }))
+	writeFileSync(join(dataDir, 'latest-raw.json'), JSON.stringify({ articles: [articles[1]] }))
+	assert.deepStrictEqual(await buildSearchIndex({ dataDir }), { documents: 2 })
+
+	writeFileSync(configPath, JSON.stringify({ crawl: { maxRetries: 0 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+	const sources = [{ name: 'Local', url: serverUrl(server), sourceIdentifier: 'local', groupConfig: {} }]
+	await quietly(() => crawlAllSources({ dataDir, configPath, sources }))
+	const crawled = await loadSearchIndex(join(dataDir, 'search-index.json'))
+	assert.strictEqual(Object.keys(crawled.documents).length, 3)
+	assert.deepStrictEqual(searchArticles(crawled, 'strikes').map(result => result.title), ['Ferry strike continues'])
+
+	const pruned = await pruneArchive({ dataDir, pdfDir, retention: { snapshots: 15, pdfs: 15, index: 30 }, now: new Date('2026-11-01T00:00:00Z'), dryRun: true })
+	assert.strictEqual(pruned.searchDocuments, 2)
+	console.log('✅ index built from the archive, updated by crawls, pruned with the snapshots')
+
+	// daily-news search: ranked results with the matching PDF
+	mkdirSync(join(pdfDir, 'example.com', '2026-10-15'), { recursive: true })
+	writeFileSync(join(pdfDir, 'example.com', '2026-10-15', 'title.pdf'), '%PDF-1.4')
+	const found = run('search', 'government', 'shutdown', '--json', '--data-dir', dataDir, '--pdf-dir', pdfDir)
+	assert.strictEqual(found.status, 0)
+	assert.deepStrictEqual(
+		found.json().results.map(result => [result.id, result.pdf]),
+		[
+			['title', 'example.com/2026-10-15/title.pdf'],
+			['body', null]
+		]
+	)
+	assert.deepStrictEqual(run('search', 'shutdown', '--group', 'travel', '--until', '2026-10-15', '--json', '--data-dir', dataDir).json().results.map(result => result.id), ['body'])
+	assert.match(run('search', 'shutdown', '--limit', '0', '--data-dir', dataDir).stderr, /--limit must be a positive integer/)
+	assert.match(run('search', '--data-dir', dataDir).stderr, /search needs a query/)
+	assert.match(run('prune', 'extra').stderr, /Unexpected argument "extra"/)
+
+	rmSync(join(dataDir, 'search-index.json'))
+	assert.strictEqual(run('search', 'ferry', '--json', '--data-dir', dataDir).json().total, 1)
+	assert.ok(existsSync(join(dataDir, 'search-index.json')))
+	console.log('✅ daily-news search shows results, snippets and PDF paths')
+
+	console.log('\n🎉 All search tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,88 @@
+import assert from 'assert'
+import { assessSource, buildHealthReport, pruneSourceHealth, recordSourceRun } from '../scripts/source-health.js'
+
+const day = 24 * 60 * 60 * 1000
+const config = { maxConsecutiveFailures: 3, staleDays: 7 }
+const start = new Date('2026-10-01T00:00:00Z')
+const at = days => new Date(start.getTime() + days * day)
+
+const live = { name: 'Live', url: 'https://example.com/live.xml', sourceIdentifier: 'news' }
+const broken = { name: 'Broken', url: 'https://example.com/broken.xml', sourceIdentifier: 'news' }
+const dormant = { name: 'Dormant', url: 'https://example.com/dormant.xml', sourceIdentifier: 'blogs' }
+const empty = { name: 'Empty', url: 'https://example.com/empty.xml', sourceIdentifier: 'blogs' }
+
+try {
+	console.log('🧪 Testing source health...\n')
+
+	const health = {}
+	for (let run = 0; run < 10; run++) {
+		recordSourceRun(health, live, { ok: true, status: 200, articles: run % 2 === 0 ? 2 : 1, newestItemAt: at(run).toISOString() }, at(run))
+		recordSourceRun(health, dormant, { ok: true, status: run === 0 ? 200 : 304, articles: 0, newestItemAt: '2026-09-20T00:00:00.000Z' }, at(run))
+		recordSourceRun(health, empty, { ok: true, status: 200, articles: 0, newestItemAt: null }, at(run))
+		if (run < 6) {
+			recordSourceRun(health, broken, { ok: true, status: 200, articles: 2, newestItemAt: at(run).toISOString() }, at(run))
+		} else {
+			recordSourceRun(health, broken, { ok: false, status: 503, error: 'Status code 503' }, at(run))
+		}
+	}
+
+	assert.deepStrictEqual(
+		{ ...health[live.url], firstRunAt: undefined },
+		{
+			name: 'Live',
+			group: 'news',
+			firstRunAt: undefined,
+			runs: 10,
+			successes: 10,
+			totalItems: 15,
+			averageItems: 1.5,
+			consecutiveFailures: 0,
+			lastSuccessAt: at(9).toISOString(),
+			lastFailureAt: null,
+			lastStatus: 200,
+			lastError: null,
+			lastNewItemAt: at(9).toISOString(),
+			lastRunAt: at(9).toISOString()
+		}
+	)
+	console.log('✅ successes, average items and newest item recorded')
+
+	assert.strictEqual(health[broken.url].consecutiveFailures, 4)
+	assert.strictEqual(health[broken.url].lastStatus, 503)
+	assert.strictEqual(health[broken.url].lastError, 'Status code 503')
+	assert.strictEqual(health[broken.url].lastSuccessAt, at(5).toISOString())
+	assert.strictEqual(health[broken.url].averageItems, 2)
+	recordSourceRun(health, broken, { ok: true, status: 200, articles: 2, newestItemAt: at(10).toISOString() }, at(10))
+	assert.strictEqual(health[broken.url].consecutiveFailures, 0)
+	assert.strictEqual(health[broken.url].lastError, null)
+	recordSourceRun(health, broken, { ok: false, status: null, error: 'fetch failed' }, at(10))
+	recordSourceRun(health, broken, { ok: false, status: null, error: 'fetch failed' }, at(10))
+	recordSourceRun(health, broken, { ok: false, status: null, error: 'fetch failed' }, at(10))
+	console.log('✅ failures counted in a row and reset by a success')
+
+	const now = at(10)
+	assert.deepStrictEqual(assessSource(health[live.url], config, now), { state: 'ok', reasons: [] })
+	assert.deepStrictEqual(assessSource(health[broken.url], config, now), { state: 'failing', reasons: ['failed 3 runs in a row (fetch failed)'] })
+	assert.deepStrictEqual(assessSource(health[dormant.url], config, now), { state: 'stale', reasons: ['no new items since 2026-09-20'] })
+	assert.deepStrictEqual(assessSource(health[empty.url], config, now), { state: 'stale', reasons: ['never published an item'] })
+	assert.deepStrictEqual(assessSource(health[empty.url], config, at(5)), { state: 'ok', reasons: [] })
+	assert.deepStrictEqual(assessSource(undefined, config, now), { state: 'unknown', reasons: ['never crawled'] })
+	console.log('✅ failing and stale sources flagged')
+
+	const added = { name: 'Added', url: 'https://example.com/added.xml', sourceIdentifier: 'news' }
+	const report = buildHealthReport([live, added, dormant, broken, empty], health, config, now)
+	assert.deepStrictEqual(
+		report.map(entry => `${entry.state}:${entry.source}`),
+		['failing:Broken', 'stale:Dormant', 'stale:Empty', 'unknown:Added', 'ok:Live']
+	)
+	console.log('✅ report lists flagged sources first')
+
+	assert.strictEqual(pruneSourceHealth(health, [live, broken]), 2)
+	assert.deepStrictEqual(Object.keys(health), [live.url, broken.url])
+	console.log('✅ records of removed sources pruned')
+
+	console.log('\n🎉 All source health tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
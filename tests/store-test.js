@@ -0,0 +1,108 @@
+import assert from 'assert'
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { crawlAllSources } from '../scripts/crawl.js'
+import { exportLatestRaw, importJsonArchive, loadStoreConfig, openStore, recordToStore } from '../scripts/store.js'
+import { article, quietly, serverUrl, startFeedServer } from './helpers.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const workDir = mkdtempSync(join(tmpdir(), 'store-'))
+const configPath = join(workDir, 'config.json')
+let server
+let store
+
+try {
+	console.log('🧪 Testing SQLite store...\n')
+
+	writeFileSync(configPath, JSON.stringify({ store: { enabled: 'yes' } }))
+	await assert.rejects(loadStoreConfig(configPath), /store.enabled must be a boolean/)
+	writeFileSync(configPath, JSON.stringify({ store: { path: '' } }))
+	await assert.rejects(loadStoreConfig(configPath), /store.path must be a non-empty string/)
+	writeFileSync(configPath, JSON.stringify({}))
+	assert.strictEqual(await recordToStore(() => 'written', configPath), null)
+	assert.strictEqual((await loadStoreConfig(configPath)).path, join(__dirname, '..', 'data', 'daily-news.db'))
+	assert.strictEqual((await loadStoreConfig(configPath, join(workDir, 'archive'))).path, join(workDir, 'data', 'daily-news.db'))
+	writeFileSync(configPath, JSON.stringify({ store: { path: join(workDir, 'absolute.db') } }))
+	assert.strictEqual((await loadStoreConfig(configPath, join(workDir, 'archive'))).path, join(workDir, 'absolute.db'))
+	console.log('✅ config validated, relative paths follow the data directory, disabled store is left alone')
+
+	// upserts are keyed by article ID
+	store = await openStore(join(workDir, 'news.db'))
+	assert.deepStrictEqual(store.upsertArticles([article('a'), article('b')]), { inserted: 2, updated: 0 })
+	assert.deepStrictEqual(store.upsertArticles([article('a', { title: 'Story a (updated)', crawledAt: '2026-10-18T10:00:00.000Z' })]), { inserted: 0, updated: 1 })
+	store.upsertArticles([article('a', { title: 'Story a (stale)', crawledAt: '2026-10-17T09:00:00.000Z' })])
+	assert.strictEqual(store.stats().articles, 2)
+	assert.strictEqual(store.queryArticles().find(item => item.id === 'a').title, 'Story a (updated)')
+	console.log('✅ upserts are idempotent and an older copy never wins')
+
+	// a crawl run exports as latest-raw.json, in order and unchanged
+	const latest = {
+		crawledAt: '2026-10-19T09:00:00.000Z',
+		totalSourceGroups: 2,
+		totalSources: 3,
+		totalArticles: 3,
+		articles: [
+			article('c', { pubDate: '2026-10-19T08:00:00.000Z', crawledAt: '2026-10-19T09:00:00.000Z', source_group: 'science', metaDescription: 'About c' }),
+			article('a', { crawledAt: '2026-10-19T09:00:00.000Z' }),
+			article('d', { pubDate: '2026-10-14T08:00:00.000Z', crawledAt: '2026-10-19T09:00:00.000Z', source: 'Other' })
+		]
+	}
+	const run = store.recordCrawl({ ...latest, newArticles: 2, sources: [{ url: 'https://example.com/feed', name: 'Example', sourceIdentifier: 'news' }] })
+	assert.deepStrictEqual({ inserted: run.inserted, updated: run.updated }, { inserted: 2, updated: 1 })
+	const exportPath = join(workDir, 'export', 'latest-raw.json')
+	await exportLatestRaw(store, exportPath)
+	assert.deepStrictEqual(JSON.parse(readFileSync(exportPath, 'utf8')), latest)
+	console.log('✅ exporter writes latest-raw.json of the last run')
+
+	// queries across every crawl
+	assert.deepStrictEqual(store.queryArticles().map(item => item.id), ['c', 'b', 'a', 'd'])
+	assert.deepStrictEqual(store.queryArticles({ since: new Date('2026-10-15T00:00:00Z'), group: 'news' }).map(item => item.id).sort(), ['a', 'b'])
+	assert.deepStrictEqual(store.queryArticles({ source: 'Other' }).map(item => item.id), ['d'])
+	assert.deepStrictEqual(store.queryArticles({ limit: 1 }).map(item => item.id), ['c'])
+	console.log('✅ articles queried by date, group and source')
+
+	store.recordPdfRenders('html-to-pdf', [
+		{ articleId: 'c', url: 'https://example.com/c', status: 'rendered', path: 'example.com/2026-10-19/c.pdf' },
+		{ articleId: 'd', url: 'https://example.com/d', status: 'failed', error: 'Timeout' }
+	])
+	store.recordUploads('pdfs', [{ path: 'example.com/2026-10-19/c.pdf', status: 'uploaded' }])
+	assert.deepStrictEqual(store.stats(), { sources: 1, crawlRuns: 1, articles: 4, pdfRenders: 2, uploads: 1 })
+	assert.strictEqual(store.db.prepare("SELECT error FROM pdf_renders WHERE article_id = 'd'").pluck().get(), 'Timeout')
+	store.close()
+	console.log('✅ PDF renders and uploads recorded')
+
+	// the JSON archive imports into a fresh store
+	const dataDir = join(workDir, 'data')
+	mkdirSync(join(dataDir, 'news'), { recursive: true })
+	writeFileSync(join(dataDir, 'news', '2026-10-18-09-latest-raw.json'), JSON.stringify({ articles: [article('a'), article('b')] }))
+	writeFileSync(join(dataDir, 'latest-raw.json'), JSON.stringify(latest))
+	store = await openStore(join(workDir, 'imported.db'))
+	const imported = await importJsonArchive(store, dataDir)
+	assert.deepStrictEqual(imported, { snapshots: 1, articles: 5, inserted: 4, runId: 1 })
+	assert.deepStrictEqual(store.latestRaw(), latest)
+	store.close()
+	console.log('✅ snapshots and latest-raw.json import into the store')
+
+	// an enabled store gets every crawl, next to the crawl's data directory; its export matches the crawler's latest-raw.json
+	server = await startFeedServer([{ guid: 'first' }, { guid: 'second' }])
+	const crawlDir = join(workDir, 'crawl')
+	writeFileSync(configPath, JSON.stringify({ store: { enabled: true, path: 'crawl.db' }, crawl: { maxRetries: 0 }, categorize: { enabled: false }, summarize: { enabled: false }, webhooks: { endpoints: [] } }))
+	const sources = [{ name: 'Local', url: serverUrl(server), sourceIdentifier: 'local', groupConfig: {} }]
+	await quietly(() => crawlAllSources({ dataDir: crawlDir, configPath, sources: structuredClone(sources) }))
+	await quietly(() => crawlAllSources({ dataDir: crawlDir, configPath, sources: structuredClone(sources) }))
+	store = await openStore(join(workDir, 'crawl.db'))
+	assert.deepStrictEqual(store.stats(), { sources: 1, crawlRuns: 2, articles: 2, pdfRenders: 0, uploads: 0 })
+	assert.deepStrictEqual(store.latestRaw(), JSON.parse(readFileSync(join(crawlDir, 'latest-raw.json'), 'utf8')))
+	console.log('✅ crawls are recorded and export back to the same latest-raw.json')
+
+	console.log('\n🎉 All SQLite store tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	store?.db.open && store.close()
+	server?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}
@@ -0,0 +1,113 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { createServer } from 'http'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { crawlAllSources } from '../scripts/crawl.js'
+import { DEFAULT_SUMMARIZE_CONFIG, contentHash, loadSummarizeConfig, summarizeArticles } from '../scripts/summarize.js'
+import { quietly, serverUrl, startFeedServer } from './helpers.js'
+
+// minimal Ollama-compatible endpoint that always answers with the given reply, keeping the last system prompt
+function startModelServer(reply) {
+	const server = createServer(async (req, res) => {
+		server.requests++
+		let body = ''
+		for await (const chunk of req) body += chunk
+		server.systemPrompt = JSON.parse(body).messages[0].content
+		res.setHeader('Content-Type', 'application/json')
+		res.end(JSON.stringify({ message: { role: 'assistant', content: reply } }))
+	})
+	server.requests = 0
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+try {
+	console.log('🧪 Testing article summaries...\n')
+
+	const article = {
+		id: 'a1',
+		title: 'Shipping costs are rising again',
+		content: '<p>Freight rates on the main Asia-Europe routes have doubled since spring.</p><p>Retailers warn prices will follow.</p>'
+	}
+
+	// the hash follows the text, not the markup
+	assert.strictEqual(contentHash(article), contentHash({ ...article, content: article.content.replace(/<\/?p>/g, ' ') }))
+	assert.notStrictEqual(contentHash(article), contentHash({ ...article, content: '<p>Freight rates have tripled.</p>' }))
+	console.log('✅ content hash ignores markup and follows text changes')
+
+	const server = await startModelServer('{"abstract": "Freight rates have doubled and retailers expect higher prices.", "keyPoints": ["- Rates doubled since spring", "Retailers warn of price rises", "", "Third", "Fourth"]}')
+	const llm = { provider: 'ollama', baseUrl: `http://127.0.0.1:${server.address().port}`, model: 'test', timeout: 2000, temperature: 0 }
+	const cache = {}
+
+	const articles = [{ ...article }]
+	const first = await summarizeArticles(articles, { summarize: DEFAULT_SUMMARIZE_CONFIG, llm, cache })
+	assert.strictEqual(first.llm, 1)
+	assert.strictEqual(articles[0].summary, 'Freight rates have doubled and retailers expect higher prices.')
+	assert.deepStrictEqual(articles[0].keyPoints, ['Rates doubled since spring', 'Retailers warn of price rises', 'Third'])
+	assert.strictEqual(cache.a1.contentHash, contentHash(article))
+	console.log('✅ abstract and key points stored on the article')
+
+	// same content: cached, no model call
+	const second = await summarizeArticles([{ ...article }], { summarize: DEFAULT_SUMMARIZE_CONFIG, llm, cache })
+	assert.strictEqual(second.cached, 1)
+	assert.strictEqual(server.requests, 1)
+	console.log('✅ cached summary reused while the content is unchanged')
+
+	// changed content: summarized again
+	const third = await summarizeArticles([{ ...article, content: '<p>Freight rates have tripled.</p>' }], { summarize: DEFAULT_SUMMARIZE_CONFIG, llm, cache })
+	assert.strictEqual(third.llm, 1)
+	assert.strictEqual(server.requests, 2)
+	console.log('✅ changed content is summarized again')
+
+	// the style picks the instructions and is part of the cache key
+	const workDir = mkdtempSync(join(tmpdir(), 'summarize-'))
+	const configPath = join(workDir, 'config.json')
+	writeFileSync(configPath, JSON.stringify({ summarize: { style: 'haiku' } }))
+	await assert.rejects(loadSummarizeConfig(configPath), /summarize.style must be one of abstract, tldr, bullets, got "haiku"/)
+	writeFileSync(configPath, JSON.stringify({ summarize: { style: 'tldr' } }))
+	const tldr = await loadSummarizeConfig(configPath)
+	rmSync(workDir, { recursive: true, force: true })
+	assert.match(server.systemPrompt, /2-3 sentence abstract/)
+	const changedArticle = { ...article, content: '<p>Freight rates have tripled.</p>' }
+	assert.strictEqual((await summarizeArticles([{ ...changedArticle }], { summarize: tldr, llm, cache })).llm, 1)
+	assert.match(server.systemPrompt, /one-sentence TL;DR/)
+	assert.strictEqual(cache.a1.style, 'tldr')
+	assert.strictEqual((await summarizeArticles([{ ...changedArticle }], { summarize: tldr, llm, cache })).cached, 1)
+	assert.strictEqual(server.requests, 3)
+	console.log('✅ summary style validated, sent to the model and part of the cache key')
+
+	// cache only (dry runs): cached summaries are used, the model is never called
+	const cacheOnly = [{ ...changedArticle }, { ...article, id: 'a3' }]
+	assert.deepStrictEqual(await summarizeArticles(cacheOnly, { summarize: tldr, llm, cache, cacheOnly: true }), { cached: 1, llm: 0, skipped: 1, modelError: null })
+	assert.strictEqual(cacheOnly[1].summary, undefined)
+
+	// a dry-run crawl with categories and summaries enabled sends nothing to the model
+	const feedServer = await startFeedServer([{ guid: 'dry', description: 'Freight rates doubled.' }])
+	const crawlDir = mkdtempSync(join(tmpdir(), 'summarize-crawl-'))
+	writeFileSync(join(crawlDir, 'config.json'), JSON.stringify({ llm, crawl: { maxRetries: 0 }, categorize: { enabled: true }, summarize: { enabled: true }, webhooks: { endpoints: [] } }))
+	try {
+		const dryRun = await quietly(() => crawlAllSources({ dataDir: join(crawlDir, 'data'), configPath: join(crawlDir, 'config.json'), sources: [{ name: 'Local', url: serverUrl(feedServer), sourceIdentifier: 'local', groupConfig: {} }], dryRun: true }))
+		assert.strictEqual(dryRun.local.articles.length, 1)
+		assert.strictEqual(dryRun.local.articles[0].categorySource, 'keywords')
+	} finally {
+		feedServer.close()
+		rmSync(crawlDir, { recursive: true, force: true })
+	}
+	assert.strictEqual(server.requests, 3)
+	console.log('✅ cache-only runs and dry-run crawls never call the model')
+	server.close()
+
+	// model unreachable: articles are left without a summary
+	const offline = [{ ...article, id: 'a2' }]
+	const offlineRun = await summarizeArticles(offline, { summarize: DEFAULT_SUMMARIZE_CONFIG, llm: { ...llm, baseUrl: 'http://127.0.0.1:9' }, cache })
+	assert.strictEqual(offlineRun.skipped, 1)
+	assert.ok(offlineRun.modelError)
+	assert.strictEqual(offline[0].summary, undefined)
+	assert.ok(!('a2' in cache))
+	console.log('✅ unreachable model skips summaries')
+
+	console.log('\n🎉 All summary tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exit(1)
+}
@@ -0,0 +1,137 @@
+import assert from 'assert'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { createServer } from 'http'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createNotifier, loadWebhooksConfig, postWebhook, renderPayload } from '../scripts/webhooks.js'
+
+const workDir = mkdtempSync(join(tmpdir(), 'webhooks-'))
+let receiver
+
+// webhook receiver: records every request, /flaky fails the first attempt, /busy answers the first with 429 and
+// an HTTP-date Retry-After, /gone always answers 404
+function startReceiver() {
+	const server = createServer((req, res) => {
+		let body = ''
+		req.on('data', chunk => (body += chunk))
+		req.on('end', () => {
+			server.requests.push({ path: req.url, body: JSON.parse(body) })
+			const attempts = server.requests.filter(request => request.path === req.url).length
+			if (req.url === '/gone') res.statusCode = 404
+			if (req.url === '/flaky' && attempts === 1) res.statusCode = 503
+			if (req.url === '/busy' && attempts === 1) {
+				res.statusCode = 429
+				res.setHeader('Retry-After', new Date(Date.now() + 2000).toUTCString())
+			}
+			res.end('ok')
+		})
+	})
+	server.requests = []
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+// write a config.json with the given webhooks section and load it
+async function loadConfig(webhooks) {
+	const configPath = join(workDir, 'config.json')
+	writeFileSync(configPath, JSON.stringify({ webhooks }))
+	return loadWebhooksConfig(configPath)
+}
+
+const articles = [
+	{ id: 'a1', title: 'Climate talks open', url: 'https://example.com/climate', source: 'example.com', source_category: 'environment', content: '<p>Long body</p>' },
+	{ id: 'a2', title: 'Shipping costs rise', url: 'https://example.com/shipping', source: 'example.com', source_category: 'business', content: '<p>Long body</p>' }
+]
+
+try {
+	console.log('🧪 Testing webhook notifications...\n')
+
+	// payload formats
+	const now = new Date('2026-10-19T12:00:00Z')
+	const failure = { items: [{ group: 'news', source: 'Example feed', url: 'https://example.com/feed', error: 'HTTP 503' }] }
+	const endpoint = format => ({ format, templates: {}, filterRules: [] })
+	assert.deepStrictEqual(renderPayload(endpoint('slack'), 'source-failed', failure, { now }), { text: '❌ 1 sources failed every retry\n- news/Example feed: HTTP 503' })
+	assert.deepStrictEqual(renderPayload(endpoint('discord'), 'source-failed', failure, { now }), { content: '❌ 1 sources failed every retry\n- news/Example feed: HTTP 503' })
+	assert.deepStrictEqual(renderPayload(endpoint('feishu'), 'source-failed', failure, { now }), {
+		msg_type: 'text',
+		content: { text: '❌ 1 sources failed every retry\n- news/Example feed: HTTP 503' }
+	})
+	const json = renderPayload(endpoint('json'), 'new-articles', { items: articles }, { now })
+	assert.strictEqual(json.event, 'new-articles')
+	assert.strictEqual(json.time, '2026-10-19T12:00:00.000Z')
+	assert.strictEqual(json.data.items[0].title, 'Climate talks open')
+	assert.strictEqual(json.data.items[0].content, undefined)
+	console.log('✅ generic JSON, Slack, Discord and Feishu payloads')
+
+	// templates: custom text and JSON payload template, long lists are cut
+	const custom = {
+		format: 'json',
+		templates: { 'pdf-failed': '{{script}} broke {{count}} PDFs at {{time}}:\n{{items}}' },
+		payload: { title: 'Daily News alert', body: '{{text}}', meta: { event: '{{event}}' } },
+		filterRules: []
+	}
+	const pdfFailures = { script: 'html-to-pdf', items: [1, 2, 3].map(n => ({ title: `Article ${n}`, url: `https://example.com/${n}`, error: 'Timeout' })) }
+	assert.deepStrictEqual(renderPayload(custom, 'pdf-failed', pdfFailures, { maxItems: 2, now }), {
+		title: 'Daily News alert',
+		body: 'html-to-pdf broke 3 PDFs at 2026-10-19T12:00:00.000Z:\n- Article 1: Timeout\n- Article 2: Timeout\n... and 1 more',
+		meta: { event: 'pdf-failed' }
+	})
+	console.log('✅ text and payload templates filled')
+
+	// config validation
+	await assert.rejects(loadConfig({ endpoints: [{ format: 'slack' }] }), /needs "url" or "urlEnv"/)
+	await assert.rejects(loadConfig({ endpoints: [{ url: 'http://x', format: 'teams' }] }), /format must be one of/)
+	await assert.rejects(loadConfig({ endpoints: [{ url: 'http://x', events: ['crawl-done'] }] }), /unknown event\(s\) crawl-done/)
+	await assert.rejects(loadConfig({ endpoints: [{ url: 'http://x', filters: { include: [{ regex: '(' }] } }] }), /invalid regex/)
+	await assert.rejects(loadConfig({ maxPerRun: 0 }), /webhooks.maxPerRun must be a positive integer/)
+	console.log('✅ invalid settings rejected')
+
+	receiver = await startReceiver()
+	const base = `http://127.0.0.1:${receiver.address().port}`
+	process.env.WEBHOOKS_TEST_URL = `${base}/from-env`
+
+	const webhooks = await loadConfig({
+		maxPerRun: 5,
+		retryDelayMs: 10,
+		endpoints: [
+			{ name: 'climate', url: `${base}/climate`, format: 'slack', events: ['new-articles'], filters: { include: [{ categories: ['environment'] }] } },
+			{ name: 'flaky', url: `${base}/flaky`, events: ['new-articles', 'source-failed'] },
+			{ name: 'gone', url: `${base}/gone`, events: ['source-failed'] },
+			{ name: 'env', urlEnv: 'WEBHOOKS_TEST_URL', format: 'discord' },
+			{ name: 'unset', urlEnv: 'WEBHOOKS_TEST_UNSET_URL' }
+		]
+	})
+	const notifier = createNotifier(webhooks, { now })
+
+	await notifier.notify('new-articles', { items: articles })
+	const climate = receiver.requests.filter(request => request.path === '/climate')
+	assert.strictEqual(climate.length, 1)
+	assert.ok(climate[0].body.text.includes('Climate talks open'))
+	assert.ok(!climate[0].body.text.includes('Shipping costs rise'))
+	console.log('✅ new-articles filtered per endpoint')
+
+	assert.strictEqual(receiver.requests.filter(request => request.path === '/flaky').length, 2)
+	assert.strictEqual(receiver.requests.filter(request => request.path === '/from-env').length, 1)
+	assert.deepStrictEqual(notifier.stats, { sent: 3, failed: 0, dropped: 0 })
+	console.log('✅ 5xx retried, URL read from the environment, unset URL skipped')
+
+	// 404 is not retried; the sixth notification exceeds maxPerRun
+	await notifier.notify('source-failed', failure)
+	assert.strictEqual(receiver.requests.filter(request => request.path === '/gone').length, 1)
+	assert.deepStrictEqual(notifier.stats, { sent: 4, failed: 1, dropped: 1 })
+	await notifier.notify('upload-failed', { items: [{ file: 'x.pdf', error: 'upload failed' }] })
+	assert.deepStrictEqual(notifier.stats, { sent: 4, failed: 1, dropped: 2 })
+	console.log('✅ per-run rate limit drops further notifications')
+
+	const started = Date.now()
+	assert.strictEqual(await postWebhook(`${base}/busy`, { text: 'busy' }, { retries: 1, retryDelayMs: 10, timeout: 5000 }), 2)
+	assert.ok(Date.now() - started >= 900, 'Retry-After date ignored')
+	console.log('✅ Retry-After dates respected')
+
+	console.log('\n🎉 All webhook tests passed!')
+} catch (error) {
+	console.error('❌ Test failed:', error.message)
+	process.exitCode = 1
+} finally {
+	receiver?.close()
+	rmSync(workDir, { recursive: true, force: true })
+}